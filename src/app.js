@@ -1,12 +1,83 @@
 import * as THREE from 'three';
+import { gsap } from 'gsap';
 import { Globe } from './components/Globe.js';
 import { Avatar } from './components/Avatar.js';
 import { Zones } from './components/Zones.js';
 import { Controls } from './components/Controls.js';
+import { ZoneRouter } from './components/Router.js';
+import { ZonePicker } from './components/ZonePicker.js';
+import { ThemeController } from './components/ThemeController.js';
+import { Environment } from './components/Environment.js';
+import { ZoneWheel } from './components/ZoneWheel.js';
+import { Tour } from './components/Tour.js';
 import { createUIOverlay } from './components/UI.js';
-import { getLocations } from './services/locationService.js';
-import { dampAngle } from './utils/physics.js';
-import { loadInitialAssets } from './utils/loader.js';
+import { QualityManager, getQualityOverride } from './components/QualityManager.js';
+import { DebugHud, isDebugEnabled } from './components/DebugHud.js';
+import { getLocations, onLocationsUpdated } from './services/locationService.js';
+import { getAvatarConfig } from './services/avatarService.js';
+import { getTourScript } from './services/tourService.js';
+import {
+  NetworkError,
+  NotFoundError,
+  PayloadError,
+  TimeoutError,
+  ValidationError,
+} from './services/errors.js';
+import { formatIssue, validateLocations } from './services/validation.js';
+import { dampAngle, nearestAngle } from './utils/physics.js';
+import { onReducedMotionChange, prefersReducedMotion } from './utils/motion.js';
+import { disposeObject } from './utils/dispose.js';
+import {
+  assets,
+  loadInitialAssets,
+  loadJSON,
+  releaseAsset,
+  releaseInitialAssets,
+} from './utils/loader.js';
+import { parseLandSource } from './utils/geojson.js';
+import { isWebGLAvailable } from './utils/webgl.js';
+import { ASSET_MANIFEST } from './utils/assetManifest.js';
+
+/**
+ * @typedef {import('./types').Location} Location
+ * @typedef {import('./types').Zone} Zone
+ */
+
+const TILT_LIMIT = 0.45; // radians either side of upright, at least
+const TILT_LIMIT_MAX = 1.4; // reach for zones near the poles
+const ZOOM_MIN = 0.7;
+const ZOOM_MAX = 1.8;
+const FIXED_STEP = 1 / 60; // seconds per simulation step
+const MAX_FRAME_TIME = 0.25; // longest frame simulated; longer gaps are dropped
+const TOUR_FLIGHT_SECONDS = 2;
+const WHEEL_NOTE_UNSUPPORTED = '3D globe unavailable on this device: showing the zone wheel.';
+const WHEEL_NOTE_CONTEXT_LOST = 'Restoring the 3D globe…';
+
+/**
+ * Creates the WebGL renderer, or returns null if the browser refuses a context.
+ *
+ * @param {import('./components/QualityManager.js').QualitySettings} settings
+ * @returns {THREE.WebGLRenderer | null}
+ */
+function createRenderer(settings) {
+  try {
+    const renderer = new THREE.WebGLRenderer({ antialias: settings.antialias, alpha: true });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, settings.maxPixelRatio));
+    renderer.shadowMap.enabled = settings.shadows;
+    return renderer;
+  } catch (error) {
+    console.warn('WebGL renderer could not be created:', error);
+    return null;
+  }
+}
+
+/**
+ * @typedef {Object} FlightOptions
+ * @property {number} [duration=1.2] - Flight time in seconds (0 jumps instantly;
+ *   reduced-motion mode always jumps)
+ * @property {string | ((progress: number) => number)} [easing='power2.inOut'] -
+ *   GSAP ease name or a custom easing function
+ */
 
 /**
  * Main application class managing the 3D globe experience.
@@ -14,14 +85,32 @@ import { loadInitialAssets } from './utils/loader.js';
  * Orchestrates:
  * - Three.js scene setup (renderer, camera, lights)
  * - Component lifecycle (Globe, Avatar, Zones, Controls, UI)
+ * - Theme transitions: the atmosphere, avatar, lights, overlay border and page
+ *   CSS variables blend to each zone's colours (`ThemeController`)
+ * - Per-zone environment: sky, fog, lights and particles cross-fade
+ *   (`Environment`)
  * - Data loading from location service
- * - Animation loop and zone detection
+ * - Live location updates (`setLocations()`) without rebuilding the scene
+ * - Deep linking (`/#/labs`, `?zone=labs`) and back/forward navigation
+ * - Programmatic navigation (`flyTo()`, `next()`, `previous()`, `spinBy()`)
+ * - Accessibility: keyboard zone list, live announcements, reduced motion
+ * - Adaptive quality tiers (`?quality=low|medium|high`) and a debug HUD (`?debug`)
+ * - Animation loop (fixed timestep) and zone detection
+ * - Lifecycle: `start()`, `stop()`, `dispose()`; pauses while the tab is
+ *   hidden or the canvas is scrolled off-screen
+ * - Page embedding: the canvas fills `container` and follows its size; frames
+ *   run on GSAP's ticker, so the page's own animations share one loop
+ * - Without WebGL, a 2D zone wheel (`ZoneWheel`) stands in for the globe with
+ *   the same data, controls and overlay. A lost WebGL context shows the wheel
+ *   until the context is restored, then the globe returns without a reload
  * - Error handling and loading states
  *
  * @example
  * ```javascript
  * const app = new App();
  * await app.init(); // Loads data and starts rendering
+ * await app.flyTo('labs', { duration: 1.5 });
+ * app.dispose(); // Frees GPU resources and listeners before remounting
  * ```
  */
 export class App {
@@ -30,10 +119,40 @@ export class App {
    * Initializes Three.js scene and components (without data).
    * Call init() to load data and start rendering.
    *
-   * @param {HTMLElement} [container=document.getElementById('app')] - Container element
+   * @param {HTMLElement | null} [container=document.getElementById('app')] - Container element
+   * @param {Object} [options]
+   * @param {ConstructorParameters<typeof Controls>[0]} [options.controls] -
+   *   Input tuning (sensitivity, friction, snapping, extra devices). Pointer and
+   *   wheel input default to the globe (canvas or zone wheel), keys to the container
+   * @param {boolean} [options.reducedMotion] - Forces reduced motion on or off;
+   *   by default it follows the `prefers-reduced-motion` media query
+   * @param {import('./components/QualityManager.js').QualityTier} [options.quality] -
+   *   Fixed quality tier; by default `?quality=` is honoured, else quality adapts
+   * @param {boolean} [options.debug] - Shows the debug HUD; defaults to `?debug`
+   * @param {ConstructorParameters<typeof ThemeController>[0]} [options.theme] -
+   *   Theme transition length (seconds) and easing
+   * @param {boolean} [options.webgl] - Set to false to use the 2D zone wheel;
+   *   by default WebGL is used wherever the browser supports it
+   * @param {string | null} [options.land] - GeoJSON or TopoJSON land map (real or
+   *   fictional); defaults to `VITE_LAND_URL`, else the bundled continents.
+   *   Null shows no land
+   * @param {ConstructorParameters<typeof Tour>[0]} [options.tour] - Default tour
+   *   timings (idle delay, dwell), used where the tour script sets none
    * @throws {Error} If container element is not found
    */
-  constructor(container = document.getElementById('app')) {
+  constructor(
+    container = document.getElementById('app'),
+    {
+      controls,
+      reducedMotion,
+      quality,
+      debug = isDebugEnabled(),
+      theme,
+      webgl,
+      land = import.meta.env.VITE_LAND_URL ?? `${import.meta.env.BASE_URL}maps/continents.geojson`,
+      tour,
+    } = {}
+  ) {
     if (!container) {
       throw new Error('App container #app not found');
     }
@@ -41,29 +160,121 @@ export class App {
     this.scene = new THREE.Scene();
     this.clock = new THREE.Clock();
 
-    this.renderer = new THREE.WebGLRenderer({
-      antialias: true,
-      alpha: true,
-    });
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.renderer.shadowMap.enabled = true;
+    this.quality = new QualityManager({ tier: quality ?? getQualityOverride() });
+    const settings = this.quality.settings;
+
+    // Null without WebGL: the 2D zone wheel is shown instead
+    this.renderer = webgl ?? isWebGLAvailable() ? createRenderer(settings) : null;
+    this.contextLost = false;
+    /** @type {ZoneWheel | null} */
+    this.wheel = null;
+
+    // Holds the canvas or the wheel; input and visibility tracking attach here
+    this.stage = document.createElement('div');
+    this.stage.className = 'app-stage';
+    this.stage.tabIndex = 0;
+    this.stage.setAttribute('role', 'application');
+    this.stage.setAttribute(
+      'aria-label',
+      'Globe. Arrow keys or A and D spin it, W and S tilt, plus and minus zoom. ' +
+        'Press Tab to reach the zone list.'
+    );
+
+    if (this.renderer) {
+      assets.setRenderer(this.renderer); // KTX2 needs the GPU's formats
+      this.stage.append(this.renderer.domElement);
+    }
 
     this.camera = new THREE.PerspectiveCamera(35, 1, 0.1, 100);
     this.camera.position.set(0, 1, 6);
+    this.cameraBase = this.camera.position.clone();
 
     // Components (will be initialized with data in init())
     this.globe = null;
     this.avatar = new Avatar();
     this.zones = null;
-    this.controls = new Controls();
+    // Input is scoped to the globe, so the rest of the page scrolls and types normally
+    this.controls = new Controls({
+      target: this.stage,
+      keyTarget: container,
+      wheelRequiresFocus: true,
+      ...controls,
+    });
+    this.router = new ZoneRouter();
+    // Attract mode: flies through the zones after idle time or on request
+    this.tour = new Tour(tour);
+    /** @type {import('./types').TourScript | null} Script from the data source */
+    this.tourScript = null;
+    /**
+     * Whether zone changes are written to the URL: only once the user steers
+     * the globe or follows a zone link, so mounting it inside the page (and
+     * activating the first zone) never rewrites the page's own URL or anchor
+     */
+    this.syncUrl = false;
+    this.theme = new ThemeController(theme);
+    this.theme.onChange((palette) => this.applyTheme(palette));
+    this.environment = new Environment({ quality: settings });
+    this.scene.add(this.environment.group);
+    this.scene.fog = this.environment.fog;
+    /** @type {DebugHud | null} */
+    this.hud = debug ? new DebugHud(container) : null;
+    /** @type {ZonePicker | null} */
+    this.picker = null;
+    /** @type {import('./components/UI.js').UIOverlay | null} */
     this.ui = null;
 
+    /** @type {Location[]} */
+    this.locations = [];
+    /** Land map URL; loaded in the background by `init()` */
+    this.landUrl = land;
+    /** Whether `landUrl` holds a loader reference to release */
+    this.landRequested = false;
+    /** Whether `ASSET_MANIFEST` holds loader references to release */
+    this.manifestRequested = false;
     this.currentRotation = 0;
     this.targetRotation = 0;
+    this.currentTilt = 0;
+    this.targetTilt = 0;
+    /** Tilt range (radians either side); widens to reach every zone */
+    this.tiltLimit = TILT_LIMIT;
+    this.currentZoom = 1;
+    this.targetZoom = 1;
+    /** @type {Zone | null} */
     this.currentZone = null;
+    /** @type {gsap.core.Tween | null} */
+    this.flight = null;
+
+    /** @type {(() => void) | null} */
+    this.unsubscribeLocations = null;
+
+    // Render loop state
+    this.ticking = false; // Whether `loop` is registered on gsap.ticker
+    this.running = false;
+    this.disposed = false;
+    this.accumulator = 0;
+    /** @type {Set<'hidden' | 'offscreen'>} Reasons the loop is currently paused */
+    this.pauseReasons = new Set();
+    /** @type {IntersectionObserver | null} */
+    this.visibilityObserver = null;
+    /** @type {ResizeObserver | null} */
+    this.resizeObserver = null;
 
-    this._boundResize = this.handleResize.bind(this);
+    // An explicit option wins; otherwise follow the OS setting as it changes
+    this.reducedMotion = false;
+    this.setReducedMotion(reducedMotion ?? prefersReducedMotion());
+    this.unsubscribeMotion =
+      reducedMotion === undefined
+        ? onReducedMotionChange((reduced) => this.setReducedMotion(reduced))
+        : null;
+
+    // Called without arguments: the resize Event must not reach `width`
+    this._boundResize = () => this.handleResize();
     this._boundLoop = this.loop.bind(this);
+    this._boundVisibility = () => this.setPaused('hidden', document.hidden);
+    this._boundContextLost = (/** @type {Event} */ event) => this.handleContextLost(event);
+    this._boundContextRestored = () => this.handleContextRestored();
+
+    this.unsubscribeQuality = this.quality.onChange((next) => this.applyQuality(next));
   }
 
   /**
@@ -72,140 +283,969 @@ export class App {
    * Steps:
    * 1. Create UI overlay
    * 2. Show loading state
-   * 3. Fetch location data from service
-   * 4. Initialize Globe and Zones with data
-   * 5. Setup scene graph and controls
-   * 6. Set initial active zone
-   * 7. Start animation loop
+   * 3. Fetch location data (and the avatar config and tour script, in
+   *    parallel) from services
+   * 4. Validate it, dropping invalid locations
+   * 5. Initialize Globe and Zones with data; rebuild the avatar from its config;
+   *    start loading the land map (not awaited); set up the tour
+   * 6. Setup scene graph, controls and zone picking
+   * 7. Set initial active zone
+   * 8. Start animation loop (`start()`)
    *
-   * @throws {Error} If location data fails to load
+   * @throws {import('./services/errors.js').ServiceError} If location data fails to load
    * @public
    */
   async init() {
     // Setup UI first (for loading/error display)
-    this.ui = createUIOverlay();
+    this.ui = createUIOverlay({
+      container: this.container,
+      onToggleTour: () => this.tour.toggle(),
+      onSelectZone: (zoneId) => {
+        this.handleUserInput();
+        this.flyTo(zoneId).catch(() => {
+          console.warn(`Unknown zone "${zoneId}" selected`);
+        });
+      },
+    });
 
     try {
       // Show loading state
       this.ui.showLoading(true);
 
-      // Fetch location data from service (future: real API call)
-      const locations = await getLocations();
+      // The avatar look is optional: on failure the default avatar stays
+      const avatarConfig = getAvatarConfig().catch((error) => {
+        const details = error instanceof ValidationError ? error.issues.map(formatIssue) : [];
+        console.warn('Using the default avatar:', error.message, ...details);
+        return null;
+      });
+
+      // The tour script is optional too: without one every zone is toured
+      const tourScript = getTourScript().catch((error) => {
+        if (!(error instanceof NotFoundError)) {
+          const details = error instanceof ValidationError ? error.issues.map(formatIssue) : [];
+          console.warn('Using the default tour:', error.message, ...details);
+        }
+        return null;
+      });
+
+      // Fetch location data from the configured data source
+      let locations = await getLocations();
 
-      // Validate data
       if (!locations || locations.length === 0) {
-        throw new Error('No locations data available');
+        throw new NotFoundError('No locations data available');
+      }
+
+      // Validate data, dropping entries that would break rendering
+      const report = validateLocations(locations);
+      this.reportValidation(report);
+      if (!report.locations.length) {
+        throw new ValidationError('No valid locations to display', report.issues);
       }
+      locations = report.locations;
+      this.locations = locations;
 
-      // Initialize data-dependent components
-      this.globe = new Globe({ locations });
+      // Initialize data-dependent components (the 3D globe only with WebGL)
       this.zones = new Zones(locations);
+      this.updateTiltLimit();
+      if (this.renderer) {
+        this.globe = new Globe({
+          locations,
+          quality: this.quality.settings,
+          reducedMotion: this.reducedMotion,
+        });
+        this.scene.add(this.globe.group);
+        this.globe.group.add(this.avatar.group);
+      } else {
+        this.showWheel(true);
+      }
+      this.loadLand();
 
-      // Build scene graph
-      this.container.appendChild(this.renderer.domElement);
-      this.scene.add(this.globe.group);
-      this.globe.group.add(this.avatar.group);
+      const config = await avatarConfig;
+      if (config) this.avatar.setConfig(config);
+      this.tourScript = await tourScript;
+      this.applyTourScript();
 
-      this.addLights();
-      this.handleResize(window.innerWidth, window.innerHeight);
-      window.addEventListener('resize', this._boundResize);
+      this.ui.setZones(locations);
+
+      // Stage first, so Tab moves on to the overlay
+      this.container.prepend(this.stage);
+      this.renderer?.domElement.addEventListener('webglcontextlost', this._boundContextLost);
+      this.renderer?.domElement.addEventListener(
+        'webglcontextrestored',
+        this._boundContextRestored
+      );
+
+      this.handleResize();
+      this.observeSize();
+      this.observeVisibility();
 
       // Attach input controls
       this.controls.attach({
         onRotate: (delta) => {
+          this.cancelFlight();
           this.targetRotation += delta;
         },
+        onTilt: (delta) => {
+          this.targetTilt = THREE.MathUtils.clamp(
+            this.targetTilt + delta,
+            -this.tiltLimit,
+            this.tiltLimit
+          );
+        },
+        onZoom: (factor) => {
+          this.targetZoom = THREE.MathUtils.clamp(
+            this.targetZoom * factor,
+            ZOOM_MIN,
+            ZOOM_MAX
+          );
+        },
+        getSnapOffset: () => {
+          const center = this.zones?.getNearestCenter(this.targetRotation);
+          return center == null ? null : center - this.targetRotation;
+        },
+        // Any drag, key, wheel or stick hands control back from the tour
+        onInput: () => this.handleUserInput(),
       });
 
-      // Load any additional assets (textures, models, etc.)
-      await loadInitialAssets();
+      // Hover highlights a zone; a click (not a drag) flies to it
+      if (this.renderer && this.globe) {
+        this.picker = new ZonePicker({
+          camera: this.camera,
+          target: this.renderer.domElement,
+          mesh: /** @type {THREE.Mesh} */ (this.globe.planetMesh),
+          zones: this.zones,
+        });
+        this.picker.attach({
+          onHover: (zone) => this.globe?.setHoveredLocation(zone),
+          onSelect: (zone) => {
+            this.handleUserInput();
+            this.flyTo(zone.id);
+          },
+        });
+      }
+
+      // Load critical assets behind the loading screen; lazy ones follow
+      this.manifestRequested = true;
+      await loadInitialAssets(ASSET_MANIFEST, {
+        onProgress: (percent) => this.ui?.showLoading(true, percent),
+      });
 
       // Set initial active zone
-      const initialZone = this.zones.getActiveZone(this.currentRotation);
-      if (initialZone) {
-        this.currentZone = initialZone;
-        this.globe.setActiveLocation(initialZone);
-        this.avatar.setPalette(initialZone.themeColor, initialZone.accentColor);
-        this.ui?.setZone(initialZone);
-      }
+      this.activateZone(this.zones.getActiveZone(this.currentRotation, this.currentTilt));
+
+      // Deep link: rotate to the zone named in the URL, follow back/forward
+      const followLink = (/** @type {string} */ zoneId) => {
+        this.handleUserInput();
+        this.flyTo(zoneId).catch(() => {
+          console.warn(`Unknown zone "${zoneId}" in URL`);
+        });
+      };
+      this.router.attach({ onNavigate: followLink });
+      const linkedZone = this.router.getZoneId();
+      if (linkedZone) followLink(linkedZone);
+
+      // Apply data refreshed in the background (stale cache, refreshLocations())
+      this.unsubscribeLocations = onLocationsUpdated((updated) =>
+        this.setLocations(updated)
+      );
+
+      this.tour.attach({
+        onStop: (stop, index, total) => {
+          const zone = this.zones?.getZoneById(stop.zoneId);
+          this.ui?.setTour({
+            caption: stop.caption ?? zone?.tagline ?? zone?.label ?? stop.zoneId,
+            index,
+            total,
+          });
+          return this.flyTo(stop.zoneId, { duration: TOUR_FLIGHT_SECONDS });
+        },
+        onStateChange: (playing) => {
+          if (!playing) this.ui?.setTour(null);
+        },
+      });
 
       // Hide loading, start rendering
       this.ui.showLoading(false);
-      this.loop();
+      this.start();
     } catch (error) {
       console.error('Failed to initialize app:', error);
       this.ui.showLoading(false);
-      this.ui.showError(
-        'Failed to load content. Please refresh the page or try again later.'
-      );
+      this.ui.showError(this.describeError(error));
       throw error; // Re-throw for debugging
     }
   }
 
-  addLights() {
-    const hemi = new THREE.HemisphereLight(0xaecbff, 0x1e2431, 1.1);
-    hemi.position.set(0, 1, 0);
-    this.scene.add(hemi);
+  /**
+   * Starts (or resumes) the render loop. Frames are only scheduled while the
+   * page is visible and the canvas is on-screen.
+   *
+   * @public
+   */
+  start() {
+    if (this.disposed) return;
+    this.running = true;
+    this.schedule();
+  }
+
+  /**
+   * Stops the render loop. Scene state is kept; call `start()` to resume.
+   *
+   * @public
+   */
+  stop() {
+    this.running = false;
+    this.cancelFrame();
+  }
+
+  /**
+   * Tears the app down: stops rendering, removes every listener and frees
+   * all GPU resources (geometries, materials, textures, renderer).
+   * The canvas and overlay are removed, so a new App can mount in the same
+   * container. The instance cannot be restarted.
+   *
+   * @public
+   */
+  dispose() {
+    if (this.disposed) return;
+    this.stop();
+    this.disposed = true;
+    this.cancelFlight();
+
+    window.removeEventListener('resize', this._boundResize);
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    document.removeEventListener('visibilitychange', this._boundVisibility);
+    this.visibilityObserver?.disconnect();
+    this.visibilityObserver = null;
+
+    this.controls.detach();
+    this.tour.detach();
+    this.picker?.detach();
+    this.router.detach();
+    this.unsubscribeLocations?.();
+    this.unsubscribeMotion?.();
+    this.unsubscribeQuality();
+    this.theme.dispose();
+    this.hud?.dispose();
+
+    this.avatar.dispose();
+    this.globe?.dispose();
+    this.environment.dispose(); // Also returns skybox textures to the asset cache
+    disposeObject(this.scene); // Anything added externally
+    this.renderer?.domElement.removeEventListener('webglcontextlost', this._boundContextLost);
+    this.renderer?.domElement.removeEventListener(
+      'webglcontextrestored',
+      this._boundContextRestored
+    );
+    this.renderer?.dispose();
+    this.wheel?.dispose();
+    this.stage.remove();
+    if (this.landRequested && this.landUrl) releaseAsset(this.landUrl);
+    if (this.manifestRequested) releaseInitialAssets(ASSET_MANIFEST);
+
+    this.ui?.dispose();
+    this.globe = null;
+    this.wheel = null;
+    this.zones = null;
+    this.picker = null;
+    this.ui = null;
+  }
+
+  /**
+   * Replaces the location set at runtime without rebuilding the scene.
+   *
+   * Rebuilds the globe texture and zone arcs, keeps the current rotation,
+   * and keeps the active zone when the rotation still falls inside it.
+   * The overlay is refreshed if the active zone changed or was edited.
+   * Invalid entries are dropped; an entirely invalid update is ignored.
+   *
+   * @param {unknown} locations - New location list
+   * @returns {boolean} True if the update was applied
+   * @public
+   *
+   * @example
+   * ```javascript
+   * app.setLocations(await getLocations({ refresh: true }));
+   * ```
+   */
+  setLocations(locations) {
+    if (!this.zones) return false;
+
+    const report = validateLocations(locations);
+    this.reportValidation(report);
+    if (!report.locations.length) {
+      console.warn('Ignoring location update: no valid locations');
+      return false;
+    }
+
+    const previous = this.currentZone;
+    this.locations = report.locations;
+    this.zones.setLocations(this.locations);
+    this.updateTiltLimit();
+
+    const activeZone = this.zones.getActiveZone(this.currentRotation, this.currentTilt);
+    this.globe?.setLocations(this.locations, activeZone);
+    this.wheel?.setZones(this.zones.zones, activeZone && this.zones.getRoot(activeZone));
+    this.ui?.setZones(this.locations);
+    this.applyTourScript();
+
+    const unchanged =
+      activeZone &&
+      previous &&
+      activeZone.id === previous.id &&
+      JSON.stringify(activeZone) === JSON.stringify(previous);
+
+    if (!unchanged) {
+      this.activateZone(activeZone);
+    }
+
+    return true;
+  }
+
+  /**
+   * Adds a location, or replaces the existing one with the same id.
+   *
+   * @param {Location} location - Location to add or edit
+   * @returns {boolean} True if the update was applied
+   * @public
+   */
+  upsertLocation(location) {
+    const exists = this.locations.some((loc) => loc.id === location.id);
+    return this.setLocations(
+      exists
+        ? this.locations.map((loc) => (loc.id === location.id ? location : loc))
+        : [...this.locations, location]
+    );
+  }
 
-    const keyLight = new THREE.DirectionalLight(0xf0f4ff, 1.2);
-    keyLight.position.set(3, 4, 5);
-    keyLight.castShadow = true;
-    this.scene.add(keyLight);
+  /**
+   * Removes a location by id. The last remaining location cannot be removed.
+   *
+   * @param {string} id - Location identifier
+   * @returns {boolean} True if the update was applied
+   * @public
+   */
+  removeLocation(id) {
+    const remaining = this.locations.filter((loc) => loc.id !== id);
+    if (remaining.length === this.locations.length) return false;
+    return this.setLocations(remaining);
+  }
 
-    const rimLight = new THREE.DirectionalLight(0x6287ff, 0.4);
-    rimLight.position.set(-4, 2, -3);
-    this.scene.add(rimLight);
+  /**
+   * Switches reduced-motion mode: no avatar bobbing, no inertia or easing on
+   * the globe, flights jump straight to their destination and theme colours
+   * change at once.
+   *
+   * @param {boolean} enabled
+   * @public
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+    this.controls.setReducedMotion(enabled);
+    this.theme.setReducedMotion(enabled);
+    this.environment.setReducedMotion(enabled);
+    this.avatar.setReducedMotion(enabled);
+    this.globe?.setReducedMotion(enabled);
+    this.updateTourIdle();
+  }
+
+  /**
+   * Flies the globe to the centre of a zone's arc along the shortest path,
+   * tilting to the middle of its latitude range. Child zones can be
+   * targeted too.
+   *
+   * @param {string} id - Location identifier
+   * @param {FlightOptions} [options] - Duration and easing
+   * @returns {Promise<boolean>} Resolves `true` on arrival, `false` if the
+   *   flight was interrupted by user input or another flight
+   * @throws {Error} Rejects if no zone with that id exists
+   * @public
+   *
+   * @example
+   * ```javascript
+   * await app.flyTo('contact', { duration: 2, easing: 'expo.inOut' });
+   * ```
+   */
+  flyTo(id, options) {
+    const center = this.zones?.getZoneCenter(id);
+    if (center == null) {
+      return Promise.reject(new Error(`Unknown zone "${id}"`));
+    }
+
+    return this.rotateTo(
+      nearestAngle(this.currentRotation, center),
+      options,
+      this.zones?.getZoneLatitude(id) ?? 0
+    );
   }
 
   /**
-   * Main animation loop (called every frame via requestAnimationFrame).
+   * Flies to the next zone in increasing angle order (wraps around).
+   *
+   * @param {FlightOptions} [options]
+   * @returns {Promise<boolean>} See `flyTo()`
+   * @public
+   */
+  next(options) {
+    return this.step(1, options);
+  }
+
+  /**
+   * Flies to the previous zone in decreasing angle order (wraps around).
+   *
+   * @param {FlightOptions} [options]
+   * @returns {Promise<boolean>} See `flyTo()`
+   * @public
+   */
+  previous(options) {
+    return this.step(-1, options);
+  }
+
+  /**
+   * Spins the globe by a relative amount.
+   *
+   * @param {number} degrees - Signed rotation in degrees
+   * @param {FlightOptions} [options]
+   * @returns {Promise<boolean>} See `flyTo()`
+   * @public
+   */
+  spinBy(degrees, options) {
+    return this.rotateTo(
+      this.currentRotation + THREE.MathUtils.degToRad(degrees),
+      options
+    );
+  }
+
+  /**
+   * Flies one top-level zone forward or backward, always travelling in
+   * that direction. From a child zone, steps from its top-level zone.
+   *
+   * @param {1 | -1} direction
+   * @param {FlightOptions} [options]
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  step(direction, options) {
+    if (!this.zones || !this.currentZone) return Promise.resolve(false);
+
+    const ordered = this.zones.zones
+      .map((zone) => ({ id: zone.id, center: this.zones?.getZoneCenter(zone.id) ?? 0 }))
+      .sort((a, b) => a.center - b.center);
+    const current = this.zones.getRoot(this.currentZone);
+    const index = ordered.findIndex((zone) => zone.id === current.id);
+    const target = ordered[(index + direction + ordered.length) % ordered.length];
+
+    // Travel strictly in `direction`, even when the other way round is shorter
+    const TWO_PI = Math.PI * 2;
+    const offset = target.center - this.currentRotation;
+    const travel = direction > 0
+      ? ((offset % TWO_PI) + TWO_PI) % TWO_PI
+      : -((((-offset) % TWO_PI) + TWO_PI) % TWO_PI);
+
+    return this.rotateTo(
+      this.currentRotation + travel,
+      options,
+      this.zones.getZoneLatitude(target.id) ?? 0
+    );
+  }
+
+  /**
+   * Tweens the globe rotation (and optionally tilt) to absolute angles.
+   * Drives both current and target values so damping does not lag behind.
+   *
+   * @param {number} angle - Target rotation in radians (unbounded)
+   * @param {FlightOptions} [options]
+   * @param {number} [tilt] - Target tilt in radians (clamped to the tilt
+   *   limit); defaults to the current tilt
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  rotateTo(angle, { duration = 1.2, easing = 'power2.inOut' } = {}, tilt = this.targetTilt) {
+    this.cancelFlight();
+    this.controls.halt();
+    const targetTilt = THREE.MathUtils.clamp(tilt, -this.tiltLimit, this.tiltLimit);
+
+    if (duration <= 0 || this.reducedMotion) {
+      this.currentRotation = angle;
+      this.targetRotation = angle;
+      this.currentTilt = targetTilt;
+      this.targetTilt = targetTilt;
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const proxy = { rotation: this.currentRotation, tilt: this.currentTilt };
+      this.flight = gsap.to(proxy, {
+        rotation: angle,
+        tilt: targetTilt,
+        duration,
+        ease: easing,
+        onUpdate: () => {
+          this.currentRotation = proxy.rotation;
+          this.targetRotation = proxy.rotation;
+          this.currentTilt = proxy.tilt;
+          this.targetTilt = proxy.tilt;
+        },
+        onComplete: () => {
+          this.flight = null;
+          resolve(true);
+        },
+        onInterrupt: () => resolve(false),
+      });
+    });
+  }
+
+  /**
+   * Stops an in-progress flight; its promise resolves `false`.
+   *
+   * @private
+   */
+  cancelFlight() {
+    if (!this.flight) return;
+    const flight = this.flight;
+    this.flight = null;
+    flight.kill();
+  }
+
+  /**
+   * Loads the land map and hands it to the zones and globe. Until it
+   * arrives (or if it fails) the globe shows open ocean and zones tied to a
+   * land `region` use their polygon or arc.
+   *
+   * @private
+   */
+  async loadLand() {
+    if (!this.landUrl) return;
+
+    try {
+      this.landRequested = true;
+      const features = parseLandSource(await loadJSON(this.landUrl));
+      if (this.disposed || !this.zones) return;
+
+      this.zones.setLand(features);
+      this.updateTiltLimit();
+      this.globe?.setLand(features);
+      this.zones
+        .getMissingRegions()
+        .forEach((region) => console.warn(`Location data: no land region named "${region}"`));
+
+      // Region shapes changed, so the zone facing the camera may have too
+      // (before the first activation, init() picks it up itself)
+      const zone = this.zones.getActiveZone(this.currentRotation, this.currentTilt);
+      if (this.currentZone && zone && zone.id !== this.currentZone.id) this.activateZone(zone);
+    } catch (error) {
+      console.warn(`Land map "${this.landUrl}" could not be used:`, error);
+    }
+  }
+
+  /**
+   * Widens the tilt range so the middle of every zone can face the camera.
+   *
+   * @private
+   */
+  updateTiltLimit() {
+    const centers = (this.zones?.all ?? []).map((zone) => (zone.minLatRad + zone.maxLatRad) / 2);
+    const reach = Math.max(0, ...centers.map(Math.abs));
+    this.tiltLimit = THREE.MathUtils.clamp(reach, TILT_LIMIT, TILT_LIMIT_MAX);
+    this.targetTilt = THREE.MathUtils.clamp(this.targetTilt, -this.tiltLimit, this.tiltLimit);
+  }
+
+  /**
+   * Makes a zone active: updates the globe emphasis, starts the theme and
+   * environment transitions, sets the avatar's expression/accessories,
+   * overlay and URL.
+   *
+   * @param {Zone | null} zone - Zone to activate
+   * @private
+   */
+  activateZone(zone) {
+    if (!zone) return;
+
+    this.currentZone = zone;
+    this.globe?.setActiveLocation(zone);
+    const root = this.zones?.getRoot(zone) ?? zone;
+    this.wheel?.setActiveLocation(root);
+    this.theme.setPalette(zone.themeColor, zone.accentColor);
+    this.environment.setEnvironment(zone.environment);
+    this.avatar.setZoneStyle(zone.avatar);
+    this.ui?.setZone(zone, root.id);
+    if (!this.syncUrl) return;
+    // A looping tour would flood the history, so its stops replace the entry
+    this.router.sync(zone.id, { replace: this.tour.playing });
+  }
+
+  /**
+   * The user picked, steered to or linked to a zone: from now on zone
+   * changes go to the URL, and a running tour hands control back.
+   *
+   * @private
+   */
+  handleUserInput() {
+    this.syncUrl = true;
+    this.tour.notifyActivity();
+  }
+
+  /**
+   * Hands the tour its stops: the script's, minus unknown zones, or every
+   * top-level zone in data order.
+   *
+   * @private
+   */
+  applyTourScript() {
+    if (!this.zones) return;
+
+    const script = this.tourScript ?? {};
+    const stops = (script.stops ?? this.zones.zones.map((zone) => ({ zoneId: zone.id })))
+      .filter((stop) => {
+        const known = this.zones?.getZoneById(stop.zoneId) != null;
+        if (!known) console.warn(`Tour script: skipping unknown zone "${stop.zoneId}"`);
+        return known;
+      });
+    this.tour.setScript({ ...script, stops });
+  }
+
+  /**
+   * Lets the tour start by itself only while the globe is in view and
+   * reduced motion is off; going out of view also ends a running tour.
+   *
+   * @private
+   */
+  updateTourIdle() {
+    const idle = !this.reducedMotion && this.pauseReasons.size === 0;
+    if (!idle && this.pauseReasons.size) this.tour.stop();
+    this.tour.setIdleEnabled(idle);
+  }
+
+  /**
+   * Logs validation problems found in the location data.
+   * Rejected locations are listed as errors, set-level findings as warnings.
+   *
+   * @param {import('./services/validation.js').LocationSetValidation} report
+   * @private
+   */
+  reportValidation(report) {
+    if (!report.issues.length) return;
+
+    report.rejected.forEach(({ index, location, issues }) => {
+      const id = /** @type {any} */ (location)?.id ?? `#${index}`;
+      console.error(
+        `Dropped invalid location "${id}":\n${issues.map(formatIssue).join('\n')}`
+      );
+    });
+
+    report.issues
+      .filter((issue) => issue.severity === 'warning')
+      .forEach((issue) => console.warn(`Location data: ${formatIssue(issue)}`));
+  }
+
+  /**
+   * Maps a service-layer error to a user-facing message.
+   *
+   * @param {unknown} error - Error thrown during initialization
+   * @returns {string} Message for `UI.showError()`
+   * @private
+   */
+  describeError(error) {
+    if (error instanceof TimeoutError) {
+      return 'The server is taking too long to respond. Please try again in a moment.';
+    }
+    if (error instanceof NetworkError) {
+      return 'Unable to reach the server. Check your connection and try again.';
+    }
+    if (error instanceof NotFoundError) {
+      return 'No zones are available to explore right now.';
+    }
+    if (error instanceof PayloadError) {
+      return 'Received unexpected data from the server. Please try again later.';
+    }
+    return 'Failed to load content. Please refresh the page or try again later.';
+  }
+
+  /**
+   * Copies the (possibly mid-transition) theme palette onto the atmosphere,
+   * avatar and light tint. The overlay border and page styles follow the CSS
+   * variables the controller writes.
+   *
+   * @param {import('./components/ThemeController.js').ThemePalette} palette
+   * @private
+   */
+  applyTheme({ primary, accent }) {
+    this.globe?.setThemeColor(primary);
+    this.wheel?.setThemeColor(primary);
+    this.avatar.setPalette(primary, accent);
+    this.environment.setThemeColor(primary);
+  }
+
+  /**
+   * Applies a quality tier to the renderer, lights and globe.
+   * Antialiasing is fixed when the renderer is created and is not changed here.
+   *
+   * @param {import('./components/QualityManager.js').QualitySettings} settings
+   * @private
+   */
+  applyQuality(settings) {
+    this.environment.setQuality(settings);
+    this.globe?.setQuality(settings);
+    if (!this.renderer) return;
+
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, settings.maxPixelRatio));
+
+    if (this.renderer.shadowMap.enabled !== settings.shadows) {
+      this.renderer.shadowMap.enabled = settings.shadows;
+      // Materials compile shadow support in, so they must be rebuilt
+      this.recompileMaterials();
+    }
+  }
+
+  /**
+   * Flags every material in the scene for recompilation on the next render.
+   *
+   * @private
+   */
+  recompileMaterials() {
+    this.scene.traverse((object) => {
+      const { material } = /** @type {THREE.Mesh} */ (object);
+      (Array.isArray(material) ? material : [material]).forEach((entry) => {
+        if (entry) entry.needsUpdate = true;
+      });
+    });
+  }
+
+  /**
+   * Shows the 2D zone wheel in place of the canvas, or removes it again.
+   * The wheel is built from the current zones and follows the same rotation,
+   * active zone and theme colour as the globe.
+   *
+   * @param {boolean} visible
+   * @private
+   */
+  showWheel(visible) {
+    if (visible === Boolean(this.wheel)) return;
+    this.renderer?.domElement.toggleAttribute('hidden', visible);
+
+    if (!visible) {
+      this.wheel?.dispose();
+      this.wheel = null;
+      return;
+    }
+
+    const wheel = new ZoneWheel({
+      note: this.renderer ? WHEEL_NOTE_CONTEXT_LOST : WHEEL_NOTE_UNSUPPORTED,
+    });
+    const { zones, currentZone } = this;
+    wheel.setZones(zones?.zones ?? [], currentZone && zones ? zones.getRoot(currentZone) : null);
+    if (this.theme.palette) wheel.setThemeColor(this.theme.palette.primary);
+    wheel.update(this.currentRotation, this.currentZoom);
+    wheel.attach({
+      onHover: (zone) => this.wheel?.setHoveredLocation(zone),
+      onSelect: (zone) => {
+        this.handleUserInput();
+        this.flyTo(zone.id);
+      },
+    });
+    this.stage.append(wheel.element);
+    this.wheel = wheel;
+  }
+
+  /**
+   * The GPU dropped the WebGL context (driver reset, too many contexts,
+   * backgrounded mobile tab). Rendering stops and the wheel stands in until
+   * the browser restores the context.
+   *
+   * @param {Event} event
+   * @private
+   */
+  handleContextLost(event) {
+    event.preventDefault(); // Tells the browser we will handle a restore
+    this.contextLost = true;
+    console.warn('WebGL context lost; showing the zone wheel until it is restored');
+    this.showWheel(true);
+  }
+
+  /**
+   * Rebuilds GPU state after the context comes back. The renderer recreates
+   * its internal state and re-uploads geometry and textures on the next
+   * render; materials are recompiled and the canvas size and KTX2 support
+   * are re-applied.
+   *
+   * @private
+   */
+  handleContextRestored() {
+    if (!this.renderer) return;
+    this.contextLost = false;
+    assets.setRenderer(this.renderer);
+    this.recompileMaterials();
+    this.handleResize();
+    this.showWheel(false);
+  }
+
+  /**
+   * Resizes the canvas with its container (the window, where
+   * `ResizeObserver` is missing).
+   *
+   * @private
+   */
+  observeSize() {
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', this._boundResize);
+      return;
+    }
+    this.resizeObserver = new ResizeObserver(this._boundResize);
+    this.resizeObserver.observe(this.container);
+  }
+
+  /**
+   * Pauses on `visibilitychange` and while the canvas is scrolled out of view.
+   *
+   * @private
+   */
+  observeVisibility() {
+    document.addEventListener('visibilitychange', this._boundVisibility);
+    this.setPaused('hidden', document.hidden);
+
+    if (typeof IntersectionObserver === 'undefined') return;
+    this.visibilityObserver = new IntersectionObserver(([entry]) => {
+      this.setPaused('offscreen', !entry.isIntersecting);
+    });
+    this.visibilityObserver.observe(this.stage);
+  }
+
+  /**
+   * Adds or clears one pause reason; the loop runs only when none remain.
+   *
+   * @param {'hidden' | 'offscreen'} reason
+   * @param {boolean} paused
+   * @private
+   */
+  setPaused(reason, paused) {
+    if (paused) {
+      this.pauseReasons.add(reason);
+      this.cancelFrame();
+    } else {
+      this.pauseReasons.delete(reason);
+      this.schedule();
+    }
+    this.updateTourIdle();
+  }
+
+  /**
+   * Registers the loop on GSAP's ticker if it should be running and is not yet.
+   * Time spent stopped or paused is discarded, so resuming never simulates it.
+   *
+   * The ticker is the same `requestAnimationFrame` loop that drives the
+   * page's tweens, so the globe and the page never run two loops.
+   *
+   * @private
+   */
+  schedule() {
+    if (!this.running || this.pauseReasons.size || this.ticking) return;
+    this.clock.getDelta();
+    this.accumulator = 0;
+    this.ticking = true;
+    gsap.ticker.add(this._boundLoop);
+  }
+
+  /**
+   * @private
+   */
+  cancelFrame() {
+    if (!this.ticking) return;
+    gsap.ticker.remove(this._boundLoop);
+    this.ticking = false;
+  }
+
+  /**
+   * Main animation loop (called every frame by `gsap.ticker`).
+   *
+   * Simulation advances in fixed `FIXED_STEP` increments, so damping and
+   * inertia behave the same at any frame rate. Frame time is capped at
+   * `MAX_FRAME_TIME`, so a stalled tab cannot produce a giant jump.
+   * The scene is rendered once per frame; frame times feed the quality manager.
+   *
+   * @private
+   */
+  loop() {
+    const frameTime = this.clock.getDelta();
+    this.quality.sample(frameTime);
+    this.accumulator += Math.min(frameTime, MAX_FRAME_TIME);
+
+    while (this.accumulator >= FIXED_STEP) {
+      this.update(FIXED_STEP);
+      this.accumulator -= FIXED_STEP;
+    }
+
+    // An update callback may have torn the app down
+    if (this.disposed || !this.renderer || this.contextLost) return;
+    this.renderer.render(this.scene, this.camera);
+    this.hud?.update(frameTime, this.renderer.info, this.quality.tier);
+  }
+
+  /**
+   * Advances the simulation by one fixed step.
    *
    * Updates:
    * - Control inputs
-   * - Globe rotation (with damping)
+   * - Globe rotation and tilt, camera zoom (with damping)
+   * - Theme colour and environment transitions
+   * - Globe zone cross-fades and effects, or the zone wheel's turn
    * - Avatar animation
    * - Active zone detection
-   * - Scene rendering
    *
+   * @param {number} delta - Step length in seconds
    * @private
    */
-  loop() {
-    const delta = this.clock.getDelta();
+  update(delta) {
     this.controls.update(delta);
 
-    // Skip rendering if components aren't initialized yet
-    if (!this.globe || !this.zones) {
-      this.renderer.render(this.scene, this.camera);
-      requestAnimationFrame(this._boundLoop);
-      return;
-    }
+    // Nothing to animate until data-dependent components exist
+    if (!this.zones) return;
 
-    this.currentRotation = dampAngle(
-      this.currentRotation,
-      this.targetRotation,
-      8,
-      delta
-    );
+    if (this.reducedMotion) {
+      this.currentRotation = this.targetRotation;
+      this.currentTilt = this.targetTilt;
+      this.currentZoom = this.targetZoom;
+    } else {
+      this.currentRotation = dampAngle(
+        this.currentRotation,
+        this.targetRotation,
+        8,
+        delta
+      );
 
-    this.globe.group.rotation.y = this.currentRotation;
-    this.avatar.update(delta, this.globe.group);
+      this.currentTilt = THREE.MathUtils.damp(this.currentTilt, this.targetTilt, 8, delta);
+      this.currentZoom = THREE.MathUtils.damp(this.currentZoom, this.targetZoom, 8, delta);
+    }
 
-    const activeZone = this.zones.getActiveZone(this.currentRotation);
-    if (activeZone?.id !== this.currentZone?.id) {
-      this.currentZone = activeZone;
-      this.globe.setActiveLocation(activeZone);
-      this.avatar.setPalette(activeZone.themeColor, activeZone.accentColor);
-      this.ui?.setZone(activeZone);
+    this.theme.update(delta);
+    this.wheel?.update(this.currentRotation, this.currentZoom);
+
+    if (this.globe) {
+      this.globe.group.rotation.x = this.currentTilt;
+      this.globe.group.rotation.y = this.currentRotation;
+      this.camera.position.copy(this.cameraBase).divideScalar(this.currentZoom);
+      this.environment.update(delta);
+      this.globe.update(delta, this.camera);
+      this.avatar.update(delta, this.globe.group);
     }
 
-    this.renderer.render(this.scene, this.camera);
-    requestAnimationFrame(this._boundLoop);
+    const activeZone = this.zones.getActiveZone(this.currentRotation, this.currentTilt);
+    if (activeZone && activeZone.id !== this.currentZone?.id) {
+      this.activateZone(activeZone);
+    }
   }
 
-  handleResize(width = window.innerWidth, height = window.innerHeight) {
+  /**
+   * Fits the camera and canvas to the container (or an explicit size).
+   *
+   * @param {number} [width] - Defaults to the container's width
+   * @param {number} [height] - Defaults to the container's height
+   * @private
+   */
+  handleResize(width = this.container.clientWidth, height = this.container.clientHeight) {
+    if (!width || !height) return; // Hidden container: keep the last size
     this.camera.aspect = width / height;
     this.camera.updateProjectionMatrix();
 
-    this.renderer.setSize(width, height);
+    this.renderer?.setSize(width, height);
   }
 }
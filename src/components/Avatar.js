@@ -1,4 +1,101 @@
 import * as THREE from 'three';
+import { disposeObject } from '../utils/dispose.js';
+
+/**
+ * @typedef {import('../types').AvatarConfig} AvatarConfig
+ * @typedef {import('../types').AvatarExpression} AvatarExpression
+ * @typedef {import('../types').AccessoryType} AccessoryType
+ * @typedef {import('../types').LocationAvatar} LocationAvatar
+ */
+
+/**
+ * An avatar config with every default filled in.
+ *
+ * @typedef {Object} ResolvedAvatarConfig
+ * @property {Required<import('../types').AvatarProportions>} proportions
+ * @property {import('../types').HairStyle} hairStyle
+ * @property {Required<import('../types').AvatarOutfit>} outfit
+ * @property {AccessoryType[]} accessories
+ * @property {Record<string, AvatarExpression>} expressions
+ * @property {string} defaultExpression
+ */
+
+/**
+ * @typedef {Object} AvatarMaterials
+ * @property {THREE.MeshStandardMaterial} suit - Main body/arms (theme-responsive)
+ * @property {THREE.MeshStandardMaterial} trim - Belt/legs accent (theme-responsive)
+ * @property {THREE.MeshStandardMaterial} skin - Head (static)
+ * @property {THREE.MeshStandardMaterial} hair - Hair (theme-responsive)
+ * @property {THREE.MeshStandardMaterial} boots - Footwear (static)
+ * @property {THREE.MeshStandardMaterial} gear - Accessories (static)
+ */
+
+const IDLE_SPEED = 0.05; // rad/s of globe spin below which the avatar stands
+const WALK_SPEED = 0.6; // rad/s where the walk cycle is fully blended in
+const RUN_SPEED = 2.5; // rad/s where the run cycle is fully blended in
+const STRIDES_PER_RADIAN = 2.5; // cadence grows with speed…
+const MIN_CADENCE = 1.2; // …within these limits (strides per second)
+const MAX_CADENCE = 3.2;
+const MAX_SPIN_STEP = 1; // rad per update; bigger jumps are teleports, not walking
+const SPEED_RATE = 8; // 1/s, smoothing of the measured spin speed
+const TURN_RATE = 6; // 1/s
+const TURN_ANGLE = Math.PI * 0.4; // heading while walking (three-quarter view)
+const FACE_SIZE = 256; // face texture resolution (px)
+const HAIR_SHADE = 0.5; // darkening of the primary theme colour for hair…
+const HAIR_TINT = 0.5; // …mixed this far into the configured hair colour
+const OUTFIT_TINT = 0.5; // theme colour mixed into the configured suit and trim
+
+/** Walk and run poses (radians / world units), blended by speed. */
+const GAIT = {
+  walk: { leg: 0.5, arm: 0.4, lean: 0.05, bounce: 0.04 },
+  run: { leg: 0.9, arm: 0.8, lean: 0.2, bounce: 0.1 },
+};
+
+/**
+ * The classic look, used for anything a config leaves out.
+ *
+ * @type {ResolvedAvatarConfig}
+ */
+export const DEFAULT_AVATAR_CONFIG = {
+  proportions: { height: 1, headSize: 1, build: 1 },
+  hairStyle: 'cap',
+  outfit: {
+    suit: '#3d68ff',
+    trim: '#13204c',
+    skin: '#ffddc8',
+    hair: '#1f2745',
+    boots: '#0d1226',
+    gear: '#ffcc4d',
+  },
+  accessories: [],
+  expressions: {
+    happy: { eyes: 'round', mouth: 'smile' },
+    focused: { eyes: 'wide', mouth: 'flat' },
+    excited: { eyes: 'happy', mouth: 'grin', blush: true },
+    curious: { eyes: 'wide', mouth: 'o' },
+    wink: { eyes: 'wink', mouth: 'grin' },
+  },
+  defaultExpression: 'happy',
+};
+
+/**
+ * Fills the gaps in a (validated) avatar config with the defaults.
+ * Proportions, outfit colours and expressions are merged key by key.
+ *
+ * @param {AvatarConfig} [config={}]
+ * @returns {ResolvedAvatarConfig}
+ */
+export function resolveAvatarConfig(config = {}) {
+  const defaults = DEFAULT_AVATAR_CONFIG;
+  return {
+    proportions: { ...defaults.proportions, ...config.proportions },
+    hairStyle: config.hairStyle ?? defaults.hairStyle,
+    outfit: { ...defaults.outfit, ...config.outfit },
+    accessories: config.accessories ?? defaults.accessories,
+    expressions: { ...defaults.expressions, ...config.expressions },
+    defaultExpression: config.defaultExpression ?? defaults.defaultExpression,
+  };
+}
 
 /**
  * Procedurally generated 3D character avatar that stands on the globe.
@@ -6,74 +103,150 @@ import * as THREE from 'three';
  * Features:
  * - Custom geometry (capsules, spheres, cylinders)
  * - PBR materials with theme-responsive colors
- * - Procedural face texture (canvas-based)
+ * - Procedural face texture (canvas-based) with named expressions
  * - Idle animation (bobbing + swaying)
+ * - Procedural walk/run cycles on hip and shoulder pivots
  * - Dynamic color palette based on active location
  *
- * The avatar rotates counter to the globe so it always faces forward,
- * creating the illusion of walking around the planet.
+ * The look comes from an `AvatarConfig` (proportions, hair style, outfit
+ * colours, accessories, expressions; see `services/avatarService.js`).
+ * `setConfig()` rebuilds the avatar at runtime, and `setZoneStyle()` swaps
+ * in the expression and extra accessories the active location asks for.
+ *
+ * The avatar rotates counter to the globe so it stays in place while the
+ * planet spins under it. Its gait follows the globe's angular velocity:
+ * it turns towards the direction of travel, walks, breaks into a run as the
+ * spin speeds up, and blends back to idle (facing the camera) once the globe
+ * stops.
  *
  * @example
  * ```javascript
  * const avatar = new Avatar();
  * scene.add(avatar.group);
  * avatar.update(deltaTime, globeGroup);
- * avatar.setPalette('#6ad7ff', '#12376a'); // Update colors
+ * avatar.setPalette('#6ad7ff', '#12376a'); // Theme colours (tweened by ThemeController)
+ * avatar.setConfig(await getAvatarConfig()); // Rebuild from data
+ * avatar.setZoneStyle({ expression: 'focused', accessories: ['goggles'] });
  * ```
  */
 export class Avatar {
   /**
    * Creates a new procedural 3D character.
    * Builds geometry and materials, ready to be added to the scene.
+   *
+   * @param {AvatarConfig} [config] - Look of the avatar (defaults fill the gaps)
    */
-  constructor() {
+  constructor(config) {
     this.group = new THREE.Group();
     this.group.name = 'AvatarRoot';
 
+    this.config = resolveAvatarConfig(config);
+    /** @type {LocationAvatar | null} Overrides of the active zone */
+    this.zoneStyle = null;
+    /** @type {{ primary: THREE.Color, accent: THREE.Color } | null} Last theme palette */
+    this.palette = null;
+    /** @type {AvatarExpression | null} Expression currently painted */
+    this.expression = null;
+
+    this.faceCanvas = document.createElement('canvas');
+    this.faceCanvas.width = FACE_SIZE;
+    this.faceCanvas.height = FACE_SIZE;
+
     this.materials = this.createMaterials();
-    this.buildAvatar();
+    this.build();
     this.timeAccumulator = 0;
+    this.reducedMotion = false;
+
+    // Locomotion state, derived from the parent's rotation in update()
+    /** @type {number | null} */
+    this.previousSpin = null;
+    this.angularVelocity = 0;
+    this.moving = 0; // 0 idle … 1 walking/running
+    this.running = 0; // 0 walk … 1 run
+    this.heading = 0;
+    this.stridePhase = 0;
+  }
+
+  /**
+   * Rebuilds the avatar from a new configuration, keeping its animation
+   * state, theme palette and the active zone's style.
+   *
+   * @param {AvatarConfig} config - Validated config (see `validateAvatarConfig()`)
+   * @public
+   */
+  setConfig(config) {
+    this.config = resolveAvatarConfig(config);
+    if (this.core) disposeObject(this.core); // Also frees the materials and face texture
+    this.materials = this.createMaterials();
+    this.build();
   }
 
   /**
-   * Creates PBR material palette for the avatar's body parts.
+   * Applies the active location's expression and extra accessories.
+   * Passing null (or a location without `avatar`) restores the defaults.
+   *
+   * @param {LocationAvatar | null | undefined} style
+   * @public
+   */
+  setZoneStyle(style) {
+    this.zoneStyle = style ?? null;
+    this.applyZoneStyle();
+  }
+
+  /**
+   * Creates the meshes from `this.config` and `this.materials`, then
+   * re-applies the zone style and theme palette.
+   *
+   * @private
+   */
+  build() {
+    this.expression = null;
+    this.buildAvatar();
+    this.applyZoneStyle();
+    if (this.palette) this.setPalette(this.palette.primary, this.palette.accent);
+  }
+
+  /**
+   * Creates PBR material palette for the avatar's body parts from the
+   * configured outfit colours.
    * Materials are stored as instance properties for dynamic color updates.
    *
-   * @returns {Object} Material dictionary
-   * @returns {THREE.MeshStandardMaterial} return.suit - Main body/arms (theme-responsive)
-   * @returns {THREE.MeshStandardMaterial} return.trim - Belt/legs accent (theme-responsive)
-   * @returns {THREE.MeshStandardMaterial} return.skin - Head/face (static)
-   * @returns {THREE.MeshStandardMaterial} return.hair - Hair cap (theme-responsive)
-   * @returns {THREE.MeshStandardMaterial} return.boots - Footwear (static)
+   * @returns {AvatarMaterials} Material dictionary
    * @private
    */
   createMaterials() {
+    const { outfit } = this.config;
     return {
       suit: new THREE.MeshStandardMaterial({
-        color: 0x3d68ff,
+        color: outfit.suit,
         metalness: 0.15,
         roughness: 0.42,
       }),
       trim: new THREE.MeshStandardMaterial({
-        color: 0x13204c,
+        color: outfit.trim,
         roughness: 0.6,
         metalness: 0.05,
       }),
       skin: new THREE.MeshStandardMaterial({
-        color: 0xffddc8,
+        color: outfit.skin,
         roughness: 0.85,
         metalness: 0,
       }),
       hair: new THREE.MeshStandardMaterial({
-        color: 0x1f2745,
+        color: outfit.hair,
         roughness: 0.5,
         metalness: 0.1,
       }),
       boots: new THREE.MeshStandardMaterial({
-        color: 0x0d1226,
+        color: outfit.boots,
         roughness: 0.7,
         metalness: 0.05,
       }),
+      gear: new THREE.MeshStandardMaterial({
+        color: outfit.gear,
+        roughness: 0.35,
+        metalness: 0.4,
+      }),
     };
   }
 
@@ -84,19 +257,38 @@ export class Avatar {
    * - Torso: Capsule (body mass)
    * - Belt: Torus (waist accent)
    * - Head: Sphere (skull)
-   * - Hair: Hemisphere (hair cap)
+   * - Hair: depends on `hairStyle` (see `createHair()`)
    * - Face: Plane with procedural texture
    * - Legs: 2x Capsules
    * - Boots: 2x Cylinders
    * - Arms: 2x Capsules
+   * - Accessories: every type is built once and shown on demand
    *
-   * All meshes are parented to `this.core` for animation transforms.
+   * Body parts live in `AvatarBody` (scaled by `height` and `build`), head
+   * parts in `AvatarHead` (scaled by `headSize`, riding on the torso).
+   * Both are parented to `this.core` for animation transforms. Legs
+   * (with boots) hang from hip pivots and arms from shoulder pivots
+   * (`this.limbs`), so the walk cycle can swing them.
    *
    * @private
    */
   buildAvatar() {
+    const { height, headSize, build } = this.config.proportions;
+
     this.core = new THREE.Group();
     this.core.name = 'AvatarCore';
+    this.core.rotation.order = 'YXZ'; // Heading, then lean, then sway
+
+    const body = new THREE.Group();
+    body.name = 'AvatarBody';
+    body.scale.set(build, height, build);
+    this.core.add(body);
+
+    const headGroup = new THREE.Group();
+    headGroup.name = 'AvatarHead';
+    headGroup.position.y = 2.3 * height;
+    headGroup.scale.setScalar(headSize);
+    this.core.add(headGroup);
 
     const torso = new THREE.Mesh(
       new THREE.CapsuleGeometry(0.27, 0.78, 14, 28),
@@ -105,7 +297,7 @@ export class Avatar {
     torso.position.y = 1.55;
     torso.castShadow = true;
     torso.receiveShadow = true;
-    this.core.add(torso);
+    body.add(torso);
 
     const belt = new THREE.Mesh(
       new THREE.TorusGeometry(0.27, 0.06, 12, 24),
@@ -113,172 +305,463 @@ export class Avatar {
     );
     belt.rotation.x = Math.PI / 2;
     belt.position.y = torso.position.y - 0.2;
-    this.core.add(belt);
+    body.add(belt);
 
     const head = new THREE.Mesh(
       new THREE.SphereGeometry(0.32, 24, 24),
       this.materials.skin
     );
-    head.position.y = 2.3;
     head.castShadow = true;
-    this.core.add(head);
+    headGroup.add(head);
 
-    const hair = new THREE.Mesh(
-      new THREE.SphereGeometry(0.34, 24, 24, 0, Math.PI * 2, 0, Math.PI / 2),
-      this.materials.hair
-    );
-    hair.position.y = 2.35;
-    hair.scale.y = 0.85;
-    hair.castShadow = true;
-    this.core.add(hair);
+    const hair = this.createHair();
+    if (hair) headGroup.add(hair);
 
+    this.faceTexture = new THREE.CanvasTexture(this.faceCanvas);
+    this.faceTexture.colorSpace = THREE.SRGBColorSpace;
     const facePlate = new THREE.Mesh(
       new THREE.PlaneGeometry(0.5, 0.55),
       new THREE.MeshBasicMaterial({
-        map: this.createFaceTexture(),
+        map: this.faceTexture,
         transparent: true,
         depthWrite: false,
       })
     );
-    facePlate.position.set(0, 2.28, 0.31);
-    this.core.add(facePlate);
+    facePlate.position.set(0, -0.02, 0.31);
+    headGroup.add(facePlate);
+
+    const leftHip = new THREE.Group();
+    leftHip.name = 'AvatarLeftHip';
+    leftHip.position.set(-0.17, 1.25, 0);
+    body.add(leftHip);
 
     const legGeometry = new THREE.CapsuleGeometry(0.16, 0.6, 12, 24);
     const leftLeg = new THREE.Mesh(legGeometry, this.materials.trim);
-    leftLeg.position.set(-0.17, 0.85, 0);
+    leftLeg.position.y = -0.4;
     leftLeg.castShadow = true;
-    this.core.add(leftLeg);
-
-    const rightLeg = leftLeg.clone();
-    rightLeg.position.x *= -1;
-    this.core.add(rightLeg);
+    leftHip.add(leftLeg);
 
     const bootGeometry = new THREE.CylinderGeometry(0.17, 0.17, 0.25, 16);
     const leftBoot = new THREE.Mesh(bootGeometry, this.materials.boots);
-    leftBoot.position.set(-0.17, 0.55, 0);
+    leftBoot.position.y = -0.7;
     leftBoot.castShadow = true;
-    this.core.add(leftBoot);
+    leftHip.add(leftBoot);
 
-    const rightBoot = leftBoot.clone();
-    rightBoot.position.x *= -1;
-    this.core.add(rightBoot);
+    const rightHip = leftHip.clone();
+    rightHip.name = 'AvatarRightHip';
+    rightHip.position.x *= -1;
+    body.add(rightHip);
+
+    const leftShoulder = new THREE.Group();
+    leftShoulder.name = 'AvatarLeftShoulder';
+    leftShoulder.position.set(-0.42, 2.05, 0);
+    body.add(leftShoulder);
 
     const armGeometry = new THREE.CapsuleGeometry(0.12, 0.5, 12, 18);
     const leftArm = new THREE.Mesh(armGeometry, this.materials.suit);
-    leftArm.position.set(-0.42, 1.75, 0);
+    leftArm.position.y = -0.3;
     leftArm.rotation.z = Math.PI / 8;
     leftArm.castShadow = true;
-    this.core.add(leftArm);
+    leftShoulder.add(leftArm);
+
+    const rightShoulder = new THREE.Group();
+    rightShoulder.name = 'AvatarRightShoulder';
+    rightShoulder.position.set(0.42, 2.05, 0);
+    body.add(rightShoulder);
 
     const rightArm = leftArm.clone();
-    rightArm.position.x *= -1;
     rightArm.rotation.z *= -1;
-    this.core.add(rightArm);
+    rightShoulder.add(rightArm);
+
+    this.limbs = { leftHip, rightHip, leftShoulder, rightShoulder };
+
+    /** @type {Map<AccessoryType, THREE.Object3D>} */
+    const accessories = new Map();
+    /** @type {AccessoryType[]} */ (['goggles', 'headset', 'antenna', 'backpack']).forEach(
+      (type) => {
+        const accessory = this.createAccessory(type);
+        (type === 'backpack' ? body : headGroup).add(accessory);
+        accessories.set(type, accessory);
+      }
+    );
+    this.accessories = accessories;
 
     this.group.add(this.core);
   }
 
   /**
-   * Procedurally generates a simple face texture on a canvas.
+   * Builds the configured hair style, relative to the head centre.
+   *
+   * @returns {THREE.Object3D | null} Hair group, or null for `none`
+   * @private
+   */
+  createHair() {
+    const style = this.config.hairStyle;
+    if (style === 'none') return null;
+
+    const hair = new THREE.Group();
+    hair.name = 'AvatarHair';
+
+    const cap = new THREE.Mesh(
+      new THREE.SphereGeometry(0.34, 24, 24, 0, Math.PI * 2, 0, Math.PI / 2),
+      this.materials.hair
+    );
+    cap.position.y = 0.05;
+    cap.scale.y = 0.85;
+    cap.castShadow = true;
+    hair.add(cap);
+
+    if (style === 'spiky') {
+      const spikeGeometry = new THREE.ConeGeometry(0.07, 0.22, 8);
+      const up = new THREE.Vector3(0, 1, 0);
+      const count = 7;
+      for (let i = 0; i <= count; i += 1) {
+        // A ring of spikes tilted outwards, plus one on top
+        const tilt = i === count ? 0 : 0.6;
+        const around = (i / count) * Math.PI * 2;
+        const direction = new THREE.Vector3(
+          Math.sin(tilt) * Math.cos(around),
+          Math.cos(tilt),
+          Math.sin(tilt) * Math.sin(around)
+        );
+        const spike = new THREE.Mesh(spikeGeometry, this.materials.hair);
+        spike.position.copy(direction).multiplyScalar(0.3);
+        spike.position.y += 0.05;
+        spike.quaternion.setFromUnitVectors(up, direction);
+        spike.castShadow = true;
+        hair.add(spike);
+      }
+    } else if (style === 'bun') {
+      const bun = new THREE.Mesh(new THREE.SphereGeometry(0.13, 16, 16), this.materials.hair);
+      bun.position.set(0, 0.22, -0.26);
+      bun.castShadow = true;
+      hair.add(bun);
+    }
+
+    return hair;
+  }
+
+  /**
+   * Builds one accessory (hidden until worn). Head accessories are placed
+   * relative to the head centre, the backpack relative to the body.
+   *
+   * @param {AccessoryType} type
+   * @returns {THREE.Object3D}
+   * @private
+   */
+  createAccessory(type) {
+    const accessory = new THREE.Group();
+    accessory.name = `AvatarAccessory:${type}`;
+    accessory.visible = false;
+    const { gear, trim } = this.materials;
+
+    if (type === 'goggles') {
+      const strap = new THREE.Mesh(new THREE.TorusGeometry(0.335, 0.03, 8, 32), trim);
+      strap.rotation.x = Math.PI / 2;
+      strap.position.y = 0.01;
+      accessory.add(strap);
+
+      const lensMaterial = new THREE.MeshStandardMaterial({
+        color: 0x1b3a4b,
+        metalness: 0.6,
+        roughness: 0.1,
+        transparent: true,
+        opacity: 0.75,
+      });
+      const lensGeometry = new THREE.CylinderGeometry(0.075, 0.075, 0.04, 20);
+      const rimGeometry = new THREE.TorusGeometry(0.08, 0.018, 8, 20);
+      [-0.09, 0.09].forEach((x) => {
+        const lens = new THREE.Mesh(lensGeometry, lensMaterial);
+        lens.rotation.x = Math.PI / 2;
+        lens.position.set(x, 0.01, 0.33);
+        const rim = new THREE.Mesh(rimGeometry, gear);
+        rim.position.set(x, 0.01, 0.35);
+        accessory.add(lens, rim);
+      });
+    } else if (type === 'headset') {
+      // Half torus: an arc from ear to ear over the top of the head
+      const band = new THREE.Mesh(new THREE.TorusGeometry(0.36, 0.025, 8, 24, Math.PI), trim);
+      accessory.add(band);
+
+      const cupGeometry = new THREE.CylinderGeometry(0.09, 0.09, 0.06, 16);
+      [-0.35, 0.35].forEach((x) => {
+        const cup = new THREE.Mesh(cupGeometry, gear);
+        cup.rotation.z = Math.PI / 2;
+        cup.position.x = x;
+        accessory.add(cup);
+      });
+
+      const mic = new THREE.Mesh(new THREE.SphereGeometry(0.035, 12, 12), gear);
+      mic.position.set(-0.2, -0.2, 0.27);
+      accessory.add(mic);
+    } else if (type === 'antenna') {
+      const stalk = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.012, 0.3, 6), trim);
+      stalk.position.y = 0.42;
+      const tip = new THREE.Mesh(new THREE.SphereGeometry(0.05, 12, 12), gear);
+      tip.position.y = 0.6;
+      accessory.add(stalk, tip);
+    } else if (type === 'backpack') {
+      const pack = new THREE.Mesh(new THREE.BoxGeometry(0.42, 0.5, 0.2), trim);
+      pack.position.set(0, 1.6, -0.34);
+      pack.castShadow = true;
+      const pocket = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.2, 0.06), gear);
+      pocket.position.set(0, 1.5, -0.46);
+      accessory.add(pack, pocket);
+    }
+
+    return accessory;
+  }
+
+  /**
+   * Shows the accessories and paints the expression for the current config
+   * and zone style. Unknown expression names fall back to the default.
    *
-   * Features:
-   * - Two eyes (filled circles with highlights)
-   * - Smile (quadratic curve)
+   * @private
+   */
+  applyZoneStyle() {
+    const { expressions, defaultExpression, accessories } = this.config;
+    const requested = this.zoneStyle?.expression;
+    const expression =
+      (requested && expressions[requested]) ||
+      expressions[defaultExpression] ||
+      DEFAULT_AVATAR_CONFIG.expressions.happy;
+
+    if (expression !== this.expression) {
+      this.paintFace(expression);
+      this.expression = expression;
+    }
+
+    const worn = new Set([...accessories, ...(this.zoneStyle?.accessories ?? [])]);
+    this.accessories?.forEach((accessory, type) => {
+      accessory.visible = worn.has(type);
+    });
+  }
+
+  /**
+   * Paints an expression onto the face canvas.
    *
-   * The texture is applied to a plane mesh positioned in front of the head sphere.
+   * Eyes: `round` (classic), `wide`, `happy` (∩ arcs), `closed` (∪ arcs),
+   * `wink` (left open, right closed). Mouths: `smile`, `grin`, `flat`, `o`.
+   * `blush` adds rosy cheeks.
    *
-   * @returns {THREE.CanvasTexture} Face texture with transparency
+   * @param {AvatarExpression} expression
    * @private
    */
-  createFaceTexture() {
-    const size = 256;
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
+  paintFace({ eyes, mouth, blush = false }) {
+    const size = FACE_SIZE;
+    const ctx = this.faceCanvas.getContext('2d');
+    if (!ctx) return;
 
     ctx.fillStyle = '#fff7ec';
     ctx.fillRect(0, 0, size, size);
 
-    const drawEye = (x, y) => {
+    const ink = '#2e2b3f';
+    ctx.strokeStyle = ink;
+    ctx.lineWidth = size * 0.02;
+    ctx.lineCap = 'round';
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {import('../types').EyeShape} shape
+     */
+    const drawEye = (x, y, shape) => {
+      if (shape === 'happy' || shape === 'closed') {
+        ctx.beginPath();
+        if (shape === 'happy') {
+          ctx.arc(x, y + size * 0.03, size * 0.07, Math.PI * 1.1, Math.PI * 1.9);
+        } else {
+          ctx.arc(x, y - size * 0.03, size * 0.07, Math.PI * 0.1, Math.PI * 0.9);
+        }
+        ctx.stroke();
+        return;
+      }
+
+      const radius = shape === 'wide' ? 0.1 : 0.08;
       ctx.beginPath();
-      ctx.fillStyle = '#2e2b3f';
-      ctx.arc(x, y, size * 0.08, 0, Math.PI * 2);
+      ctx.fillStyle = ink;
+      ctx.arc(x, y, size * radius, 0, Math.PI * 2);
       ctx.fill();
 
       ctx.beginPath();
       ctx.fillStyle = '#ffffff';
-      ctx.arc(x - size * 0.02, y - size * 0.02, size * 0.03, 0, Math.PI * 2);
+      ctx.arc(x - size * 0.02, y - size * 0.02, size * (radius * 0.4), 0, Math.PI * 2);
       ctx.fill();
     };
 
-    drawEye(size * 0.35, size * 0.45);
-    drawEye(size * 0.65, size * 0.45);
+    drawEye(size * 0.35, size * 0.45, eyes === 'wink' ? 'round' : eyes);
+    drawEye(size * 0.65, size * 0.45, eyes === 'wink' ? 'closed' : eyes);
+
+    if (blush) {
+      ctx.fillStyle = 'rgba(255, 120, 140, 0.45)';
+      [0.22, 0.78].forEach((x) => {
+        ctx.beginPath();
+        ctx.ellipse(size * x, size * 0.6, size * 0.07, size * 0.04, 0, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
 
-    ctx.strokeStyle = '#2e2b3f';
-    ctx.lineWidth = size * 0.02;
-    ctx.lineCap = 'round';
     ctx.beginPath();
-    ctx.moveTo(size * 0.4, size * 0.62);
-    ctx.quadraticCurveTo(size * 0.5, size * 0.72, size * 0.6, size * 0.62);
-    ctx.stroke();
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.colorSpace = THREE.SRGBColorSpace;
-    texture.needsUpdate = true;
-    return texture;
+    if (mouth === 'grin') {
+      ctx.fillStyle = ink;
+      ctx.moveTo(size * 0.38, size * 0.6);
+      ctx.quadraticCurveTo(size * 0.5, size * 0.8, size * 0.62, size * 0.6);
+      ctx.closePath();
+      ctx.fill();
+    } else if (mouth === 'flat') {
+      ctx.moveTo(size * 0.42, size * 0.65);
+      ctx.lineTo(size * 0.58, size * 0.65);
+      ctx.stroke();
+    } else if (mouth === 'o') {
+      ctx.arc(size * 0.5, size * 0.66, size * 0.045, 0, Math.PI * 2);
+      ctx.stroke();
+    } else {
+      ctx.moveTo(size * 0.4, size * 0.62);
+      ctx.quadraticCurveTo(size * 0.5, size * 0.72, size * 0.6, size * 0.62);
+      ctx.stroke();
+    }
+
+    if (this.faceTexture) this.faceTexture.needsUpdate = true;
   }
 
   /**
-   * Updates the avatar's position and idle animation each frame.
+   * Updates the avatar's position, gait and idle animation each frame.
    *
    * Animation effects:
-   * - Vertical bobbing (sine wave, frequency 4 Hz)
-   * - Sideways swaying/tilting (sine wave, frequency 2 Hz)
-   * - Counter-rotation to parent (always faces camera)
+   * - Idle: vertical bobbing (4 Hz) and sideways swaying (2 Hz)
+   * - Walk/run: legs and arms swing in opposition, the body leans forward
+   *   and bounces each step; cadence and stride grow with spin speed
+   * - Heading: turns towards the direction of travel while moving
+   * - Counter-rotation to parent (stays in place as the globe turns)
    *
    * The avatar is positioned relative to the globe's Y position,
-   * standing on top of it.
+   * standing on top of it. In reduced-motion mode it stands still, facing
+   * the camera.
    *
    * @param {number} delta - Time elapsed since last frame (seconds)
-   * @param {THREE.Object3D} parent - Parent object (globe group) for position reference
+   * @param {THREE.Object3D} parent - Parent object (globe group); its Y
+   *   rotation drives the gait
    * @public
    */
   update(delta, parent) {
-    if (!parent) return;
+    if (!parent || !this.core || !this.limbs) return;
     this.timeAccumulator += delta;
+    this.updateLocomotion(delta, parent.rotation.y);
 
-    const bobAmount = Math.sin(this.timeAccumulator * 4) * 0.05;
-    const tiltAmount = Math.sin(this.timeAccumulator * 2) * 0.1;
+    const { moving, running } = this;
+    const gait = {
+      leg: THREE.MathUtils.lerp(GAIT.walk.leg, GAIT.run.leg, running) * moving,
+      arm: THREE.MathUtils.lerp(GAIT.walk.arm, GAIT.run.arm, running) * moving,
+      lean: THREE.MathUtils.lerp(GAIT.walk.lean, GAIT.run.lean, running) * moving,
+      bounce: THREE.MathUtils.lerp(GAIT.walk.bounce, GAIT.run.bounce, running) * moving,
+    };
+    const swing = Math.sin(this.stridePhase);
+
+    const idle = (this.reducedMotion ? 0 : 1) * (1 - moving);
+    const bobAmount =
+      Math.sin(this.timeAccumulator * 4) * 0.05 * idle + Math.abs(swing) * gait.bounce;
+    const tiltAmount = Math.sin(this.timeAccumulator * 2) * 0.1 * idle;
 
     this.group.position.set(0, parent.position.y + 2.05 + bobAmount, 0);
     this.group.rotation.y = parent.rotation.y * -1;
-    this.core.rotation.z = tiltAmount;
+    this.core.rotation.set(gait.lean, this.heading, tiltAmount);
+
+    this.limbs.leftHip.rotation.x = swing * gait.leg;
+    this.limbs.rightHip.rotation.x = -swing * gait.leg;
+    this.limbs.leftShoulder.rotation.x = -swing * gait.arm;
+    this.limbs.rightShoulder.rotation.x = swing * gait.arm;
+  }
+
+  /**
+   * Measures the globe's spin and eases the gait weights, heading and
+   * stride phase towards it.
+   *
+   * @param {number} delta - Seconds since the previous update
+   * @param {number} spin - Parent's current Y rotation (radians, unwrapped)
+   * @private
+   */
+  updateLocomotion(delta, spin) {
+    const step = spin - (this.previousSpin ?? spin);
+    this.previousSpin = spin;
+
+    const velocity = delta > 0 && Math.abs(step) < MAX_SPIN_STEP ? step / delta : 0;
+    const blend = 1 - Math.exp(-SPEED_RATE * delta);
+    this.angularVelocity += (velocity - this.angularVelocity) * blend;
+
+    const speed = this.reducedMotion ? 0 : Math.abs(this.angularVelocity);
+    const moving = THREE.MathUtils.smoothstep(speed, IDLE_SPEED, WALK_SPEED);
+    this.moving += (moving - this.moving) * blend;
+    const running = THREE.MathUtils.smoothstep(speed, WALK_SPEED, RUN_SPEED);
+    this.running += (running - this.running) * blend;
+
+    // Spinning the globe positively carries the surface to the right, so the
+    // avatar walks (and turns) left
+    const heading = moving > 0.5 ? -Math.sign(this.angularVelocity) * TURN_ANGLE : 0;
+    this.heading += (heading - this.heading) * (1 - Math.exp(-TURN_RATE * delta));
+
+    if (moving > 0) {
+      const cadence = THREE.MathUtils.clamp(
+        speed * STRIDES_PER_RADIAN,
+        MIN_CADENCE,
+        MAX_CADENCE
+      );
+      this.stridePhase = (this.stridePhase + cadence * Math.PI * 2 * delta) % (Math.PI * 2);
+    }
+  }
+
+  /**
+   * Turns the idle animation (bobbing + swaying) and the walk cycle off or
+   * back on.
+   *
+   * @param {boolean} enabled - True to hold the avatar still
+   * @public
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+    if (enabled) {
+      this.moving = 0;
+      this.heading = 0;
+    }
   }
 
   /**
-   * Updates the avatar's color palette to match the active location theme.
+   * Frees the avatar's geometries, materials and face texture and removes it
+   * from its parent. The instance cannot be used afterwards.
+   *
+   * @public
+   */
+  dispose() {
+    disposeObject(this.group);
+  }
+
+  /**
+   * Colours the avatar with the theme palette.
    *
    * Color mapping:
-   * - Primary color → Suit + Hair (darkened)
-   * - Accent color → Belt/Trim + Legs
+   * - Primary color → Suit (half mixed into the outfit's suit) + Hair
+   *   (darkened, half mixed into the outfit's hair)
+   * - Accent color → Belt/Trim + Legs (half mixed into the outfit's trim)
    *
-   * Uses color lerping for smooth transitions (not instant jumps).
+   * Colours are set exactly; smooth transitions come from calling this on
+   * every step of a theme transition (see `ThemeController`).
    *
-   * @param {string} primaryHex - Primary theme color (hex format, e.g., "#6ad7ff")
-   * @param {string} accentHex - Accent theme color (hex format, e.g., "#12376a")
+   * @param {THREE.ColorRepresentation} primary - Primary theme color (e.g. "#6ad7ff")
+   * @param {THREE.ColorRepresentation} accent - Accent theme color (e.g. "#12376a")
    * @public
    */
-  setPalette(primaryHex, accentHex) {
-    if (primaryHex) {
-      const color = new THREE.Color(primaryHex);
-      this.materials.suit.color.lerp(color, 0.7);
-      this.materials.hair.color.lerp(color.clone().multiplyScalar(0.5), 0.5);
-    }
+  setPalette(primary, accent) {
+    this.palette ??= { primary: new THREE.Color(), accent: new THREE.Color() };
+    this.palette.primary.set(primary);
+    this.palette.accent.set(accent);
 
-    if (accentHex) {
-      const accent = new THREE.Color(accentHex);
-      this.materials.trim.color.lerp(accent, 0.7);
-    }
+    this.materials.suit.color
+      .set(this.config.outfit.suit)
+      .lerp(this.palette.primary, OUTFIT_TINT);
+    this.materials.hair.color
+      .set(this.config.outfit.hair)
+      .lerp(this.palette.primary.clone().multiplyScalar(HAIR_SHADE), HAIR_TINT);
+    this.materials.trim.color
+      .set(this.config.outfit.trim)
+      .lerp(this.palette.accent, OUTFIT_TINT);
   }
 }
@@ -0,0 +1,330 @@
+import { renderMarkdown } from '../utils/markdown.js';
+import { isExternalLink, isSafeUrl } from '../utils/url.js';
+
+/**
+ * @typedef {import('../types').ContentBlock} ContentBlock
+ * @typedef {import('../types').ProjectsBlock} ProjectsBlock
+ * @typedef {import('../types').GalleryBlock} GalleryBlock
+ * @typedef {import('../types').TimelineBlock} TimelineBlock
+ * @typedef {import('../types').VideoBlock} VideoBlock
+ */
+
+/**
+ * @typedef {Object} ContentPanel
+ * @property {HTMLElement} element - Scrollable region to place in the overlay
+ * @property {(heading: string, blocks: ContentBlock[]) => void} render - Replaces the content
+ * @property {() => void} focus - Moves focus to the panel heading
+ * @property {() => void} dispose - Stops lazy loading and removes the element
+ */
+
+const YOUTUBE_ID = /(?:youtube\.com\/(?:watch\?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/;
+const VIMEO_ID = /vimeo\.com\/(?:video\/)?(\d+)/;
+const LAZY_MARGIN = '200px'; // start loading media shortly before it scrolls in
+
+/**
+ * Player URL for YouTube/Vimeo links, or null for plain video files.
+ *
+ * @param {string} src
+ * @returns {string | null}
+ */
+function getEmbedUrl(src) {
+  const youtube = src.match(YOUTUBE_ID);
+  if (youtube) return `https://www.youtube-nocookie.com/embed/${youtube[1]}?autoplay=1`;
+  const vimeo = src.match(VIMEO_ID);
+  if (vimeo) return `https://player.vimeo.com/video/${vimeo[1]}?autoplay=1`;
+  return null;
+}
+
+/**
+ * @param {string} tag
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * @param {string} href
+ * @returns {HTMLAnchorElement}
+ */
+function createLink(href) {
+  const link = document.createElement('a');
+  link.href = href;
+  if (isExternalLink(href)) {
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+  }
+  return link;
+}
+
+/**
+ * Creates the expandable detail panel that renders a location's content
+ * blocks (see `types/ContentBlock.ts`):
+ * - `projects`: cards with cover image, tags and link
+ * - `gallery`: captioned image grid
+ * - `markdown`: formatted text (`utils/markdown.js`, no raw HTML)
+ * - `timeline`: dated milestones
+ * - `video`: a poster with a play button; the YouTube/Vimeo player or
+ *   `<video>` element is only created when pressed, and then focused
+ *
+ * Images load when they scroll into (or near) view of the panel; where
+ * `IntersectionObserver` is missing they fall back to `loading="lazy"`.
+ * URLs other than http(s), mailto, relative or `#` ones are skipped.
+ *
+ * The panel is a labelled region with a focusable heading; arrow keys
+ * scroll it instead of spinning the globe (`data-native-keys`).
+ *
+ * @returns {ContentPanel}
+ *
+ * @example
+ * ```javascript
+ * const details = createContentPanel();
+ * overlay.append(details.element);
+ * details.render('Launch Deck', zone.content);
+ * details.focus();
+ * ```
+ */
+export function createContentPanel() {
+  const element = createElement('section', 'ui-details');
+  element.id = 'ui-zone-details';
+  element.dataset.nativeKeys = '';
+
+  const heading = createElement('h3', 'ui-details-heading');
+  heading.id = 'ui-zone-details-heading';
+  heading.tabIndex = -1;
+  element.setAttribute('aria-labelledby', heading.id);
+
+  const body = createElement('div', 'ui-details-body');
+  element.append(heading, body);
+
+  const observer =
+    typeof IntersectionObserver === 'undefined'
+      ? null
+      : new IntersectionObserver(
+          (entries) => {
+            entries.forEach(({ isIntersecting, target }) => {
+              if (!isIntersecting) return;
+              observer?.unobserve(target);
+              loadImage(/** @type {HTMLImageElement} */ (target));
+            });
+          },
+          { root: element, rootMargin: LAZY_MARGIN }
+        );
+
+  /**
+   * @param {HTMLImageElement} image
+   */
+  const loadImage = (image) => {
+    const src = image.dataset.src;
+    if (!src) return;
+    delete image.dataset.src;
+    image.src = src;
+  };
+
+  /**
+   * Creates an image whose source is assigned once it nears the viewport.
+   *
+   * @param {string} src
+   * @param {string} alt
+   * @param {string} className
+   * @returns {HTMLImageElement}
+   */
+  const createLazyImage = (src, alt, className) => {
+    const image = /** @type {HTMLImageElement} */ (createElement('img', className));
+    image.alt = alt;
+    image.decoding = 'async';
+    image.dataset.src = src;
+    if (observer) {
+      observer.observe(image);
+    } else {
+      image.loading = 'lazy';
+      loadImage(image);
+    }
+    return image;
+  };
+
+  /**
+   * @param {ProjectsBlock} block
+   * @returns {HTMLElement}
+   */
+  const renderProjects = (block) => {
+    const list = createElement('ul', 'ui-cards');
+    block.items.forEach((item) => {
+      const card = createElement('li', 'ui-card');
+      if (item.image && isSafeUrl(item.image)) {
+        card.append(createLazyImage(item.image, item.imageAlt ?? '', 'ui-card-image'));
+      }
+
+      const title = createElement('h5', 'ui-card-title');
+      if (item.href && isSafeUrl(item.href)) {
+        const link = createLink(item.href);
+        link.textContent = item.title;
+        title.append(link);
+      } else {
+        title.textContent = item.title;
+      }
+      card.append(title);
+
+      if (item.summary) card.append(createElement('p', 'ui-card-summary', item.summary));
+      if (item.tags?.length) {
+        const tags = createElement('ul', 'ui-tags');
+        tags.setAttribute('aria-label', 'Tags');
+        item.tags.forEach((tag) => tags.append(createElement('li', 'ui-tag', tag)));
+        card.append(tags);
+      }
+      list.append(card);
+    });
+    return list;
+  };
+
+  /**
+   * @param {GalleryBlock} block
+   * @returns {HTMLElement}
+   */
+  const renderGallery = (block) => {
+    const list = createElement('ul', 'ui-gallery');
+    block.images
+      .filter((image) => isSafeUrl(image.src))
+      .forEach((image) => {
+        const figure = createElement('figure');
+        figure.append(createLazyImage(image.src, image.alt, 'ui-gallery-image'));
+        if (image.caption) figure.append(createElement('figcaption', undefined, image.caption));
+        const item = createElement('li');
+        item.append(figure);
+        list.append(item);
+      });
+    return list;
+  };
+
+  /**
+   * @param {TimelineBlock} block
+   * @returns {HTMLElement}
+   */
+  const renderTimeline = (block) => {
+    const list = createElement('ol', 'ui-timeline');
+    block.entries.forEach((entry) => {
+      const item = createElement('li');
+      item.append(
+        createElement('span', 'ui-timeline-date', entry.date),
+        createElement('strong', 'ui-timeline-title', entry.title)
+      );
+      if (entry.description) item.append(createElement('p', undefined, entry.description));
+      list.append(item);
+    });
+    return list;
+  };
+
+  /**
+   * @param {VideoBlock} block
+   * @returns {HTMLElement}
+   */
+  const renderVideo = (block) => {
+    const figure = createElement('figure', 'ui-video');
+    const play = /** @type {HTMLButtonElement} */ (createElement('button', 'ui-video-play'));
+    play.type = 'button';
+    play.setAttribute('aria-label', `Play video${block.title ? `: ${block.title}` : ''}`);
+    if (block.poster && isSafeUrl(block.poster)) {
+      play.append(createLazyImage(block.poster, '', 'ui-video-poster'));
+    }
+    play.append(createElement('span', 'ui-video-icon', '▶'));
+
+    play.addEventListener('click', () => {
+      const embedUrl = getEmbedUrl(block.src);
+      /** @type {HTMLIFrameElement | HTMLVideoElement} */
+      let player;
+      if (embedUrl) {
+        player = document.createElement('iframe');
+        player.src = embedUrl;
+        player.title = block.title ?? 'Video';
+        player.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+      } else {
+        player = document.createElement('video');
+        player.src = block.src;
+        player.controls = true;
+        player.autoplay = true;
+        if (block.poster && isSafeUrl(block.poster)) player.poster = block.poster;
+      }
+      player.className = 'ui-video-player';
+      play.replaceWith(player);
+      player.focus();
+    });
+
+    figure.append(play);
+    if (block.caption) figure.append(createElement('figcaption', undefined, block.caption));
+    return figure;
+  };
+
+  /**
+   * @param {ContentBlock} block
+   * @returns {HTMLElement | null} Null for blocks that cannot be shown
+   */
+  const renderBlock = (block) => {
+    switch (block.type) {
+      case 'projects':
+        return renderProjects(block);
+      case 'gallery':
+        return renderGallery(block);
+      case 'markdown': {
+        const text = createElement('div', 'ui-markdown');
+        text.append(renderMarkdown(block.markdown));
+        return text;
+      }
+      case 'timeline':
+        return renderTimeline(block);
+      case 'video':
+        return isSafeUrl(block.src) ? renderVideo(block) : null;
+      default:
+        return null;
+    }
+  };
+
+  return {
+    element,
+
+    /**
+     * Replaces the panel content. Pending image loads of the previous
+     * content are cancelled.
+     *
+     * @param {string} headingText - Panel heading (usually the zone label)
+     * @param {ContentBlock[]} blocks - Blocks in display order
+     */
+    render(headingText, blocks) {
+      observer?.disconnect();
+      heading.textContent = headingText;
+      body.replaceChildren();
+      element.scrollTop = 0;
+
+      blocks.forEach((block) => {
+        const content = renderBlock(block);
+        if (!content) return;
+        const section = createElement('div', `ui-block ui-block-${block.type}`);
+        if ('title' in block && block.title) {
+          section.append(createElement('h4', 'ui-block-title', block.title));
+        }
+        section.append(content);
+        body.append(section);
+      });
+    },
+
+    /**
+     * Moves focus to the panel heading (after opening it, or when the
+     * focused content was replaced).
+     */
+    focus() {
+      heading.focus();
+    },
+
+    /**
+     * Stops lazy loading and removes the panel from the page.
+     */
+    dispose() {
+      observer?.disconnect();
+      element.remove();
+    },
+  };
+}
@@ -1,77 +1,228 @@
+import {
+  GamepadInput,
+  KeyboardInput,
+  PointerInput,
+  WheelInput,
+} from './input/index.js';
+
+/**
+ * @typedef {import('./input/index.js').InputAction} InputAction
+ * @typedef {import('./input/index.js').InputDevice} InputDevice
+ */
+
 const ROTATION_SPEED = 1.4; // radians per second
 const DRAG_SENSITIVITY = 0.005;
+const FRICTION = 3.5; // exponential decay rate of coasting velocity (1/s)
+const SNAP_STRENGTH = 6; // 0 disables snapping
+const SNAP_THRESHOLD = 0.35; // radians per second
+const SNAP_EPSILON = 0.001;
 
+/**
+ * Input hub for spinning, tilting and zooming the globe.
+ *
+ * Devices (keyboard, pointer/touch, wheel, gamepad — see `components/input`)
+ * emit a normalized action set; Controls turns those into callbacks and adds
+ * physical feel on top:
+ * - **Inertial coasting** after a flick, slowed by `friction`
+ * - **Magnetic snapping** to the nearest zone centre once the globe slows
+ *   below `snapThreshold`, so it never rests on a zone boundary
+ *
+ * Snapping asks the owner for the remaining distance through `getSnapOffset()`.
+ * `onInput` fires for every device action, so the owner can tell the user
+ * apart from coasting and snapping (e.g. to end a guided tour).
+ * In reduced-motion mode (`setReducedMotion(true)`) flicks do not coast and
+ * snapping lands on the zone centre in a single step.
+ *
+ * @example
+ * ```javascript
+ * const controls = new Controls({ friction: 2, snapStrength: 8 });
+ * controls.attach({
+ *   onRotate: (delta) => { targetRotation += delta; },
+ *   onTilt: (delta) => { targetTilt += delta; },
+ *   onZoom: (factor) => { zoom *= factor; },
+ *   getSnapOffset: () => zones.getNearestCenter(targetRotation) - targetRotation,
+ * });
+ * controls.addDevice(myMidiKnob); // Any InputDevice
+ * ```
+ */
 export class Controls {
-  constructor() {
-    this.direction = 0;
-    this.dragging = false;
-    this.previousPointerX = 0;
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.rotationSpeed=1.4] - Keyboard spin speed (radians/second)
+   * @param {number} [options.sensitivity=0.005] - Radians per dragged pixel
+   * @param {number} [options.friction=3.5] - Coasting decay rate; higher stops sooner
+   * @param {number} [options.snapStrength=6] - Pull towards the nearest zone centre (0 = off)
+   * @param {number} [options.snapThreshold=0.35] - Speed (radians/second) below which snapping starts
+   * @param {EventTarget} [options.target=window] - Element receiving pointer and wheel input
+   * @param {EventTarget} [options.keyTarget=window] - Element receiving keyboard input
+   * @param {boolean} [options.wheelRequiresFocus=false] - Let the wheel scroll the page
+   *   unless focus is inside `target` (for a globe embedded in a page)
+   * @param {InputDevice[]} [options.devices] - Replaces the default device set
+   */
+  constructor({
+    rotationSpeed = ROTATION_SPEED,
+    sensitivity = DRAG_SENSITIVITY,
+    friction = FRICTION,
+    snapStrength = SNAP_STRENGTH,
+    snapThreshold = SNAP_THRESHOLD,
+    target = window,
+    keyTarget = window,
+    wheelRequiresFocus = false,
+    devices,
+  } = {}) {
+    this.friction = friction;
+    this.snapStrength = snapStrength;
+    this.snapThreshold = snapThreshold;
+    this.reducedMotion = false;
+
+    /** @type {InputDevice[]} */
+    this.devices = devices ?? [
+      new KeyboardInput({ rotationSpeed, target: keyTarget }),
+      new PointerInput({ sensitivity, target }),
+      new WheelInput({ target, requireFocus: wheelRequiresFocus }),
+      new GamepadInput(),
+    ];
+
+    this.attached = false;
+    /** @type {Set<string>} Sources currently being held by the user */
+    this.grabbed = new Set();
+    this.velocity = 0;
+    this.coasting = false;
+    this.snapping = false;
     this.callbacks = {
+      /** @type {(delta: number) => void} */
       onRotate: () => {},
+      /** @type {(delta: number) => void} */
+      onTilt: () => {},
+      /** @type {(factor: number) => void} */
+      onZoom: () => {},
+      /** @type {() => number | null} */
+      getSnapOffset: () => null,
+      /** @type {(action: InputAction) => void} */
+      onInput: () => {},
     };
   }
 
+  /**
+   * @param {Partial<Controls['callbacks']>} [callbacks]
+   */
   attach(callbacks = {}) {
     this.callbacks = { ...this.callbacks, ...callbacks };
-    window.addEventListener('keydown', this.handleKeyDown);
-    window.addEventListener('keyup', this.handleKeyUp);
-    window.addEventListener('pointerdown', this.handlePointerDown);
-    window.addEventListener('pointermove', this.handlePointerMove);
-    window.addEventListener('pointerup', this.handlePointerUp);
-    window.addEventListener('pointercancel', this.handlePointerUp);
+    this.devices.forEach((device) => device.attach(this.dispatch));
+    this.attached = true;
   }
 
   detach() {
-    window.removeEventListener('keydown', this.handleKeyDown);
-    window.removeEventListener('keyup', this.handleKeyUp);
-    window.removeEventListener('pointerdown', this.handlePointerDown);
-    window.removeEventListener('pointermove', this.handlePointerMove);
-    window.removeEventListener('pointerup', this.handlePointerUp);
-    window.removeEventListener('pointercancel', this.handlePointerUp);
+    this.devices.forEach((device) => device.detach());
+    this.attached = false;
+    this.grabbed.clear();
+    this.halt();
+  }
+
+  /**
+   * Registers an additional input device.
+   *
+   * @param {InputDevice} device
+   */
+  addDevice(device) {
+    this.devices.push(device);
+    if (this.attached) device.attach(this.dispatch);
   }
 
-  handleKeyDown = (event) => {
-    if (event.code === 'ArrowLeft' || event.code === 'KeyA') {
-      this.direction = -1;
+  /**
+   * Disables inertia and gradual snapping for users who prefer reduced motion.
+   *
+   * @param {boolean} enabled
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+    if (enabled && this.coasting) {
+      this.halt();
+      this.snapping = true;
     }
-    if (event.code === 'ArrowRight' || event.code === 'KeyD') {
-      this.direction = 1;
+  }
+
+  /**
+   * Cancels coasting and snapping, e.g. when the globe is moved programmatically.
+   */
+  halt() {
+    this.velocity = 0;
+    this.coasting = false;
+    this.snapping = false;
+  }
+
+  /**
+   * Receives normalized actions from every device.
+   *
+   * @param {InputAction} action
+   */
+  dispatch = (action) => {
+    this.callbacks.onInput(action);
+    switch (action.type) {
+      case 'grab':
+        this.grabbed.add(action.source);
+        this.halt();
+        break;
+      case 'release':
+        this.grabbed.delete(action.source);
+        if (!this.grabbed.size) {
+          this.velocity = this.reducedMotion ? 0 : action.velocity ?? 0;
+          this.coasting = true;
+        }
+        break;
+      case 'rotate':
+        this.callbacks.onRotate(action.value);
+        break;
+      case 'tilt':
+        this.callbacks.onTilt(action.value);
+        break;
+      case 'zoom':
+        this.callbacks.onZoom(action.value);
+        break;
+      default:
+        break;
     }
   };
 
-  handleKeyUp = (event) => {
-    if (
-      (event.code === 'ArrowLeft' || event.code === 'KeyA') &&
-      this.direction === -1
-    ) {
-      this.direction = 0;
-    }
-    if (
-      (event.code === 'ArrowRight' || event.code === 'KeyD') &&
-      this.direction === 1
-    ) {
-      this.direction = 0;
+  /**
+   * Polls devices, then applies inertia and snapping. Call once per frame.
+   *
+   * @param {number} delta - Seconds since the previous frame
+   */
+  update(delta) {
+    this.devices.forEach((device) => device.update?.(delta));
+
+    if (this.grabbed.size) return;
+
+    if (this.coasting) {
+      this.callbacks.onRotate(this.velocity * delta);
+      this.velocity *= Math.exp(-this.friction * delta);
+
+      if (Math.abs(this.velocity) < this.snapThreshold) {
+        this.velocity = 0;
+        this.coasting = false;
+        this.snapping = true;
+      }
     }
-  };
 
-  handlePointerDown = (event) => {
-    this.dragging = true;
-    this.previousPointerX = event.clientX;
-  };
+    if (this.snapping) this.applySnap(delta);
+  }
 
-  handlePointerMove = (event) => {
-    if (!this.dragging) return;
-    const deltaX = event.clientX - this.previousPointerX;
-    this.previousPointerX = event.clientX;
-    this.callbacks.onRotate(deltaX * DRAG_SENSITIVITY);
-  };
+  /**
+   * Eases the rotation towards the nearest zone centre.
+   *
+   * @param {number} delta - Seconds since the previous frame
+   * @private
+   */
+  applySnap(delta) {
+    const offset = this.snapStrength > 0 ? this.callbacks.getSnapOffset() : null;
 
-  handlePointerUp = () => {
-    this.dragging = false;
-  };
+    if (offset == null || Math.abs(offset) < SNAP_EPSILON) {
+      this.snapping = false;
+      return;
+    }
 
-  update(delta) {
-    if (!this.direction) return;
-    this.callbacks.onRotate(this.direction * ROTATION_SPEED * delta);
+    const pull = this.reducedMotion ? 1 : 1 - Math.exp(-this.snapStrength * delta);
+    this.callbacks.onRotate(offset * pull);
   }
 }
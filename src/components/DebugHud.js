@@ -0,0 +1,67 @@
+const REFRESH_MS = 250;
+
+/**
+ * Small on-screen performance readout: FPS, draw calls, triangles and the
+ * current quality tier. Enabled with `?debug` in the URL.
+ *
+ * @example
+ * ```javascript
+ * const hud = new DebugHud(container);
+ * // every frame, after rendering:
+ * hud.update(frameSeconds, renderer.info, quality.tier);
+ * hud.dispose();
+ * ```
+ */
+export class DebugHud {
+  /**
+   * @param {HTMLElement} container - Element the HUD is appended to
+   */
+  constructor(container) {
+    this.element = document.createElement('div');
+    this.element.className = 'debug-hud';
+    this.element.setAttribute('aria-hidden', 'true');
+    container.appendChild(this.element);
+
+    this.frames = 0;
+    this.elapsed = 0;
+  }
+
+  /**
+   * Accumulates one frame and refreshes the readout a few times per second.
+   *
+   * @param {number} seconds - Time since the previous frame
+   * @param {import('three').WebGLInfo} info - `renderer.info` after rendering
+   * @param {string} tier - Current quality tier
+   */
+  update(seconds, info, tier) {
+    this.frames += 1;
+    this.elapsed += seconds;
+    if (this.elapsed * 1000 < REFRESH_MS) return;
+
+    const fps = Math.round(this.frames / this.elapsed);
+    this.frames = 0;
+    this.elapsed = 0;
+
+    this.element.textContent = [
+      `${fps} fps`,
+      `${info.render.calls} draws`,
+      `${info.render.triangles.toLocaleString()} tris`,
+      `quality: ${tier}`,
+    ].join('\n');
+  }
+
+  dispose() {
+    this.element.remove();
+  }
+}
+
+/**
+ * Whether the URL asks for the debug HUD (`?debug` or `?debug=1`).
+ *
+ * @param {string} [search=window.location.search]
+ * @returns {boolean}
+ */
+export function isDebugEnabled(search = window.location.search) {
+  const value = new URLSearchParams(search).get('debug');
+  return value !== null && value !== '0' && value !== 'false';
+}
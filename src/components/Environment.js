@@ -0,0 +1,640 @@
+import * as THREE from 'three';
+import { gsap } from 'gsap';
+import { disposeObject } from '../utils/dispose.js';
+import { loadTexture, releaseAsset } from '../utils/loader.js';
+import {
+  PARTICLES_FRAGMENT,
+  PARTICLES_VERTEX,
+  SKY_FRAGMENT,
+  SKY_VERTEX,
+} from './shaders/environment.js';
+
+/**
+ * @typedef {import('../types').LocationEnvironment} LocationEnvironment
+ * @typedef {import('../types').EnvironmentParticles} EnvironmentParticles
+ * @typedef {import('../types').ParticleType} ParticleType
+ * @typedef {Pick<import('./QualityManager.js').QualitySettings,
+ *   'shadows' | 'particleDensity'>} EnvironmentQuality
+ */
+
+/**
+ * @typedef {'skyTop' | 'skyBottom' | 'fogColor' | 'hemiSky' | 'hemiGround' |
+ *   'keyColor' | 'rimColor'} ColorKey
+ * @typedef {'skyOpacity' | 'fogDensity' | 'hemiIntensity' | 'keyIntensity' |
+ *   'rimIntensity' | 'mapWeightA' | 'mapWeightB'} NumberKey
+ */
+
+/**
+ * Numeric form of an environment; transitions blend between two of these.
+ *
+ * @typedef {Object} EnvironmentState
+ * @property {Record<ColorKey, THREE.Color>} colors
+ * @property {Record<NumberKey, number>} numbers
+ */
+
+/**
+ * @typedef {Object} SkySlot
+ * @property {string | null} url - Skybox image held by this slot
+ * @property {THREE.Texture | null} texture - Set once loaded
+ * @property {object | null} token - Identifies the pending load
+ */
+
+/**
+ * @typedef {Object} ParticleSystem
+ * @property {THREE.Points<THREE.BufferGeometry, THREE.ShaderMaterial>} points
+ * @property {EnvironmentParticles} config
+ * @property {number} opacity - Current fade level (0–1)
+ */
+
+/** @type {ColorKey[]} */
+const COLOR_KEYS = [
+  'skyTop',
+  'skyBottom',
+  'fogColor',
+  'hemiSky',
+  'hemiGround',
+  'keyColor',
+  'rimColor',
+];
+/** @type {NumberKey[]} */
+const NUMBER_KEYS = [
+  'skyOpacity',
+  'fogDensity',
+  'hemiIntensity',
+  'keyIntensity',
+  'rimIntensity',
+  'mapWeightA',
+  'mapWeightB',
+];
+
+/** The original fixed rig; every location without `environment` uses it. */
+const DEFAULTS = {
+  skyTop: 0x0b1026,
+  skyBottom: 0x1b2a55,
+  fogColor: 0x101832,
+  hemiSky: 0xaecbff,
+  hemiGround: 0x1e2431,
+  hemiIntensity: 1.1,
+  keyColor: 0xf0f4ff,
+  keyIntensity: 1.2,
+  rimColor: 0x6287ff,
+  rimIntensity: 0.4,
+};
+
+const DEFAULT_DURATION = 1.2;
+const DEFAULT_EASE = 'power2.inOut';
+const INTERRUPT_EASE = 'power2.out';
+const HEMI_THEME_TINT = 0.25; // how far the sky light leans towards the theme colour
+const RIM_THEME_TINT = 0.6;
+const SKY_RADIUS = 50;
+
+/** @type {EnvironmentQuality} */
+const DEFAULT_QUALITY = { shadows: true, particleDensity: 1 };
+
+/**
+ * Look of each particle effect. `size` is in pixels at one unit of distance;
+ * `box` effects wrap around inside a volume around the globe, the others sit
+ * on a far shell.
+ *
+ * @type {Record<ParticleType, { count: number, size: number, velocity: [number, number, number],
+ *   sway: number, twinkle: number, additive: boolean, box: boolean }>}
+ */
+const PARTICLE_STYLES = {
+  stars: {
+    count: 1500,
+    size: 80,
+    velocity: [0, 0, 0],
+    sway: 0,
+    twinkle: 0.6,
+    additive: true,
+    box: false,
+  },
+  snow: {
+    count: 600,
+    size: 20,
+    velocity: [0, -0.5, 0],
+    sway: 0.35,
+    twinkle: 0,
+    additive: false,
+    box: true,
+  },
+  rain: {
+    count: 600,
+    size: 12,
+    velocity: [0.4, -7, 0],
+    sway: 0,
+    twinkle: 0,
+    additive: false,
+    box: true,
+  },
+  embers: {
+    count: 400,
+    size: 24,
+    velocity: [0, 0.7, 0],
+    sway: 0.25,
+    twinkle: 0.5,
+    additive: true,
+    box: true,
+  },
+};
+const PARTICLE_BOX_MIN = new THREE.Vector3(-9, -5, -10);
+const PARTICLE_BOX_SIZE = new THREE.Vector3(18, 10, 12); // stays behind the nearest camera
+const STAR_RADIUS_MIN = 30;
+const STAR_RADIUS_MAX = 45;
+
+/**
+ * @returns {EnvironmentState}
+ */
+function createState() {
+  return {
+    colors: /** @type {Record<ColorKey, THREE.Color>} */ (
+      Object.fromEntries(COLOR_KEYS.map((key) => [key, new THREE.Color()]))
+    ),
+    numbers: /** @type {Record<NumberKey, number>} */ (
+      Object.fromEntries(NUMBER_KEYS.map((key) => [key, 0]))
+    ),
+  };
+}
+
+/**
+ * Writes `a` blended towards `b` into `out` (`t` 0 → a, 1 → b).
+ *
+ * @param {EnvironmentState} out
+ * @param {EnvironmentState} a
+ * @param {EnvironmentState} b
+ * @param {number} t
+ */
+function lerpState(out, a, b, t) {
+  COLOR_KEYS.forEach((key) => out.colors[key].lerpColors(a.colors[key], b.colors[key], t));
+  NUMBER_KEYS.forEach((key) => {
+    out.numbers[key] = a.numbers[key] + (b.numbers[key] - a.numbers[key]) * t;
+  });
+}
+
+/**
+ * Writes the state of a location environment (defaults filling the gaps)
+ * into `out`. Skybox weights are left to the caller.
+ *
+ * @param {EnvironmentState} out
+ * @param {LocationEnvironment | null | undefined} environment
+ */
+function resolveState(out, environment) {
+  const { sky, fog, lights = {} } = environment ?? {};
+  const { hemisphere = {}, key = {}, rim = {} } = lights;
+  const { colors, numbers } = out;
+
+  colors.skyTop.set(sky?.top ?? DEFAULTS.skyTop);
+  colors.skyBottom.set(sky?.bottom ?? DEFAULTS.skyBottom);
+  numbers.skyOpacity = sky ? 1 : 0;
+
+  colors.fogColor.set(fog?.color ?? DEFAULTS.fogColor);
+  numbers.fogDensity = fog?.density ?? 0;
+
+  colors.hemiSky.set(hemisphere.color ?? DEFAULTS.hemiSky);
+  colors.hemiGround.set(hemisphere.groundColor ?? DEFAULTS.hemiGround);
+  numbers.hemiIntensity = hemisphere.intensity ?? DEFAULTS.hemiIntensity;
+  colors.keyColor.set(key.color ?? DEFAULTS.keyColor);
+  numbers.keyIntensity = key.intensity ?? DEFAULTS.keyIntensity;
+  colors.rimColor.set(rim.color ?? DEFAULTS.rimColor);
+  numbers.rimIntensity = rim.intensity ?? DEFAULTS.rimIntensity;
+}
+
+/**
+ * @param {EnvironmentParticles} a
+ * @param {EnvironmentParticles} b
+ * @returns {boolean} True when both describe the same effect
+ */
+function sameParticles(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Builds the points for a particle effect.
+ *
+ * @param {EnvironmentParticles} config
+ * @param {number} density - Quality multiplier for the particle count
+ * @returns {THREE.Points<THREE.BufferGeometry, THREE.ShaderMaterial>}
+ */
+function createParticles(config, density) {
+  const style = PARTICLE_STYLES[config.type];
+  const count = Math.max(1, Math.round((config.count ?? style.count) * density));
+  const positions = new Float32Array(count * 3);
+  const seeds = new Float32Array(count);
+  const point = new THREE.Vector3();
+
+  for (let i = 0; i < count; i += 1) {
+    if (style.box) {
+      point.set(Math.random(), Math.random(), Math.random())
+        .multiply(PARTICLE_BOX_SIZE)
+        .add(PARTICLE_BOX_MIN);
+    } else {
+      point.randomDirection()
+        .multiplyScalar(THREE.MathUtils.lerp(STAR_RADIUS_MIN, STAR_RADIUS_MAX, Math.random()));
+    }
+    point.toArray(positions, i * 3);
+    seeds[i] = Math.random();
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('aSeed', new THREE.BufferAttribute(seeds, 1));
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      uOpacity: { value: 0 },
+      uColor: { value: new THREE.Color(config.color ?? '#ffffff') },
+      uSize: { value: style.size * (config.size ?? 1) },
+      uSway: { value: style.sway },
+      uTwinkle: { value: style.twinkle },
+      uVelocity: {
+        value: new THREE.Vector3(...style.velocity).multiplyScalar(config.speed ?? 1),
+      },
+      uBoxMin: { value: PARTICLE_BOX_MIN },
+      uBoxSize: { value: style.box ? PARTICLE_BOX_SIZE : new THREE.Vector3() },
+    },
+    vertexShader: PARTICLES_VERTEX,
+    fragmentShader: PARTICLES_FRAGMENT,
+    transparent: true,
+    depthWrite: false,
+    blending: style.additive ? THREE.AdditiveBlending : THREE.NormalBlending,
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.name = `EnvironmentParticles:${config.type}`;
+  points.frustumCulled = false; // Positions move in the vertex shader
+  return points;
+}
+
+/**
+ * Scene mood around the globe: sky dome, fog, the light rig and particles.
+ *
+ * Each location may describe its own `environment` (see
+ * `types/Environment.ts`); `setEnvironment()` cross-fades every part to it
+ * over `duration` seconds:
+ * - Sky gradient colours, skybox maps (two slots, so an outgoing and an
+ *   incoming skybox blend) and sky opacity (0 shows the page background)
+ * - Fog colour and density (`fog`, to be assigned to `scene.fog`)
+ * - Hemisphere, key and rim light colours and intensities
+ * - Particle effects fade out and in; faded-out effects are freed
+ *
+ * A new environment mid-transition blends on from the current mix, so
+ * spinning past several zones never jumps. The light colours also lean
+ * towards the theme colour (`setThemeColor()`).
+ *
+ * @example
+ * ```javascript
+ * const environment = new Environment({ quality: quality.settings });
+ * scene.add(environment.group);
+ * scene.fog = environment.fog;
+ * environment.setEnvironment(location.environment); // Starts the cross-fade
+ * environment.update(delta); // Every frame
+ * ```
+ */
+export class Environment {
+  /**
+   * @param {Object} [options]
+   * @param {EnvironmentQuality} [options.quality] - Shadows and particle density
+   * @param {boolean} [options.reducedMotion=false] - Instant transitions, still particles
+   * @param {number} [options.duration=1.2] - Cross-fade length in seconds
+   */
+  constructor({
+    quality = DEFAULT_QUALITY,
+    reducedMotion = false,
+    duration = DEFAULT_DURATION,
+  } = {}) {
+    this.quality = quality;
+    this.reducedMotion = reducedMotion;
+    this.duration = duration;
+    this.disposed = false;
+    this.time = 0;
+
+    this.group = new THREE.Group();
+    this.group.name = 'Environment';
+    this.fog = new THREE.FogExp2(DEFAULTS.fogColor, 0);
+
+    this.current = createState();
+    this.from = createState();
+    this.to = createState();
+    resolveState(this.current, null);
+    resolveState(this.to, null);
+    /** @type {{ elapsed: number, duration: number, ease: (progress: number) => number } | null} */
+    this.transition = null;
+    /** @type {THREE.Color | null} */
+    this.themeColor = null;
+
+    /** @type {[SkySlot, SkySlot]} */
+    this.skySlots = [
+      { url: null, texture: null, token: null },
+      { url: null, texture: null, token: null },
+    ];
+    /** @type {ParticleSystem[]} */
+    this.particles = [];
+    /** @type {EnvironmentParticles | null} */
+    this.particleTarget = null;
+
+    const { hemiLight, keyLight, rimLight } = this.createLights();
+    this.hemiLight = hemiLight;
+    this.keyLight = keyLight;
+    this.rimLight = rimLight;
+    this.sky = this.createSky();
+    this.group.add(hemiLight, keyLight, rimLight, this.sky);
+    this.apply();
+  }
+
+  /**
+   * Creates the hemisphere, key and rim lights.
+   *
+   * @returns {{ hemiLight: THREE.HemisphereLight, keyLight: THREE.DirectionalLight,
+   *   rimLight: THREE.DirectionalLight }}
+   * @private
+   */
+  createLights() {
+    const hemiLight = new THREE.HemisphereLight(
+      DEFAULTS.hemiSky,
+      DEFAULTS.hemiGround,
+      DEFAULTS.hemiIntensity
+    );
+    hemiLight.position.set(0, 1, 0);
+
+    const keyLight = new THREE.DirectionalLight(DEFAULTS.keyColor, DEFAULTS.keyIntensity);
+    keyLight.position.set(3, 4, 5);
+    keyLight.castShadow = this.quality.shadows;
+
+    const rimLight = new THREE.DirectionalLight(DEFAULTS.rimColor, DEFAULTS.rimIntensity);
+    rimLight.position.set(-4, 2, -3);
+
+    return { hemiLight, keyLight, rimLight };
+  }
+
+  /**
+   * Creates the sky dome (drawn first, behind everything).
+   *
+   * @returns {THREE.Mesh<THREE.SphereGeometry, THREE.ShaderMaterial>}
+   * @private
+   */
+  createSky() {
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uTop: { value: new THREE.Color() },
+        uBottom: { value: new THREE.Color() },
+        uOpacity: { value: 0 },
+        uMapA: { value: null },
+        uMapB: { value: null },
+        uMapWeightA: { value: 0 },
+        uMapWeightB: { value: 0 },
+      },
+      vertexShader: SKY_VERTEX,
+      fragmentShader: SKY_FRAGMENT,
+      side: THREE.BackSide,
+      transparent: true,
+      depthWrite: false,
+    });
+
+    const sky = new THREE.Mesh(new THREE.SphereGeometry(SKY_RADIUS, 32, 16), material);
+    sky.name = 'EnvironmentSky';
+    sky.renderOrder = -1;
+    return sky;
+  }
+
+  /**
+   * Starts the cross-fade to a location's environment. Null (or a location
+   * without one) fades back to the default look.
+   *
+   * @param {LocationEnvironment | null | undefined} environment
+   * @public
+   */
+  setEnvironment(environment) {
+    resolveState(this.to, environment);
+    this.setSkyTexture(environment?.sky?.texture ?? null);
+
+    // An identical effect already on screen is kept rather than restarted
+    const particles = environment?.particles ?? null;
+    const existing = particles
+      ? this.particles.find(({ config }) => sameParticles(config, particles))
+      : undefined;
+    if (particles && !existing) this.addParticles(particles, 0);
+    this.particleTarget = existing?.config ?? particles;
+
+    if (this.reducedMotion || this.duration <= 0) {
+      this.transition = null;
+      lerpState(this.current, this.to, this.to, 0);
+      this.particles.forEach((system) => {
+        system.opacity = system.config === this.particleTarget ? 1 : 0;
+      });
+      this.update(0);
+      return;
+    }
+
+    const interrupted = this.transition !== null;
+    lerpState(this.from, this.current, this.current, 0);
+    this.transition = {
+      elapsed: 0,
+      duration: this.duration,
+      ease: gsap.parseEase(interrupted ? INTERRUPT_EASE : DEFAULT_EASE),
+    };
+  }
+
+  /**
+   * Tints the hemisphere and rim lights towards the theme colour. Called with
+   * the blended colour on every step of a theme transition.
+   *
+   * @param {THREE.ColorRepresentation} color - Current theme colour
+   * @public
+   */
+  setThemeColor(color) {
+    this.themeColor ??= new THREE.Color();
+    this.themeColor.set(color);
+    this.apply();
+  }
+
+  /**
+   * Applies shadow and particle-density settings. Visible particle effects
+   * are rebuilt at the new density.
+   *
+   * @param {EnvironmentQuality} quality
+   * @public
+   */
+  setQuality(quality) {
+    const densityChanged = quality.particleDensity !== this.quality.particleDensity;
+    this.quality = quality;
+    this.keyLight.castShadow = quality.shadows;
+    if (!densityChanged) return;
+
+    this.particles.splice(0).forEach(({ points, config, opacity }) => {
+      disposeObject(points);
+      this.addParticles(config, opacity);
+    });
+  }
+
+  /**
+   * Makes transitions instant and stops particle motion.
+   *
+   * @param {boolean} enabled
+   * @public
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+    if (enabled && this.transition) this.update(this.transition.duration);
+  }
+
+  /**
+   * Advances the cross-fade and particle motion, then applies the blended
+   * state to the sky, fog and lights. Call once per frame.
+   *
+   * @param {number} delta - Seconds since the previous update
+   * @public
+   */
+  update(delta) {
+    const transition = this.transition;
+    if (transition) {
+      transition.elapsed = Math.min(transition.elapsed + delta, transition.duration);
+      const progress = transition.ease(transition.elapsed / transition.duration);
+      lerpState(this.current, this.from, this.to, progress);
+      if (transition.elapsed >= transition.duration) this.transition = null;
+    }
+
+    if (!this.reducedMotion) this.time += delta;
+    const fadeStep = this.reducedMotion || this.duration <= 0 ? 1 : delta / this.duration;
+
+    this.particles = this.particles.filter((system) => {
+      const target = system.config === this.particleTarget ? 1 : 0;
+      system.opacity += THREE.MathUtils.clamp(target - system.opacity, -fadeStep, fadeStep);
+      if (system.opacity <= 0 && target === 0) {
+        disposeObject(system.points);
+        return false;
+      }
+      system.points.material.uniforms.uOpacity.value = system.opacity;
+      system.points.material.uniforms.uTime.value = this.time;
+      return true;
+    });
+
+    this.apply();
+  }
+
+  /**
+   * Frees the lights, sky, particles and skybox textures.
+   *
+   * @public
+   */
+  dispose() {
+    this.disposed = true;
+    this.skySlots.forEach((slot) => this.clearSkySlot(slot));
+    disposeObject(this.group);
+    this.particles = [];
+  }
+
+  /**
+   * Copies the blended state onto the scene objects.
+   *
+   * @private
+   */
+  apply() {
+    const { colors, numbers } = this.current;
+    const uniforms = this.sky.material.uniforms;
+    const [slotA, slotB] = this.skySlots;
+
+    uniforms.uTop.value.copy(colors.skyTop);
+    uniforms.uBottom.value.copy(colors.skyBottom);
+    uniforms.uOpacity.value = numbers.skyOpacity;
+    uniforms.uMapWeightA.value = slotA.texture ? numbers.mapWeightA : 0;
+    uniforms.uMapWeightB.value = slotB.texture ? numbers.mapWeightB : 0;
+    this.sky.visible = numbers.skyOpacity > 0;
+
+    this.fog.color.copy(colors.fogColor);
+    this.fog.density = numbers.fogDensity;
+
+    this.hemiLight.color.copy(colors.hemiSky);
+    this.hemiLight.groundColor.copy(colors.hemiGround);
+    this.hemiLight.intensity = numbers.hemiIntensity;
+    this.keyLight.color.copy(colors.keyColor);
+    this.keyLight.intensity = numbers.keyIntensity;
+    this.rimLight.color.copy(colors.rimColor);
+    this.rimLight.intensity = numbers.rimIntensity;
+
+    if (this.themeColor) {
+      this.hemiLight.color.lerp(this.themeColor, HEMI_THEME_TINT);
+      this.rimLight.color.lerp(this.themeColor, RIM_THEME_TINT);
+    }
+  }
+
+  /**
+   * Points the skybox weights at `url`: a slot already holding it fades in,
+   * otherwise the less visible slot is reused and its image loaded.
+   *
+   * @param {string | null} url - Skybox image, or null for none
+   * @private
+   */
+  setSkyTexture(url) {
+    let index = url ? this.skySlots.findIndex((slot) => slot.url === url) : -1;
+
+    if (url && index === -1) {
+      index = this.current.numbers.mapWeightA <= this.current.numbers.mapWeightB ? 0 : 1;
+      const slot = this.skySlots[index];
+      this.clearSkySlot(slot);
+      this.current.numbers[index === 0 ? 'mapWeightA' : 'mapWeightB'] = 0;
+      this.loadSkyTexture(slot, url);
+    }
+
+    this.to.numbers.mapWeightA = index === 0 ? 1 : 0;
+    this.to.numbers.mapWeightB = index === 1 ? 1 : 0;
+  }
+
+  /**
+   * @param {SkySlot} slot
+   * @param {string} url
+   * @private
+   */
+  loadSkyTexture(slot, url) {
+    const token = {};
+    slot.url = url;
+    slot.token = token;
+
+    loadTexture(url)
+      .then((texture) => {
+        if (this.disposed || slot.token !== token) {
+          releaseAsset(url);
+          return;
+        }
+        if (texture.colorSpace !== THREE.SRGBColorSpace) {
+          texture.colorSpace = THREE.SRGBColorSpace;
+          texture.needsUpdate = true;
+        }
+        slot.texture = texture;
+        this.sky.material.uniforms[slot === this.skySlots[0] ? 'uMapA' : 'uMapB'].value = texture;
+        this.apply();
+      })
+      .catch((error) => {
+        if (slot.token === token) slot.token = null;
+        console.warn(`Skybox "${url}" failed to load; showing the gradient`, error);
+      });
+  }
+
+  /**
+   * Empties a skybox slot, returning its texture reference. A load still in
+   * flight releases its own reference when it lands.
+   *
+   * @param {SkySlot} slot
+   * @private
+   */
+  clearSkySlot(slot) {
+    if (slot.texture && slot.url) releaseAsset(slot.url);
+    const uniform = slot === this.skySlots[0] ? 'uMapA' : 'uMapB';
+    this.sky.material.uniforms[uniform].value = null;
+    slot.url = null;
+    slot.texture = null;
+    slot.token = null;
+  }
+
+  /**
+   * @param {EnvironmentParticles} config
+   * @param {number} opacity - Starting fade level
+   * @private
+   */
+  addParticles(config, opacity) {
+    const points = createParticles(config, this.quality.particleDensity);
+    points.material.uniforms.uOpacity.value = opacity;
+    this.group.add(points);
+    this.particles.push({ points, config, opacity });
+  }
+}
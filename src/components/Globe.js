@@ -1,22 +1,54 @@
 import * as THREE from 'three';
+import { disposeObject } from '../utils/dispose.js';
+import { Landmarks } from './Landmarks.js';
+import { Zones } from './Zones.js';
+import { ZONE_REGIONS_FRAGMENT, ZONE_REGIONS_PARS } from './shaders/zoneRegions.js';
 
 /**
  * @typedef {import('../types').Location} Location
+ * @typedef {import('../types').Zone} Zone
+ * @typedef {import('../types').LandFeature} LandFeature
+ * @typedef {Pick<import('./QualityManager.js').QualitySettings,
+ *   'sphereSegments' | 'atmosphere' | 'textureWidth'>} GlobeQuality
  */
 
 const WATER_COLOR = 0x101832;
 const GRID_COLOR = 0x1f2a4f;
+const ATMOSPHERE_COLOR = 0x4c6fff;
+const MIN_ZONE_CAPACITY = 8;
+const MAX_ZONES = 255; // ids the 8-bit zone mask can hold
+const MAX_MASK_WIDTH = 1024;
+const FADE_RATE = 6; // exponential cross-fade speed (1/s)
+
+/** @type {GlobeQuality} */
+const DEFAULT_QUALITY = { sphereSegments: 64, atmosphere: true, textureWidth: 1024 };
 
 /**
  * Interactive 3D globe component that visualizes portfolio sections as colored zones.
  *
- * The globe procedurally generates a textured sphere with:
- * - Dynamic location-based color segments
+ * The globe renders a sphere with:
+ * - Location zones drawn by a shader (`shaders/zoneRegions.js`) from a
+ *   zone-id mask and per-zone uniforms; child zones paint over their parent
+ * - A static base texture (background gradient, land masses, latitude lines)
  * - Wireframe guide lines (latitude/longitude grid)
- * - Glowing atmosphere that adapts to the active zone
+ * - Glowing atmosphere tinted with the theme colour (`setThemeColor()`)
+ * - Landmarks (pins, beacons, models, labels) at zone mid-angles, for
+ *   locations and child locations that define a `landmark` (see `Landmarks.js`)
+ *
+ * The mask is rasterised from the zone regions only when the location set
+ * changes (`setLocations()`). Zone changes only retarget uniforms: the
+ * active emphasis (shared by the active zone's ancestors) and hover
+ * highlight cross-fade over time in `update()`, and no texture is
+ * uploaded. The active zone also pulses and shows a scanline unless
+ * reduced motion is on.
+ *
+ * Land comes from GeoJSON or TopoJSON (`parseLandSource()`), real or
+ * fictional, and is drawn in the same equirectangular layout as the zones:
+ * texture longitude 0…360 left to right, north at the top. Zones that name
+ * a land `region` take its shape (`setLand()`).
  *
- * As the globe rotates, different location zones become active, triggering
- * texture regeneration and atmosphere color transitions.
+ * Geometry detail, base texture resolution and the atmosphere follow the
+ * current quality tier (`setQuality()`).
  *
  * @example
  * ```javascript
@@ -27,7 +59,8 @@ const GRID_COLOR = 0x1f2a4f;
  *   ]
  * });
  * scene.add(globe.group);
- * globe.setActiveLocation(locations[0]); // Updates visuals
+ * globe.setActiveLocation(locations[0]); // Starts the cross-fade
+ * globe.update(delta, camera); // Every frame
  * ```
  */
 export class Globe {
@@ -37,26 +70,102 @@ export class Globe {
    * @param {Object} options - Configuration options
    * @param {number} [options.radius=2] - Sphere radius in Three.js units
    * @param {Location[]} [options.locations=[]] - Array of location zones to visualize
+   * @param {LandFeature[]} [options.land=[]] - Land shapes for the surface and `region` zones
+   * @param {GlobeQuality} [options.quality] - Detail settings (defaults to the high tier)
+   * @param {boolean} [options.reducedMotion=false] - Instant transitions, no pulse/scanline
    */
-  constructor({ radius = 2, locations = [] } = {}) {
+  constructor({
+    radius = 2,
+    locations = [],
+    land = [],
+    quality = DEFAULT_QUALITY,
+    reducedMotion = false,
+  } = {}) {
     this.radius = radius;
     this.locations = locations;
+    this.land = land;
+    this.quality = quality;
+    this.reducedMotion = reducedMotion;
+    /** @type {Location | null} */
+    this.activeLocation = null;
+    /** @type {Location | null} */
+    this.hoveredLocation = null;
     this.group = new THREE.Group();
     this.group.name = 'GlobeGroup';
 
+    /** Region lookup used to rasterise the zone mask */
+    this.regions = new Zones();
+    this.regions.setLand(land);
+    /** @type {Set<string>} The active zone and its ancestors */
+    this.emphasizedIds = new Set();
+    this.zoneCapacity = MIN_ZONE_CAPACITY;
+    /** @type {string[]} Zone ids in uniform order (mask value - 1) */
+    this.zoneIds = [];
+    this.zoneMask = this.createZoneMask();
+    this.zoneUniforms = this.createZoneUniforms(this.zoneCapacity);
+
     this.createPlanet();
     this.addGuides();
     this.addAtmosphere();
+    this.syncZones();
+
+    this.landmarks = new Landmarks({ radius, locations: this.regions.all, reducedMotion });
+    this.group.add(this.landmarks.group);
+  }
+
+  /**
+   * Creates the zone-id mask texture at the current quality tier's
+   * resolution (capped: zone outlines need less detail than the base map).
+   *
+   * @returns {THREE.DataTexture}
+   * @private
+   */
+  createZoneMask() {
+    const width = Math.min(this.quality.textureWidth, MAX_MASK_WIDTH);
+    const height = width / 2;
+    const data = new Uint8Array(width * height);
+    const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat);
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.generateMipmaps = false;
+    return texture;
+  }
+
+  /**
+   * Creates the uniform set read by the zone shader.
+   *
+   * @param {number} capacity - Array length (the `ZONE_CAPACITY` define)
+   * @returns {Record<string, THREE.IUniform>}
+   * @private
+   */
+  createZoneUniforms(capacity) {
+    const filled = (/** @type {() => any} */ make) => Array.from({ length: capacity }, make);
+    return {
+      uZoneCount: { value: 0 },
+      uZoneMask: { value: this.zoneMask },
+      uZoneMaskSize: {
+        value: new THREE.Vector2(this.zoneMask.image.width, this.zoneMask.image.height),
+      },
+      uZoneRange: { value: filled(() => new THREE.Vector2()) },
+      uZoneBase: { value: filled(() => new THREE.Color()) },
+      uZoneGlow: { value: filled(() => new THREE.Color()) },
+      uZoneEmphasis: { value: filled(() => 0) },
+      uZoneHover: { value: filled(() => 0) },
+      uTime: { value: 0 },
+      uMotion: { value: this.reducedMotion ? 0 : 1 },
+    };
   }
 
   /**
    * Creates the main planet sphere mesh with a procedurally generated texture.
-   * Uses PBR material properties (metalness, roughness) for realistic rendering.
+   * Uses PBR material properties (metalness, roughness) for realistic rendering;
+   * the zone regions are spliced into the standard shader after the map lookup.
    *
    * @private
    */
   createPlanet() {
-    const geometry = new THREE.SphereGeometry(this.radius, 64, 64);
+    const segments = this.quality.sphereSegments;
+    const geometry = new THREE.SphereGeometry(this.radius, segments, segments);
     const material = new THREE.MeshStandardMaterial({
       color: WATER_COLOR,
       metalness: 0.1,
@@ -65,6 +174,14 @@ export class Globe {
       emissiveIntensity: 0.25,
       map: this.generateGlobeTexture(),
     });
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.zoneUniforms);
+      const pars = `#define ZONE_CAPACITY ${this.zoneCapacity}\n${ZONE_REGIONS_PARS}`;
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>\n${pars}`)
+        .replace('#include <map_fragment>', `#include <map_fragment>\n${ZONE_REGIONS_FRAGMENT}`);
+    };
+    material.customProgramCacheKey = () => `globe-zones-${this.zoneCapacity}`;
 
     this.planetMesh = new THREE.Mesh(geometry, material);
     this.planetMesh.castShadow = true;
@@ -109,7 +226,7 @@ export class Globe {
       48
     );
     const atmosphereMaterial = new THREE.MeshBasicMaterial({
-      color: 0x4c6fff,
+      color: ATMOSPHERE_COLOR,
       transparent: true,
       opacity: 0.35,
       blending: THREE.AdditiveBlending,
@@ -118,6 +235,7 @@ export class Globe {
 
     const atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
     atmosphere.name = 'GlobeAtmosphere';
+    atmosphere.visible = this.quality.atmosphere;
     this.group.add(atmosphere);
     this.atmosphere = atmosphere;
   }
@@ -125,49 +243,313 @@ export class Globe {
   /**
    * Updates the globe's visuals when a new location becomes active.
    *
-   * Triggers:
-   * - Atmosphere color transition (lerp to new theme color)
-   * - Texture regeneration with emphasized active zone
+   * Starts cross-fades (see `update()`):
+   * - Zone emphasis from the previous active zone to this one and, for a
+   *   child zone, its ancestors
+   * - The zone's landmark animation
+   *
+   * The atmosphere colour is not changed here: it follows the theme
+   * transition (`setThemeColor()`).
    *
    * @param {Location | null} location - The newly active location zone
    * @public
    */
   setActiveLocation(location) {
     if (!location) return;
+    this.activeLocation = location;
+    this.landmarks.setActive(location.id);
+
+    this.emphasizedIds.clear();
+    /** @type {Zone | null} */
+    let zone = this.regions.getZoneById(location.id);
+    while (zone) {
+      this.emphasizedIds.add(zone.id);
+      zone = zone.parentId ? this.regions.getZoneById(zone.parentId) : null;
+    }
+  }
 
-    if (this.atmosphere) {
-      this.atmosphere.material.color.lerp(
-        new THREE.Color(location.themeColor),
-        0.35
+  /**
+   * Tints the atmosphere. Called with the blended colour on every step of a
+   * theme transition.
+   *
+   * @param {THREE.ColorRepresentation} color - Current theme colour
+   * @public
+   */
+  setThemeColor(color) {
+    this.atmosphere?.material.color.set(color);
+  }
+
+  /**
+   * Brightens the zone under the pointer. Passing null clears the highlight.
+   *
+   * @param {Location | null} location - Zone under the pointer
+   * @public
+   */
+  setHoveredLocation(location) {
+    this.hoveredLocation = location;
+  }
+
+  /**
+   * Advances the emphasis and hover cross-fades, the active
+   * zone's pulse and the landmarks. Call once per frame.
+   *
+   * @param {number} delta - Seconds since the previous update
+   * @param {THREE.Camera} [camera] - Render camera; landmark labels facing
+   *   away from it fade out. Landmarks are not updated without it.
+   * @public
+   */
+  update(delta, camera) {
+    const uniforms = this.zoneUniforms;
+    const blend = this.reducedMotion ? 1 : 1 - Math.exp(-FADE_RATE * delta);
+
+    uniforms.uTime.value += delta;
+
+    this.zoneIds.forEach((id, index) => {
+      const emphasis = uniforms.uZoneEmphasis.value;
+      const hover = uniforms.uZoneHover.value;
+      const isActive = this.emphasizedIds.has(id) ? 1 : 0;
+      const isHovered = id === this.hoveredLocation?.id ? 1 : 0;
+      emphasis[index] += (isActive - emphasis[index]) * blend;
+      hover[index] += (isHovered - hover[index]) * blend;
+    });
+
+    if (camera) this.landmarks.update(delta, camera);
+  }
+
+  /**
+   * Makes transitions instant and stops the pulse/scanline effects.
+   *
+   * @param {boolean} enabled
+   * @public
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+    this.zoneUniforms.uMotion.value = enabled ? 0 : 1;
+    this.landmarks.setReducedMotion(enabled);
+  }
+
+  /**
+   * Replaces the location set, repaints the zone mask and updates the zone
+   * uniforms in place. Emphasis and hover levels follow each zone by id, so
+   * an edit mid-fade does not restart its transition.
+   *
+   * @param {Location[]} locations - New location list (top level; children
+   *   are read from each location)
+   * @param {Location | null} [activeLocation] - Zone to emphasize; defaults to
+   *   the updated copy of the current active location, if it still exists
+   * @public
+   */
+  setLocations(locations, activeLocation) {
+    this.locations = locations;
+    this.syncZones();
+
+    const all = this.regions.all;
+    this.hoveredLocation = all.find((loc) => loc.id === this.hoveredLocation?.id) ?? null;
+    const active =
+      activeLocation !== undefined
+        ? activeLocation
+        : all.find((loc) => loc.id === this.activeLocation?.id) ?? null;
+
+    this.landmarks.setLocations(all);
+
+    if (active) {
+      this.setActiveLocation(active);
+    } else {
+      this.activeLocation = null;
+      this.emphasizedIds.clear();
+      this.landmarks.setActive(null);
+    }
+  }
+
+  /**
+   * Replaces the land shapes: repaints the base texture and reshapes zones
+   * that name a land `region` (repainting the zone mask and moving their
+   * landmarks).
+   *
+   * @param {LandFeature[]} features - From `parseLandSource()`
+   * @public
+   */
+  setLand(features) {
+    this.land = features;
+    this.regions.setLand(features);
+    this.refreshTexture();
+    this.setLocations(this.locations);
+  }
+
+  /**
+   * Rebuilds the region lookup, repaints the zone mask and writes zone
+   * ranges and colours to the shader uniforms, growing the arrays (one
+   * shader recompile) if there are more zones than they hold.
+   *
+   * @private
+   */
+  syncZones() {
+    this.regions.setLocations(this.locations);
+    const zones = this.regions.all.slice(0, MAX_ZONES);
+    if (zones.length < this.regions.all.length) {
+      console.warn(`Globe: only the first ${MAX_ZONES} zones are painted`);
+    }
+
+    const uniforms = this.zoneUniforms;
+    const previousIds = this.zoneIds;
+    const oldEmphasis = [...uniforms.uZoneEmphasis.value];
+    const oldHover = [...uniforms.uZoneHover.value];
+
+    if (zones.length > this.zoneCapacity) {
+      this.zoneCapacity = 2 ** Math.ceil(Math.log2(zones.length));
+      const grown = this.createZoneUniforms(this.zoneCapacity);
+      grown.uTime.value = uniforms.uTime.value;
+      // Swap values in place: the compiled program holds these uniform objects
+      Object.keys(grown).forEach((key) => {
+        uniforms[key].value = grown[key].value;
+      });
+      if (this.planetMesh) this.planetMesh.material.needsUpdate = true;
+    }
+
+    uniforms.uZoneCount.value = zones.length;
+    zones.forEach((zone, index) => {
+      const before = previousIds.indexOf(zone.id);
+      // Texture y of the north and south edges (0 = north pole)
+      uniforms.uZoneRange.value[index].set(
+        0.5 - zone.maxLatRad / Math.PI,
+        0.5 - zone.minLatRad / Math.PI
       );
+      uniforms.uZoneBase.value[index].set(zone.themeColor ?? '#3a78ff');
+      uniforms.uZoneGlow.value[index].set(zone.accentColor ?? '#ffffff');
+      uniforms.uZoneEmphasis.value[index] = before === -1 ? 0 : oldEmphasis[before] ?? 0;
+      uniforms.uZoneHover.value[index] = before === -1 ? 0 : oldHover[before] ?? 0;
+    });
+
+    this.zoneIds = zones.map((zone) => zone.id);
+    this.paintZoneMask();
+  }
+
+  /**
+   * Rasterises the zone regions into the mask: each texel stores the index
+   * (+1) of the deepest zone containing its centre.
+   *
+   * @private
+   */
+  paintZoneMask() {
+    const { width, height } = this.zoneMask.image;
+    const data = /** @type {Uint8Array} */ (this.zoneMask.image.data);
+    const indexById = new Map(this.zoneIds.map((id, index) => [id, index]));
+
+    for (let row = 0; row < height; row++) {
+      // Data rows run from the south pole (v = 0) up
+      const latitude = ((row + 0.5) / height - 0.5) * Math.PI;
+      for (let column = 0; column < width; column++) {
+        const zone = this.regions.getZoneAt(((column + 0.5) / width) * Math.PI * 2, latitude);
+        const index = zone ? indexById.get(zone.id) : undefined;
+        data[row * width + column] = index === undefined ? 0 : index + 1;
+      }
     }
 
-    if (this.planetMesh?.material?.map) {
-      this.planetMesh.material.map.dispose();
-      this.planetMesh.material.map = this.generateGlobeTexture(location);
-      this.planetMesh.material.needsUpdate = true;
+    this.zoneMask.needsUpdate = true;
+  }
+
+  /**
+   * Applies a quality tier: rebuilds the planet geometry if the segment count
+   * changed, resizes the base texture and shows or hides the atmosphere.
+   *
+   * @param {GlobeQuality} quality
+   * @public
+   */
+  setQuality(quality) {
+    const previous = this.quality;
+    this.quality = quality;
+
+    if (this.atmosphere) this.atmosphere.visible = quality.atmosphere;
+
+    if (this.planetMesh && quality.sphereSegments !== previous.sphereSegments) {
+      const segments = quality.sphereSegments;
+      this.planetMesh.geometry.dispose();
+      this.planetMesh.geometry = new THREE.SphereGeometry(this.radius, segments, segments);
+    }
+
+    if (quality.textureWidth !== previous.textureWidth) {
+      this.refreshTexture();
+      this.refreshZoneMask();
     }
   }
 
   /**
-   * Procedurally generates a canvas-based texture for the globe surface.
+   * Frees the globe's geometries, materials and base texture and removes it
+   * from the scene. The instance cannot be used afterwards.
+   *
+   * @public
+   */
+  dispose() {
+    this.landmarks.dispose(); // Shared models are released to the loader, not freed here
+    disposeObject(this.group);
+    this.zoneMask.dispose(); // A shader uniform, so not found by disposeObject
+  }
+
+  /**
+   * Recreates the zone mask at the current quality tier's resolution.
+   *
+   * @private
+   */
+  refreshZoneMask() {
+    const width = Math.min(this.quality.textureWidth, MAX_MASK_WIDTH);
+    if (width === this.zoneMask.image.width) return;
+
+    this.zoneMask.dispose();
+    this.zoneMask = this.createZoneMask();
+    this.zoneUniforms.uZoneMask.value = this.zoneMask;
+    this.zoneUniforms.uZoneMaskSize.value.set(width, width / 2);
+    this.paintZoneMask();
+  }
+
+  /**
+   * Regenerates the base texture at the current quality tier's resolution.
+   * Only needed when that resolution changes; zones never require it.
+   *
+   * @private
+   */
+  refreshTexture() {
+    const material = this.planetMesh?.material;
+    if (!material?.map) return;
+
+    material.map.dispose();
+    material.map = this.generateGlobeTexture();
+  }
+
+  /**
+   * Procedurally generates the canvas-based base texture for the globe surface.
    *
    * The texture features:
    * - Vertical gradient background (dark blue tones)
-   * - Colored segments for each location zone
+   * - Land masses (`land`) with a soft coastline
    * - Horizontal latitude lines for visual interest
    * - Equatorial band highlight
-   * - Active location emphasis (brighter/more opaque)
    *
-   * @param {Location | null} [activeLocation=null] - Currently active zone to emphasize
+   * Zones are not part of it; the zone shader draws them on top.
+   *
    * @returns {THREE.CanvasTexture} Generated texture ready for material.map
    * @private
    */
-  generateGlobeTexture(activeLocation = null) {
+  generateGlobeTexture() {
     const canvas = document.createElement('canvas');
-    canvas.width = 1024;
-    canvas.height = 512;
+    canvas.width = this.quality.textureWidth;
+    canvas.height = this.quality.textureWidth / 2;
+    this.paintTexture(canvas);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  /**
+   * Draws the globe background, land and grid onto a canvas.
+   *
+   * @param {HTMLCanvasElement} canvas - Target canvas (2:1 aspect)
+   * @private
+   */
+  paintTexture(canvas) {
     const ctx = canvas.getContext('2d');
+    if (!ctx) return;
 
     // Base gradient background (ocean/space tones)
     const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
@@ -177,15 +559,7 @@ export class Globe {
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    // Paint each location as a colored segment
-    this.locations.forEach((location) => {
-      const color = location.themeColor ?? '#3a78ff';
-      this.paintSegment(ctx, location.startAngleDeg, location.endAngleDeg, {
-        base: color,
-        glow: location.accentColor ?? '#fff',
-        emphasize: activeLocation?.id === location.id,
-      });
-    });
+    this.paintLand(ctx, canvas.width, canvas.height);
 
     // Add latitude grid lines
     ctx.globalAlpha = 0.15;
@@ -202,60 +576,54 @@ export class Globe {
     ctx.globalAlpha = 0.6;
     ctx.fillStyle = 'rgba(255,255,255,0.05)';
     ctx.fillRect(0, canvas.height * 0.45, canvas.width, canvas.height * 0.1);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.colorSpace = THREE.SRGBColorSpace;
-    texture.needsUpdate = true;
-    return texture;
   }
 
   /**
-   * Paints a colored vertical band on the canvas texture representing a location zone.
+   * Draws the land features, each as one even-odd path so holes (lakes,
+   * inland seas) stay open. Shapes crossing the 0/360 seam are unwrapped
+   * and drawn again one texture width to each side.
    *
-   * Handles angle wrapping across 0° and applies layered gradients for visual depth.
-   * The active zone is rendered brighter and more opaque.
-   *
-   * @param {CanvasRenderingContext2D} ctx - Canvas 2D drawing context
-   * @param {number} startDeg - Zone start angle in degrees
-   * @param {number} endDeg - Zone end angle in degrees
-   * @param {Object} colors - Color configuration
-   * @param {string} colors.base - Primary zone color (hex)
-   * @param {string} colors.glow - Accent/glow color (hex)
-   * @param {boolean} colors.emphasize - Whether this is the active zone
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
    * @private
    */
-  paintSegment(ctx, startDeg, endDeg, { base, glow, emphasize }) {
-    const width = ctx.canvas.width;
-    const height = ctx.canvas.height;
-
-    const normalize = (deg) => ((deg % 360) + 360) % 360;
-
-    let startX = (normalize(startDeg) / 360) * width;
-    let endX = (normalize(endDeg) / 360) * width;
-
-    const drawBand = (x1, x2) => {
-      const bandWidth = ((x2 - x1 + width) % width) || width;
-      ctx.save();
-      ctx.fillStyle = base;
-      ctx.globalAlpha = emphasize ? 0.9 : 0.65;
-      ctx.fillRect(x1, height * 0.3, bandWidth, height * 0.4);
-
-      const bandGradient = ctx.createLinearGradient(x1, 0, x1, height);
-      bandGradient.addColorStop(0, `${glow}22`);
-      bandGradient.addColorStop(0.5, `${glow}55`);
-      bandGradient.addColorStop(1, `${glow}11`);
-      ctx.fillStyle = bandGradient;
-      ctx.globalAlpha = emphasize ? 0.8 : 0.4;
-      ctx.fillRect(x1, height * 0.28, bandWidth, height * 0.44);
-
-      ctx.restore();
-    };
+  paintLand(ctx, width, height) {
+    if (!this.land.length) return;
 
-    if (startX <= endX) {
-      drawBand(startX, endX);
-    } else {
-      drawBand(startX, width);
-      drawBand(0, endX);
-    }
+    ctx.save();
+    ctx.fillStyle = '#1d3a6e';
+    ctx.strokeStyle = '#9acbff';
+    ctx.lineWidth = Math.max(1, width / 2048);
+    ctx.lineJoin = 'round';
+
+    this.land.forEach((feature) => {
+      const path = new Path2D();
+      feature.rings.forEach((ring) => {
+        let previous = ring[0][0];
+        ring.forEach(([lon, lat], index) => {
+          // Keep each step under 180° so seam-crossing edges stay short
+          const x = lon - Math.round((lon - previous) / 360) * 360;
+          previous = x;
+          const point = /** @type {[number, number]} */ ([
+            (x / 360) * width,
+            ((90 - lat) / 180) * height,
+          ]);
+          if (index === 0) path.moveTo(...point);
+          else path.lineTo(...point);
+        });
+        path.closePath();
+      });
+
+      [-width, 0, width].forEach((offset) => {
+        ctx.setTransform(1, 0, 0, 1, offset, 0);
+        ctx.globalAlpha = 0.85;
+        ctx.fill(path, 'evenodd');
+        ctx.globalAlpha = 0.35;
+        ctx.stroke(path);
+      });
+    });
+
+    ctx.restore();
   }
 }
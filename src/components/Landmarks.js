@@ -0,0 +1,502 @@
+import * as THREE from 'three';
+import { loadModel, loadTexture, releaseAsset } from '../utils/loader.js';
+import { getLatitudeRange } from './Zones.js';
+
+/**
+ * @typedef {import('../types').Location} Location
+ * @typedef {import('../types').Landmark} Landmark
+ */
+
+/**
+ * @typedef {Object} LandmarkEntry
+ * @property {string} key - Serialized inputs; unchanged keys are reused on update
+ * @property {THREE.Group} anchor - Sits on the surface, +Y along the surface normal
+ * @property {THREE.Group} markerSlot - Holds the marker; animated (scale, bob)
+ * @property {THREE.Sprite} label - Billboarded icon + text
+ * @property {Landmark['type']} type
+ * @property {number} activation - 0 idle … 1 active, eased over time
+ * @property {boolean} removed - Set once the entry is gone (late model and icon loads are dropped)
+ * @property {string | null} modelUrl - Model referenced through the loader, released on removal
+ */
+
+const UP = new THREE.Vector3(0, 1, 0);
+const LABEL_HEIGHT = 0.22; // world units
+const LABEL_FONT_PX = 40;
+const ACTIVE_SCALE = 1.35;
+const FADE_RATE = 6; // 1/s
+const MODEL_HEIGHT = 0.35; // models are scaled to this height
+const LABEL_OFFSET = { pin: 0.42, beacon: 0.78, label: 0.12, model: 0.5 };
+
+const tmpWorld = new THREE.Vector3();
+const tmpCenter = new THREE.Vector3();
+const tmpCamera = new THREE.Vector3();
+
+/**
+ * Position on the globe surface for a texture longitude and a latitude.
+ * Matches `THREE.SphereGeometry`'s UV layout, so a landmark sits exactly on
+ * the zone painted at that longitude.
+ *
+ * @param {number} radius
+ * @param {number} longitudeDeg - Texture longitude (0–360, the zone angle space)
+ * @param {number} latitudeDeg - -90 (south pole) … 90 (north pole)
+ * @returns {THREE.Vector3}
+ */
+export function surfacePoint(radius, longitudeDeg, latitudeDeg) {
+  const phi = THREE.MathUtils.degToRad(longitudeDeg);
+  const theta = THREE.MathUtils.degToRad(90 - latitudeDeg);
+  return new THREE.Vector3(
+    -radius * Math.cos(phi) * Math.sin(theta),
+    radius * Math.cos(theta),
+    radius * Math.sin(phi) * Math.sin(theta)
+  );
+}
+
+/**
+ * Middle of a zone arc in degrees, following wrap-around arcs (315 → 45 gives 0).
+ *
+ * @param {Location} location
+ * @returns {number}
+ */
+const midAngle = ({ startAngleDeg, endAngleDeg }) => {
+  const span = ((endAngleDeg - startAngleDeg) % 360 + 360) % 360 || 360;
+  return (startAngleDeg + span / 2) % 360;
+};
+
+/**
+ * 3D markers and floating labels anchored at each zone's mid-angle.
+ *
+ * Locations opt in with a `landmark` field (see `types/Landmark.ts`):
+ * - `pin` / `beacon`: built-in meshes tinted with the zone colours
+ * - `model`: glTF loaded via `utils/loader.js` (a pin stands in until it
+ *   arrives, and stays if loading fails)
+ * - `label`: text only
+ *
+ * Every landmark gets a billboarded label sprite (icon + text) that fades out
+ * as it turns behind the planet. The active zone's landmark grows, bobs and
+ * its label brightens.
+ *
+ * The group is meant to be parented to the globe so it rotates with it.
+ *
+ * @example
+ * ```javascript
+ * const landmarks = new Landmarks({ radius: 2, locations });
+ * globe.group.add(landmarks.group);
+ * landmarks.setActive('labs');
+ * landmarks.update(delta, camera); // Every frame
+ * ```
+ */
+export class Landmarks {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.radius=2] - Globe radius the markers stand on
+   * @param {Location[]} [options.locations=[]] - Locations (entries without `landmark` are skipped)
+   * @param {boolean} [options.reducedMotion=false] - No bobbing/pulsing; instant activation
+   */
+  constructor({ radius = 2, locations = [], reducedMotion = false } = {}) {
+    this.radius = radius;
+    this.reducedMotion = reducedMotion;
+    this.group = new THREE.Group();
+    this.group.name = 'Landmarks';
+
+    /** @type {Map<string, LandmarkEntry>} */
+    this.entries = new Map();
+    /** @type {string | null} */
+    this.activeId = null;
+    this.time = 0;
+
+    this.setLocations(locations);
+  }
+
+  /**
+   * Rebuilds landmarks for a new location list. Landmarks whose location,
+   * colours and landmark data are unchanged are kept as they are.
+   *
+   * @param {Location[]} locations
+   * @public
+   */
+  setLocations(locations) {
+    const withLandmarks = locations.filter((location) => location.landmark);
+    const ids = new Set(withLandmarks.map((location) => location.id));
+
+    [...this.entries.keys()].forEach((id) => {
+      if (!ids.has(id)) this.removeEntry(id);
+    });
+
+    withLandmarks.forEach((location) => {
+      const key = JSON.stringify([
+        location.landmark,
+        location.label,
+        location.startAngleDeg,
+        location.endAngleDeg,
+        getLatitudeRange(location),
+        location.themeColor,
+        location.accentColor,
+      ]);
+      const existing = this.entries.get(location.id);
+      if (existing?.key === key) return;
+
+      if (existing) this.removeEntry(location.id);
+      this.entries.set(location.id, this.createEntry(location, key));
+    });
+  }
+
+  /**
+   * @param {string | null} id - Active location id, or null for none
+   * @public
+   */
+  setActive(id) {
+    this.activeId = id;
+  }
+
+  /**
+   * @param {boolean} enabled
+   * @public
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+  }
+
+  /**
+   * Eases activation, animates the active landmark and fades labels that
+   * face away from the camera.
+   *
+   * @param {number} delta - Seconds since the previous update
+   * @param {THREE.Camera} camera - Camera the scene is rendered with
+   * @public
+   */
+  update(delta, camera) {
+    this.time += delta;
+    const blend = this.reducedMotion ? 1 : 1 - Math.exp(-FADE_RATE * delta);
+    const motion = this.reducedMotion ? 0 : 1;
+
+    this.group.getWorldPosition(tmpCenter);
+    camera.getWorldPosition(tmpCamera);
+
+    this.entries.forEach((entry, id) => {
+      const target = id === this.activeId ? 1 : 0;
+      entry.activation += (target - entry.activation) * blend;
+      const { activation, anchor, markerSlot, label } = entry;
+
+      markerSlot.scale.setScalar(1 + (ACTIVE_SCALE - 1) * activation);
+      markerSlot.position.y = Math.sin(this.time * 3) * 0.04 * activation * motion;
+
+      // Facing: 1 when the anchor points at the camera, < 0 once behind the planet
+      anchor.getWorldPosition(tmpWorld);
+      const normal = tmpWorld.clone().sub(tmpCenter).normalize();
+      const facing = normal.dot(tmpCamera.clone().sub(tmpWorld).normalize());
+      const visibility = THREE.MathUtils.smoothstep(facing, -0.05, 0.3);
+
+      label.visible = visibility > 0.01;
+      label.material.opacity = visibility * (0.7 + 0.3 * activation);
+      markerSlot.visible = facing > -0.3;
+
+      if (entry.type === 'beacon') {
+        const beam = markerSlot.getObjectByName('LandmarkBeam');
+        const material = /** @type {THREE.MeshBasicMaterial} */ (
+          /** @type {THREE.Mesh | undefined} */ (beam)?.material
+        );
+        if (material) {
+          const pulse = 0.5 + 0.5 * Math.sin(this.time * 4) * motion;
+          material.opacity = 0.25 + 0.35 * activation * pulse;
+        }
+      }
+    });
+  }
+
+  /**
+   * Frees every landmark's meshes, materials and label textures, and
+   * releases loaded models (the loader frees them once unused).
+   *
+   * @public
+   */
+  dispose() {
+    [...this.entries.keys()].forEach((id) => this.removeEntry(id));
+    this.group.removeFromParent();
+  }
+
+  /**
+   * @param {Location} location - Location with a `landmark`
+   * @param {string} key
+   * @returns {LandmarkEntry}
+   * @private
+   */
+  createEntry(location, key) {
+    const landmark = /** @type {Landmark} */ (location.landmark);
+    const unit = this.radius / 2;
+
+    const anchor = new THREE.Group();
+    anchor.name = `Landmark:${location.id}`;
+    const { min, max } = getLatitudeRange(location);
+    const normal = surfacePoint(1, midAngle(location), landmark.latitudeDeg ?? (min + max) / 2);
+    anchor.position.copy(normal).multiplyScalar(this.radius);
+    anchor.quaternion.setFromUnitVectors(UP, normal);
+
+    const markerSlot = new THREE.Group();
+    anchor.add(markerSlot);
+
+    /** @type {LandmarkEntry} */
+    const entry = {
+      key,
+      anchor,
+      markerSlot,
+      label: this.createLabel(
+        landmark.label ?? location.label,
+        landmark.icon,
+        location,
+        () => entry.removed
+      ),
+      type: landmark.type,
+      activation: 0,
+      removed: false,
+      modelUrl: null,
+    };
+
+    const markerScale = (landmark.scale ?? 1) * unit;
+    if (landmark.type === 'beacon') {
+      markerSlot.add(this.createBeacon(location, markerScale));
+    } else if (landmark.type !== 'label') {
+      markerSlot.add(this.createPin(location, markerScale));
+    }
+
+    if (landmark.type === 'model' && landmark.modelUrl) {
+      this.loadModelInto(entry, landmark.modelUrl, markerScale);
+    }
+
+    entry.label.position.y = (LABEL_OFFSET[landmark.type] ?? 0.4) * unit;
+    anchor.add(entry.label);
+    this.group.add(anchor);
+    return entry;
+  }
+
+  /**
+   * Swaps the placeholder pin for a loaded model, scaled to a common height.
+   *
+   * @param {LandmarkEntry} entry
+   * @param {string} url
+   * @param {number} scale
+   * @private
+   */
+  async loadModelInto(entry, url, scale) {
+    entry.modelUrl = url;
+    try {
+      const gltf = await loadModel(url);
+      if (entry.removed) return;
+
+      const model = gltf.scene.clone(true);
+      const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+      model.scale.setScalar((MODEL_HEIGHT * scale) / (size.y || 1));
+
+      entry.markerSlot.children.forEach((child) => disposeMarker(child));
+      entry.markerSlot.clear();
+      entry.markerSlot.add(model);
+      entry.markerSlot.userData.cached = true;
+    } catch (error) {
+      console.warn(`Landmark model "${url}" failed to load; keeping the pin`, error);
+    }
+  }
+
+  /**
+   * @param {Location} location
+   * @param {number} scale
+   * @returns {THREE.Group}
+   * @private
+   */
+  createPin(location, scale) {
+    const material = new THREE.MeshStandardMaterial({
+      color: location.themeColor,
+      emissive: location.themeColor,
+      emissiveIntensity: 0.35,
+      roughness: 0.4,
+      metalness: 0.1,
+    });
+
+    const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.02, 0.2, 8), material);
+    stem.position.y = 0.1;
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.055, 16, 12), material);
+    head.position.y = 0.23;
+    head.castShadow = true;
+
+    const pin = new THREE.Group();
+    pin.name = 'LandmarkPin';
+    pin.add(stem, head);
+    pin.scale.setScalar(scale);
+    return pin;
+  }
+
+  /**
+   * @param {Location} location
+   * @param {number} scale
+   * @returns {THREE.Group}
+   * @private
+   */
+  createBeacon(location, scale) {
+    const beam = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.03, 0.05, 0.7, 16, 1, true),
+      new THREE.MeshBasicMaterial({
+        color: location.themeColor,
+        transparent: true,
+        opacity: 0.25,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+      })
+    );
+    beam.name = 'LandmarkBeam';
+    beam.position.y = 0.35;
+
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(0.06, 0.09, 32),
+      new THREE.MeshBasicMaterial({
+        color: location.accentColor,
+        transparent: true,
+        opacity: 0.8,
+        side: THREE.DoubleSide,
+      })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.005;
+
+    const beacon = new THREE.Group();
+    beacon.name = 'LandmarkBeacon';
+    beacon.add(beam, ring);
+    beacon.scale.setScalar(scale);
+    return beacon;
+  }
+
+  /**
+   * Creates the billboarded label: a pill with an optional icon and the text.
+   * Image icons (URLs) are drawn in once their texture has loaded, unless
+   * the landmark was removed (and its label texture disposed) meanwhile.
+   *
+   * @param {string} text
+   * @param {string | undefined} icon - Emoji or image URL
+   * @param {Location} location - Supplies the colours
+   * @param {() => boolean} isRemoved - Whether the landmark is gone
+   * @returns {THREE.Sprite}
+   * @private
+   */
+  createLabel(text, icon, location, isRemoved) {
+    const isImageIcon = Boolean(icon?.includes('/'));
+    const canvas = document.createElement('canvas');
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const sprite = new THREE.Sprite(
+      new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false })
+    );
+    sprite.name = 'LandmarkLabel';
+
+    /** @param {CanvasImageSource | null} image */
+    const draw = (image) => {
+      const aspect = paintLabel(canvas, {
+        text,
+        glyph: isImageIcon ? null : icon ?? null,
+        image,
+        background: location.accentColor,
+        border: location.themeColor,
+      });
+      texture.needsUpdate = true;
+      sprite.scale.set(LABEL_HEIGHT * aspect, LABEL_HEIGHT, 1);
+    };
+
+    draw(null);
+    if (isImageIcon && icon) {
+      // The image is copied into the label canvas, so the texture is released right away
+      loadTexture(icon)
+        .then((iconTexture) => {
+          if (!isRemoved()) draw(iconTexture.image);
+        })
+        .catch(() => console.warn(`Landmark icon "${icon}" failed to load`))
+        .finally(() => releaseAsset(icon));
+    }
+
+    return sprite;
+  }
+
+  /**
+   * @param {string} id
+   * @private
+   */
+  removeEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    entry.removed = true;
+    this.entries.delete(id);
+    entry.anchor.removeFromParent();
+
+    entry.label.material.map?.dispose();
+    entry.label.material.dispose();
+    if (!entry.markerSlot.userData.cached) {
+      entry.markerSlot.children.forEach((child) => disposeMarker(child));
+    }
+    if (entry.modelUrl) releaseAsset(entry.modelUrl);
+  }
+}
+
+/**
+ * Frees the geometries and materials of a built-in marker.
+ *
+ * @param {THREE.Object3D} marker
+ */
+function disposeMarker(marker) {
+  marker.traverse((object) => {
+    const mesh = /** @type {THREE.Mesh} */ (object);
+    if (!mesh.isMesh) return;
+    mesh.geometry.dispose();
+    (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach((material) =>
+      material.dispose()
+    );
+  });
+}
+
+/**
+ * Draws a label pill onto a canvas, resizing it to fit.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} content
+ * @param {string} content.text
+ * @param {string | null} content.glyph - Emoji/text icon
+ * @param {CanvasImageSource | null} content.image - Image icon
+ * @param {string} content.background
+ * @param {string} content.border
+ * @returns {number} Width/height ratio of the drawn label
+ */
+function paintLabel(canvas, { text, glyph, image, background, border }) {
+  const height = LABEL_FONT_PX * 1.8;
+  const padding = LABEL_FONT_PX * 0.6;
+  const iconSize = glyph || image ? LABEL_FONT_PX * 1.1 : 0;
+  const gap = iconSize ? LABEL_FONT_PX * 0.35 : 0;
+  const font = `600 ${LABEL_FONT_PX}px 'Space Grotesk', sans-serif`;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return 1;
+  ctx.font = font;
+  const width = Math.ceil(padding * 2 + iconSize + gap + ctx.measureText(text).width);
+
+  canvas.width = width;
+  canvas.height = height;
+  ctx.font = font; // Resizing the canvas resets the context state
+  ctx.textBaseline = 'middle';
+
+  ctx.fillStyle = background;
+  ctx.strokeStyle = border;
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.roundRect(2, 2, width - 4, height - 4, (height - 4) / 2);
+  ctx.fill();
+  ctx.stroke();
+
+  let x = padding;
+  if (image) {
+    ctx.drawImage(image, x, (height - iconSize) / 2, iconSize, iconSize);
+  } else if (glyph) {
+    ctx.fillText(glyph, x, height / 2);
+  }
+  x += iconSize + gap;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(text, x, height / 2);
+
+  return width / height;
+}
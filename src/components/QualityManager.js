@@ -0,0 +1,193 @@
+/**
+ * @typedef {'low' | 'medium' | 'high'} QualityTier
+ */
+
+/**
+ * Rendering settings for one quality tier.
+ *
+ * @typedef {Object} QualitySettings
+ * @property {QualityTier} tier - Tier name
+ * @property {boolean} antialias - MSAA; only applied when the renderer is created
+ * @property {number} maxPixelRatio - Upper bound for `devicePixelRatio`
+ * @property {boolean} shadows - Shadow maps on/off
+ * @property {number} sphereSegments - Planet sphere width/height segments
+ * @property {boolean} atmosphere - Whether the atmosphere shell is drawn
+ * @property {number} textureWidth - Globe texture width in pixels (height is half)
+ * @property {number} particleDensity - Share of environment particles drawn (0–1)
+ */
+
+/** @type {Record<QualityTier, QualitySettings>} */
+export const QUALITY_TIERS = {
+  low: {
+    tier: 'low',
+    antialias: false,
+    maxPixelRatio: 1,
+    shadows: false,
+    sphereSegments: 32,
+    atmosphere: false,
+    textureWidth: 512,
+    particleDensity: 0.3,
+  },
+  medium: {
+    tier: 'medium',
+    antialias: true,
+    maxPixelRatio: 1.5,
+    shadows: false,
+    sphereSegments: 48,
+    atmosphere: true,
+    textureWidth: 1024,
+    particleDensity: 0.6,
+  },
+  high: {
+    tier: 'high',
+    antialias: true,
+    maxPixelRatio: 2,
+    shadows: true,
+    sphereSegments: 64,
+    atmosphere: true,
+    textureWidth: 1024,
+    particleDensity: 1,
+  },
+};
+
+/** @type {QualityTier[]} Lowest to highest */
+const TIER_ORDER = ['low', 'medium', 'high'];
+
+const WINDOW_SIZE = 90; // frames per evaluation (~1.5s at 60fps)
+const DOWNGRADE_MS = 24; // average frame time that steps down (~42fps)
+const UPGRADE_MS = 17.5; // average frame time that allows stepping up (~57fps)
+const UPGRADE_WINDOWS = 4; // consecutive fast windows needed to step up
+const MAX_FAILURES = 2; // after this many downgrades from a tier, stay below it
+const STALL_SECONDS = 0.25; // longer frames are hitches, not load
+
+/**
+ * Reads a manual tier from the URL (`?quality=low|medium|high`).
+ *
+ * @param {string} [search=window.location.search]
+ * @returns {QualityTier | null} The requested tier, or null if absent/invalid
+ */
+export function getQualityOverride(search = window.location.search) {
+  const value = new URLSearchParams(search).get('quality');
+  return value && value in QUALITY_TIERS ? /** @type {QualityTier} */ (value) : null;
+}
+
+/**
+ * Adaptive quality control driven by measured frame times.
+ *
+ * Frame times are averaged over windows of ~90 frames:
+ * - A slow window steps down one tier immediately
+ * - Several fast windows in a row step up one tier
+ * - A tier that had to be left twice is not tried again, so the
+ *   manager settles instead of oscillating
+ *
+ * With a manual tier (`?quality=low`, or the `tier` option) adaptation is off.
+ *
+ * @example
+ * ```javascript
+ * const quality = new QualityManager({ tier: getQualityOverride() });
+ * quality.onChange((settings) => globe.setQuality(settings));
+ * // every frame:
+ * quality.sample(frameSeconds);
+ * ```
+ */
+export class QualityManager {
+  /**
+   * @param {Object} [options]
+   * @param {QualityTier | null} [options.tier] - Fixed tier; disables adaptation
+   * @param {QualityTier} [options.initial='high'] - Starting tier when adaptive
+   */
+  constructor({ tier = null, initial = 'high' } = {}) {
+    this.adaptive = tier === null;
+    /** @type {QualityTier} */
+    this.tier = tier ?? initial;
+
+    /** @type {number[]} */
+    this.samples = [];
+    this.fastWindows = 0;
+    /** @type {Partial<Record<QualityTier, number>>} */
+    this.failures = {};
+    /** @type {Set<(settings: QualitySettings) => void>} */
+    this.listeners = new Set();
+  }
+
+  /** @returns {QualitySettings} Settings of the current tier */
+  get settings() {
+    return QUALITY_TIERS[this.tier];
+  }
+
+  /**
+   * Subscribes to tier changes.
+   *
+   * @param {(settings: QualitySettings) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Switches to a tier manually and stops adapting.
+   *
+   * @param {QualityTier} tier
+   */
+  setTier(tier) {
+    this.adaptive = false;
+    this.apply(tier);
+  }
+
+  /**
+   * Records one frame. Call once per rendered frame.
+   *
+   * @param {number} seconds - Time since the previous frame
+   */
+  sample(seconds) {
+    if (!this.adaptive || seconds <= 0 || seconds > STALL_SECONDS) return;
+
+    this.samples.push(seconds * 1000);
+    if (this.samples.length < WINDOW_SIZE) return;
+
+    const average = this.samples.reduce((sum, ms) => sum + ms, 0) / this.samples.length;
+    this.samples = [];
+    this.evaluate(average);
+  }
+
+  /**
+   * @param {number} averageMs - Mean frame time of the last window
+   * @private
+   */
+  evaluate(averageMs) {
+    const index = TIER_ORDER.indexOf(this.tier);
+
+    if (averageMs > DOWNGRADE_MS) {
+      this.fastWindows = 0;
+      if (index === 0) return;
+      this.failures[this.tier] = (this.failures[this.tier] ?? 0) + 1;
+      this.apply(TIER_ORDER[index - 1]);
+      return;
+    }
+
+    if (averageMs >= UPGRADE_MS || index === TIER_ORDER.length - 1) {
+      this.fastWindows = 0;
+      return;
+    }
+
+    this.fastWindows += 1;
+    const next = TIER_ORDER[index + 1];
+    if (this.fastWindows >= UPGRADE_WINDOWS && (this.failures[next] ?? 0) < MAX_FAILURES) {
+      this.fastWindows = 0;
+      this.apply(next);
+    }
+  }
+
+  /**
+   * @param {QualityTier} tier
+   * @private
+   */
+  apply(tier) {
+    if (tier === this.tier) return;
+    this.tier = tier;
+    this.samples = [];
+    this.listeners.forEach((listener) => listener(this.settings));
+  }
+}
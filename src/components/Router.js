@@ -0,0 +1,154 @@
+const DEFAULT_SETTLE_MS = 600;
+
+/**
+ * URL ↔ active zone synchronisation.
+ *
+ * Supports two URL styles:
+ * - `hash`  → `/#/labs` (default; works on any static host)
+ * - `query` → `/?zone=labs`
+ *
+ * Both styles are always *read*, so links in either format work;
+ * `mode` only decides which one is *written*.
+ *
+ * History policy:
+ * - Zone changes are committed after the globe settles (`settleMs`), so
+ *   spinning through several zones creates one history entry, not many.
+ * - The first zone written on a URL without a zone replaces the entry
+ *   instead of pushing, so loading the page never adds a history step.
+ * - `popstate` (back/forward, edited URL) calls `onNavigate`. It also fires
+ *   for hash changes, so `hashchange` is not needed (and would call twice).
+ *
+ * @example
+ * ```javascript
+ * const router = new ZoneRouter();
+ * router.attach({ onNavigate: (zoneId) => app.goToZone(zoneId) });
+ * const initial = router.getZoneId(); // "labs" for /#/labs
+ * router.sync('contact');             // → /#/contact after the globe settles
+ * ```
+ */
+export class ZoneRouter {
+  /**
+   * @param {Object} [options]
+   * @param {'hash' | 'query'} [options.mode='hash'] - URL style to write
+   * @param {'push' | 'replace'} [options.history='push'] - How settled zone changes are recorded
+   * @param {number} [options.settleMs=600] - Delay before a zone change is written
+   */
+  constructor({ mode = 'hash', history = 'push', settleMs = DEFAULT_SETTLE_MS } = {}) {
+    this.mode = mode;
+    this.history = history;
+    this.settleMs = settleMs;
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.pending = null;
+    this.callbacks = {
+      /** @type {(zoneId: string) => void} */
+      onNavigate: () => {},
+    };
+  }
+
+  /**
+   * Starts listening for back/forward navigation and manual URL edits.
+   *
+   * @param {Partial<ZoneRouter['callbacks']>} [callbacks]
+   */
+  attach(callbacks = {}) {
+    this.callbacks = { ...this.callbacks, ...callbacks };
+    window.addEventListener('popstate', this.handleNavigation);
+  }
+
+  detach() {
+    window.removeEventListener('popstate', this.handleNavigation);
+    this.cancelPending();
+  }
+
+  /**
+   * Reads the zone id from a URL (`#/labs` or `?zone=labs`).
+   * Plain anchors such as `#about` are ignored.
+   *
+   * @param {Location | URL} [url=window.location]
+   * @returns {string | null} Zone id, or null if the URL names none
+   */
+  getZoneId(url = window.location) {
+    const hashMatch = url.hash.match(/^#\/([^/?#]+)/);
+    if (hashMatch) return decodeURIComponent(hashMatch[1]);
+
+    return new URLSearchParams(url.search).get('zone');
+  }
+
+  /**
+   * Records the active zone in the URL once the globe settles on it.
+   * Calling again before the delay elapses replaces the pending zone.
+   *
+   * @param {string} zoneId - Zone that just became active
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Replace the current history
+   *   entry even in `push` mode (e.g. for automatic changes)
+   */
+  sync(zoneId, { replace = false } = {}) {
+    this.cancelPending();
+    this.pending = setTimeout(() => {
+      this.pending = null;
+      this.write(zoneId, replace);
+    }, this.settleMs);
+  }
+
+  /**
+   * Writes a zone id to the URL immediately.
+   *
+   * @param {string} zoneId
+   * @param {boolean} [replace=false] - Replace instead of push
+   * @private
+   */
+  write(zoneId, replace = false) {
+    const current = this.getZoneId();
+    if (current === zoneId) return;
+
+    const url = this.buildUrl(zoneId);
+    const state = { zone: zoneId };
+
+    if (replace || this.history === 'replace' || current === null) {
+      window.history.replaceState(state, '', url);
+    } else {
+      window.history.pushState(state, '', url);
+    }
+  }
+
+  /**
+   * Builds the URL for a zone in the configured style,
+   * clearing the other style so the two never disagree.
+   *
+   * @param {string} zoneId
+   * @returns {string}
+   * @private
+   */
+  buildUrl(zoneId) {
+    const url = new URL(window.location.href);
+    const encoded = encodeURIComponent(zoneId);
+
+    if (this.mode === 'query') {
+      url.searchParams.set('zone', zoneId);
+      if (url.hash.startsWith('#/')) url.hash = '';
+    } else {
+      url.searchParams.delete('zone');
+      url.hash = `/${encoded}`;
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * @private
+   */
+  cancelPending() {
+    if (this.pending) {
+      clearTimeout(this.pending);
+      this.pending = null;
+    }
+  }
+
+  handleNavigation = () => {
+    const zoneId = this.getZoneId();
+    if (!zoneId) return;
+    this.cancelPending();
+    this.callbacks.onNavigate(zoneId);
+  };
+}
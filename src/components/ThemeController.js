@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { gsap } from 'gsap';
+
+/**
+ * Colours of the current theme. While a transition runs these are the
+ * in-between values, not the target.
+ *
+ * @typedef {Object} ThemePalette
+ * @property {THREE.Color} primary - Zone `themeColor`
+ * @property {THREE.Color} accent - Zone `accentColor` (falls back to the primary)
+ */
+
+/**
+ * @typedef {Object} ThemeTransitionOptions
+ * @property {number} [duration] - Seconds; defaults to the controller's
+ *   duration (0, or reduced motion, applies the palette at once)
+ * @property {string | ((progress: number) => number)} [ease] - GSAP ease
+ *   name or a custom easing function
+ */
+
+const DEFAULT_DURATION = 0.8;
+const DEFAULT_EASE = 'power2.inOut';
+const INTERRUPT_EASE = 'power2.out'; // already moving: no second ease-in
+
+/**
+ * Central theme transitions: blends every theme-bound property from the
+ * current palette to a zone's palette over a fixed time.
+ *
+ * Subscribers (`onChange()`) receive the blended palette whenever it changes
+ * and copy it onto their own properties (atmosphere, avatar materials,
+ * lights...). The controller itself writes the CSS custom properties
+ * `--theme-primary` and `--theme-accent` on `root`, for page styles.
+ *
+ * A new palette while a transition is running starts from the colours shown
+ * at that moment, so spinning quickly through several zones never jumps;
+ * the follow-up transition eases out only, keeping the motion continuous.
+ * The first palette is applied at once, as there is nothing to blend from.
+ *
+ * Advance it from the render loop with `update()`, so it pauses with the app.
+ *
+ * @example
+ * ```javascript
+ * const theme = new ThemeController({ duration: 0.6 });
+ * theme.onChange(({ primary }) => globe.setThemeColor(primary));
+ * theme.setPalette(zone.themeColor, zone.accentColor);
+ * // every frame:
+ * theme.update(delta);
+ * ```
+ */
+export class ThemeController {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.duration=0.8] - Default transition length in seconds
+   * @param {string | ((progress: number) => number)} [options.ease='power2.inOut'] -
+   *   Default GSAP ease name or easing function
+   * @param {HTMLElement | null} [options.root=document.documentElement] -
+   *   Element receiving the CSS custom properties; null skips them
+   * @param {boolean} [options.reducedMotion=false] - Apply palettes instantly
+   */
+  constructor({
+    duration = DEFAULT_DURATION,
+    ease = DEFAULT_EASE,
+    root = document.documentElement,
+    reducedMotion = false,
+  } = {}) {
+    this.duration = duration;
+    this.ease = ease;
+    this.root = root;
+    this.reducedMotion = reducedMotion;
+
+    /** @type {ThemePalette | null} Blended palette; null until the first `setPalette()` */
+    this.palette = null;
+    /** @type {ThemePalette} */
+    this.from = { primary: new THREE.Color(), accent: new THREE.Color() };
+    /** @type {ThemePalette} */
+    this.to = { primary: new THREE.Color(), accent: new THREE.Color() };
+    /** @type {{ elapsed: number, duration: number, ease: (progress: number) => number } | null} */
+    this.transition = null;
+
+    /** @type {Set<(palette: ThemePalette) => void>} */
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribes to palette changes. A listener added after the first palette
+   * is called straight away with the current colours.
+   *
+   * @param {(palette: ThemePalette) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    if (this.palette) listener(this.palette);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Starts a transition to a new palette, from whatever is shown now.
+   *
+   * @param {THREE.ColorRepresentation} primary - Primary theme colour
+   * @param {THREE.ColorRepresentation} [accent] - Accent colour; defaults to the primary
+   * @param {ThemeTransitionOptions} [options]
+   */
+  setPalette(primary, accent = primary, { duration = this.duration, ease } = {}) {
+    this.to.primary.set(primary);
+    this.to.accent.set(accent);
+
+    if (!this.palette || duration <= 0 || this.reducedMotion) {
+      this.transition = null;
+      this.palette ??= { primary: new THREE.Color(), accent: new THREE.Color() };
+      this.palette.primary.copy(this.to.primary);
+      this.palette.accent.copy(this.to.accent);
+      this.emit();
+      return;
+    }
+
+    const interrupted = this.transition !== null;
+    this.from.primary.copy(this.palette.primary);
+    this.from.accent.copy(this.palette.accent);
+    this.transition = {
+      elapsed: 0,
+      duration,
+      ease: gsap.parseEase(ease ?? (interrupted ? INTERRUPT_EASE : this.ease)),
+    };
+  }
+
+  /**
+   * Advances the running transition. Call once per simulation step.
+   *
+   * @param {number} delta - Seconds since the previous update
+   */
+  update(delta) {
+    const transition = this.transition;
+    if (!transition || !this.palette) return;
+
+    transition.elapsed = Math.min(transition.elapsed + delta, transition.duration);
+    const progress = transition.ease(transition.elapsed / transition.duration);
+
+    this.palette.primary.lerpColors(this.from.primary, this.to.primary, progress);
+    this.palette.accent.lerpColors(this.from.accent, this.to.accent, progress);
+    if (transition.elapsed >= transition.duration) this.transition = null;
+
+    this.emit();
+  }
+
+  /**
+   * Reduced motion finishes a running transition and applies later ones at once.
+   *
+   * @param {boolean} enabled
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+    if (enabled && this.transition) this.update(this.transition.duration);
+  }
+
+  /**
+   * Drops the subscribers and removes the CSS custom properties.
+   */
+  dispose() {
+    this.transition = null;
+    this.listeners.clear();
+    this.root?.style.removeProperty('--theme-primary');
+    this.root?.style.removeProperty('--theme-accent');
+  }
+
+  /**
+   * Writes the CSS custom properties and notifies subscribers.
+   *
+   * @private
+   */
+  emit() {
+    const palette = /** @type {ThemePalette} */ (this.palette);
+    this.root?.style.setProperty('--theme-primary', `#${palette.primary.getHexString()}`);
+    this.root?.style.setProperty('--theme-accent', `#${palette.accent.getHexString()}`);
+    this.listeners.forEach((listener) => listener(palette));
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * @typedef {import('../types').TourScript} TourScript
+ * @typedef {import('../types').TourStop} TourStop
+ */
+
+const DEFAULT_IDLE_MS = 20000;
+const DEFAULT_DWELL_MS = 6000;
+
+/**
+ * Guided tour ("attract mode") timing: which stop comes next and when.
+ *
+ * The tour starts from `start()` (the tour button) or by itself once the
+ * visitor has been idle for `idleMs`. At each stop it asks the owner to
+ * fly there (`onStop`), waits for the flight, dwells, then moves on,
+ * looping unless the script says otherwise. Any user input reported
+ * through `notifyActivity()` ends the tour at once and restarts the idle
+ * countdown, so control is handed straight back.
+ *
+ * Tour has no DOM or scene of its own: the owner moves the globe, shows
+ * captions (`onStop`) and reflects the playing state (`onStateChange`).
+ *
+ * @example
+ * ```javascript
+ * const tour = new Tour();
+ * tour.setScript({ dwellMs: 5000, stops: [{ zoneId: 'about' }, { zoneId: 'labs' }] });
+ * tour.attach({
+ *   onStop: (stop, index, total) => app.flyTo(stop.zoneId),
+ *   onStateChange: (playing) => console.log(playing ? 'touring' : 'stopped'),
+ * });
+ * controls.attach({ onInput: () => tour.notifyActivity() });
+ * ```
+ */
+export class Tour {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.idleMs=20000] - Idle time before the tour
+   *   starts by itself (0 = never); a script's `idleMs` replaces it
+   * @param {number} [options.dwellMs=6000] - Default time at each stop; a
+   *   script's `dwellMs` replaces it
+   */
+  constructor({ idleMs = DEFAULT_IDLE_MS, dwellMs = DEFAULT_DWELL_MS } = {}) {
+    this.defaults = { idleMs, dwellMs };
+    this.idleMs = idleMs;
+    this.dwellMs = dwellMs;
+    this.loop = true;
+    /** @type {TourStop[]} */
+    this.stops = [];
+    /** Index of the current stop, or -1 */
+    this.index = -1;
+    this.playing = false;
+    /** Whether the idle countdown may start the tour (see `setIdleEnabled()`) */
+    this.idleEnabled = true;
+    this.attached = false;
+    /** Incremented on every stop change, so stale flights are ignored */
+    this.run = 0;
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.idleTimer = null;
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.dwellTimer = null;
+    this.callbacks = {
+      /**
+       * Called as the tour heads for each stop; may return a promise (the
+       * flight) resolving once there, or `false` if it was interrupted.
+       * @type {(stop: TourStop, index: number, total: number) => Promise<boolean> | void}
+       */
+      onStop: () => {},
+      /** @type {(playing: boolean) => void} */
+      onStateChange: () => {},
+    };
+  }
+
+  /**
+   * Starts listening for idleness.
+   *
+   * @param {Partial<Tour['callbacks']>} [callbacks]
+   * @public
+   */
+  attach(callbacks = {}) {
+    this.callbacks = { ...this.callbacks, ...callbacks };
+    this.attached = true;
+    this.armIdle();
+  }
+
+  /**
+   * Stops the tour and the idle countdown.
+   *
+   * @public
+   */
+  detach() {
+    this.attached = false;
+    this.stop();
+    this.clearTimer('idleTimer');
+  }
+
+  /**
+   * Replaces the stops and timings. A running tour ends if its stops
+   * changed, since the current one may no longer exist.
+   *
+   * @param {TourScript} script - Validated script; `stops` must name
+   *   existing zones (the owner filters them)
+   * @public
+   */
+  setScript({ stops = [], dwellMs, idleMs, loop = true }) {
+    if (JSON.stringify(stops) !== JSON.stringify(this.stops)) this.stop();
+    this.stops = stops;
+    this.dwellMs = dwellMs ?? this.defaults.dwellMs;
+    this.idleMs = idleMs ?? this.defaults.idleMs;
+    this.loop = loop;
+    this.armIdle();
+  }
+
+  /**
+   * Allows or prevents the tour from starting by itself (e.g. off while
+   * the globe is out of view or reduced motion is on). The tour button
+   * (`start()`) always works.
+   *
+   * @param {boolean} enabled
+   * @public
+   */
+  setIdleEnabled(enabled) {
+    this.idleEnabled = enabled;
+    this.armIdle();
+  }
+
+  /**
+   * Starts (or restarts) the tour.
+   *
+   * @param {number} [index=0] - Stop to begin at
+   * @public
+   */
+  start(index = 0) {
+    if (!this.stops.length) return;
+
+    this.clearTimer('idleTimer');
+    if (!this.playing) {
+      this.playing = true;
+      this.callbacks.onStateChange(true);
+    }
+    this.visit(Math.min(Math.max(index, 0), this.stops.length - 1));
+  }
+
+  /**
+   * Ends the tour, leaving the globe where it is, and restarts the idle
+   * countdown.
+   *
+   * @public
+   */
+  stop() {
+    this.run += 1;
+    this.clearTimer('dwellTimer');
+    this.index = -1;
+    if (this.playing) {
+      this.playing = false;
+      this.callbacks.onStateChange(false);
+    }
+    this.armIdle();
+  }
+
+  /**
+   * Starts the tour, or stops it if it is running.
+   *
+   * @public
+   */
+  toggle() {
+    if (this.playing) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  /**
+   * Reports user input: ends a running tour and restarts the idle
+   * countdown.
+   *
+   * @public
+   */
+  notifyActivity() {
+    if (this.playing) {
+      this.stop(); // Also re-arms the countdown
+    } else {
+      this.armIdle();
+    }
+  }
+
+  /**
+   * Flies to a stop, then dwells before moving on.
+   *
+   * @param {number} index
+   * @private
+   */
+  async visit(index) {
+    this.run += 1;
+    const run = this.run;
+    this.clearTimer('dwellTimer');
+    this.index = index;
+
+    const stop = this.stops[index];
+    const arrived = await this.callbacks.onStop(stop, index, this.stops.length);
+    if (run !== this.run) return;
+
+    // Something else moved the globe mid-flight: hand control back
+    if (arrived === false) {
+      this.stop();
+      return;
+    }
+
+    this.dwellTimer = setTimeout(() => {
+      this.dwellTimer = null;
+      this.advance();
+    }, stop.dwellMs ?? this.dwellMs);
+  }
+
+  /**
+   * Moves to the next stop, wrapping or ending after the last one.
+   *
+   * @private
+   */
+  advance() {
+    const next = this.index + 1;
+    if (next < this.stops.length) {
+      this.visit(next);
+    } else if (this.loop) {
+      this.visit(0);
+    } else {
+      this.stop();
+    }
+  }
+
+  /**
+   * (Re)starts the idle countdown if the tour may start by itself.
+   *
+   * @private
+   */
+  armIdle() {
+    this.clearTimer('idleTimer');
+    if (!this.attached || this.playing || !this.idleEnabled) return;
+    if (this.idleMs <= 0 || !this.stops.length) return;
+
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.start();
+    }, this.idleMs);
+  }
+
+  /**
+   * @param {'idleTimer' | 'dwellTimer'} name
+   * @private
+   */
+  clearTimer(name) {
+    const timer = this[name];
+    if (timer) clearTimeout(timer);
+    this[name] = null;
+  }
+}
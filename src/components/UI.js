@@ -1,7 +1,41 @@
+import { createContentPanel } from './ContentPanel.js';
+
 /**
  * @typedef {import('../types').Location} Location
  */
 
+/**
+ * @typedef {Object} UIOverlay
+ * @property {(zone: Location | null, tabId?: string) => void} setZone - Updates overlay
+ *   content for a location
+ * @property {(zones: Location[]) => void} setZones - Rebuilds the zone list
+ * @property {(progress: TourProgress | null) => void} setTour - Shows the current tour
+ *   stop's caption and progress dots, or null when no tour is running
+ * @property {(visible: boolean, percent?: number | null) => void} showLoading - Shows/hides
+ *   the loading spinner, optionally with a progress percentage
+ * @property {(message: string | null) => void} showError - Displays or hides an error message
+ * @property {() => void} dispose - Removes the overlay from the page
+ */
+
+/**
+ * @typedef {Object} TourProgress
+ * @property {string} caption - Caption for the current stop
+ * @property {number} index - Current stop (0-based)
+ * @property {number} total - Number of stops
+ */
+
+/**
+ * @typedef {Object} UIOverlayOptions
+ * @property {HTMLElement} [container] - Element the overlay is placed in
+ *   (positioned over it); defaults to `#app`
+ * @property {(zoneId: string) => void} [onSelectZone] - Called when the user
+ *   picks a zone from the list (arrow keys, Enter/Space or click)
+ * @property {() => void} [onToggleTour] - Called when the tour button is
+ *   pressed (start or stop the guided tour)
+ */
+
+const ANNOUNCE_DELAY_MS = 400;
+
 /**
  * Creates the DOM-based UI overlay that displays location information.
  *
@@ -10,31 +44,91 @@
  * - Tagline (short description)
  * - Body text (full description)
  * - Action buttons (links to projects/sections)
+ * - "More details" toggle and detail panel for locations with `content`
+ *   (project cards, galleries, text, timelines, video; see `ContentPanel.js`)
+ * - Zone list (tabs) for keyboard and screen-reader navigation
+ * - Tour bar: a start/stop button and, while the guided tour runs, its
+ *   caption and progress dots (`setTour()`)
+ * - Live region announcing zone changes
  * - Touch hint for mobile users
  *
  * All content updates dynamically when the active location changes.
+ * The border follows the page's `--theme-primary` custom property, which the
+ * theme controller tweens.
+ *
+ * Keyboard model:
+ * - The zone list is a single Tab stop (roving tabindex); ←/→ (or ↑/↓),
+ *   Home and End move between zones and fly the globe there
+ * - Enter/Space on a zone flies there and moves focus to its details panel
+ * - Tab continues to the action links, which open with Enter
+ * - "More details" opens the detail panel and focuses its heading; Escape
+ *   (or the toggle) closes it and returns focus to the toggle. If the zone
+ *   changes while focus is inside, focus moves to the new content's heading
+ *
+ * Zone changes are announced politely once the globe settles, so spinning
+ * past several zones announces only the last one.
+ *
+ * Calling `setZone()` again with an edited copy of the active location
+ * (e.g. after a live data update) re-renders it in place.
  *
- * @returns {Object} UI controller with methods to update the overlay
- * @returns {Function} return.setZone - Updates overlay content for a new location
- * @returns {Function} return.showLoading - Shows/hides loading spinner
- * @returns {Function} return.showError - Displays an error message
+ * @param {UIOverlayOptions} [options]
+ * @returns {UIOverlay} UI controller with methods to update the overlay
  *
  * @example
  * ```javascript
- * const ui = createUIOverlay();
+ * const ui = createUIOverlay({ onSelectZone: (id) => app.flyTo(id) });
+ * ui.setZones(locations);
  * ui.setZone({ label: 'Projects', tagline: 'My work', ... });
- * ui.showLoading(true);
+ * ui.showLoading(true, 40); // 40% loaded
  * ui.showError('Failed to load data');
  * ```
  */
-export function createUIOverlay() {
-  const container = document.getElementById('app');
-
+export function createUIOverlay({
+  container = /** @type {HTMLElement} */ (document.getElementById('app')),
+  onSelectZone = () => {},
+  onToggleTour = () => {},
+} = {}) {
   const overlay = document.createElement('aside');
   overlay.className = 'ui-overlay';
+  overlay.setAttribute('aria-label', 'Zone details');
+
+  const zoneList = document.createElement('div');
+  zoneList.className = 'ui-zones';
+  zoneList.setAttribute('role', 'tablist');
+  zoneList.setAttribute('aria-label', 'Zones');
+
+  const tourBar = document.createElement('div');
+  tourBar.className = 'ui-tour';
+
+  const tourToggle = document.createElement('button');
+  tourToggle.type = 'button';
+  tourToggle.className = 'ui-tour-toggle';
+  tourToggle.textContent = 'Take the tour';
+  tourToggle.setAttribute('aria-pressed', 'false');
+
+  // Read out as each stop arrives; the dots are decoration
+  const tourCaption = document.createElement('p');
+  tourCaption.className = 'ui-tour-caption';
+  tourCaption.setAttribute('aria-live', 'polite');
+  tourCaption.style.display = 'none';
+
+  const tourDots = document.createElement('ol');
+  tourDots.className = 'ui-tour-dots';
+  tourDots.setAttribute('aria-hidden', 'true');
+  tourDots.style.display = 'none';
+
+  tourBar.append(tourToggle, tourCaption, tourDots);
+
+  const panel = document.createElement('div');
+  panel.className = 'ui-panel';
+  panel.id = 'ui-zone-panel';
+  panel.tabIndex = -1;
+  panel.setAttribute('role', 'tabpanel');
 
   const title = document.createElement('h2');
+  title.id = 'ui-zone-title';
   title.textContent = 'Zayd.world';
+  panel.setAttribute('aria-labelledby', title.id);
 
   const tagline = document.createElement('p');
   tagline.className = 'ui-tagline';
@@ -43,39 +137,218 @@ export function createUIOverlay() {
   const body = document.createElement('p');
   body.className = 'ui-description';
   body.textContent =
-    'Use arrow keys or drag to spin the globe. Each region unlocks a different part of the story.';
+    'Use arrow keys or drag to spin the globe, or click a region to fly there. Each region unlocks a different part of the story.';
+
+  // Screen readers hear zone changes here; it is visually hidden
+  const announcer = document.createElement('p');
+  announcer.className = 'ui-visually-hidden';
+  announcer.setAttribute('role', 'status');
+  announcer.setAttribute('aria-live', 'polite');
 
   const actions = document.createElement('div');
   actions.className = 'ui-actions';
 
+  const details = createContentPanel();
+  details.element.style.display = 'none';
+
+  const detailsToggle = document.createElement('button');
+  detailsToggle.type = 'button';
+  detailsToggle.className = 'ui-details-toggle';
+  detailsToggle.textContent = 'More details';
+  detailsToggle.style.display = 'none';
+  detailsToggle.setAttribute('aria-expanded', 'false');
+  detailsToggle.setAttribute('aria-controls', details.element.id);
+
   // Loading spinner element (initially hidden)
   const loadingEl = document.createElement('div');
   loadingEl.className = 'ui-loading';
   loadingEl.style.display = 'none';
+  loadingEl.setAttribute('role', 'progressbar');
+  loadingEl.setAttribute('aria-label', 'Loading');
+  loadingEl.setAttribute('aria-valuemin', '0');
+  loadingEl.setAttribute('aria-valuemax', '100');
   loadingEl.innerHTML = '<div class="spinner"></div><p>Loading...</p>';
+  const loadingText = /** @type {HTMLParagraphElement} */ (loadingEl.querySelector('p'));
 
   // Error message element (initially hidden)
   const errorEl = document.createElement('div');
   errorEl.className = 'ui-error';
+  errorEl.setAttribute('role', 'alert');
   errorEl.style.display = 'none';
 
-  overlay.append(title, tagline, body, actions, loadingEl, errorEl);
+  panel.append(title, tagline, body, actions, detailsToggle, details.element);
+  overlay.append(zoneList, tourBar, panel, loadingEl, errorEl, announcer);
   container.appendChild(overlay);
 
   const hint = document.createElement('div');
   hint.className = 'touch-hint';
-  hint.textContent = 'Drag to explore';
+  hint.textContent = 'Drag to explore · tap a region to visit';
   container.appendChild(hint);
 
+  /** @type {HTMLButtonElement[]} */
+  let tabs = [];
+  /** @type {string | null} */
+  let activeId = null;
+  /** @type {string | null} */
+  let selectedTabId = null;
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let announceTimer = null;
+  let hasDetails = false;
+  let detailsOpen = false;
+  let contentVisible = true; // False while loading or showing an error
+  /** @type {string | null} Content currently rendered in the detail panel */
+  let renderedContent = null;
+
+  /**
+   * Shows or hides the zone content (hidden while loading or on error).
+   *
+   * @param {boolean} visible
+   */
+  const setContentVisible = (visible) => {
+    contentVisible = visible;
+    zoneList.style.display = visible ? 'flex' : 'none';
+    tourBar.style.display = visible && tabs.length ? 'block' : 'none';
+    title.style.display = visible ? 'block' : 'none';
+    tagline.style.display = visible ? 'block' : 'none';
+    body.style.display = visible ? 'block' : 'none';
+    actions.style.display = visible ? 'flex' : 'none';
+    detailsToggle.style.display = visible && hasDetails ? 'inline-block' : 'none';
+    details.element.style.display = visible && hasDetails && detailsOpen ? 'block' : 'none';
+  };
+
+  /**
+   * Opens or closes the detail panel.
+   *
+   * @param {boolean} open
+   * @param {boolean} [moveFocus=false] - Focus the panel heading when opening,
+   *   the toggle when closing
+   */
+  const setDetailsOpen = (open, moveFocus = false) => {
+    detailsOpen = open && hasDetails;
+    detailsToggle.setAttribute('aria-expanded', String(detailsOpen));
+    detailsToggle.textContent = detailsOpen ? 'Hide details' : 'More details';
+    setContentVisible(contentVisible);
+    if (!moveFocus) return;
+    if (detailsOpen) {
+      details.focus();
+    } else {
+      detailsToggle.focus();
+    }
+  };
+
+  const handleToggleClick = () => setDetailsOpen(!detailsOpen, true);
+
+  /**
+   * Escape closes the detail panel from anywhere inside it.
+   *
+   * @param {KeyboardEvent} event
+   */
+  const handleDetailsKeyDown = (event) => {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    setDetailsOpen(false, true);
+  };
+
+  const handleTourClick = () => onToggleTour();
+
+  detailsToggle.addEventListener('click', handleToggleClick);
+  tourToggle.addEventListener('click', handleTourClick);
+  details.element.addEventListener('keydown', handleDetailsKeyDown);
+
+  /**
+   * Marks a zone tab as selected and makes it the list's single Tab stop.
+   *
+   * @param {string | null} zoneId
+   */
+  const selectTab = (zoneId) => {
+    const hasMatch = tabs.some((tab) => tab.dataset.zone === zoneId);
+    tabs.forEach((tab, index) => {
+      const selected = tab.dataset.zone === zoneId;
+      tab.setAttribute('aria-selected', String(selected));
+      tab.tabIndex = selected || (!hasMatch && index === 0) ? 0 : -1;
+    });
+  };
+
+  /**
+   * Announces a zone after a short delay, replacing any pending announcement.
+   *
+   * @param {Location} zone
+   */
+  const announce = (zone) => {
+    if (announceTimer) clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+      announceTimer = null;
+      announcer.textContent = zone.tagline
+        ? `${zone.label}: ${zone.tagline}`
+        : zone.label;
+    }, ANNOUNCE_DELAY_MS);
+  };
+
+  /**
+   * Roving-tabindex keyboard handling for the zone list.
+   * Handled keys are marked with `preventDefault()` so globe keyboard
+   * controls ignore them.
+   *
+   * @param {KeyboardEvent} event
+   */
+  const handleListKeyDown = (event) => {
+    const current = tabs.indexOf(/** @type {HTMLButtonElement} */ (event.target));
+    if (current === -1) return;
+
+    /** @type {number | null} */
+    let next = null;
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        next = (current + 1) % tabs.length;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        next = (current - 1 + tabs.length) % tabs.length;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = tabs.length - 1;
+        break;
+      case 'Enter':
+      case ' ': {
+        event.preventDefault();
+        onSelectZone(tabs[current].dataset.zone ?? '');
+        // The panel survives re-renders, unlike the action links inside it
+        panel.focus();
+        return;
+      }
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    const tab = tabs[next];
+    selectTab(tab.dataset.zone ?? null);
+    tab.focus();
+    onSelectZone(tab.dataset.zone ?? '');
+  };
+
+  zoneList.addEventListener('keydown', handleListKeyDown);
+
   return {
     /**
      * Updates the overlay to display a new location's information.
      *
      * @param {Location | null} zone - The location data to display
+     * @param {string} [tabId] - Zone list entry to select, for child zones
+     *   (the list only holds top-level zones); defaults to `zone.id`
      */
-    setZone(zone) {
+    setZone(zone, tabId) {
       if (!zone) return;
 
+      if (zone.id !== activeId) announce(zone);
+      activeId = zone.id;
+      selectedTabId = tabId ?? zone.id;
+      selectTab(selectedTabId);
+
       title.textContent = zone.label ?? 'Zayd.world';
       tagline.textContent = zone.tagline ?? '';
       body.textContent = zone.description ?? '';
@@ -92,20 +365,103 @@ export function createUIOverlay() {
         });
       }
 
-      overlay.style.borderColor = zone.themeColor ?? 'transparent';
+      // Re-render only when the content changed, so an open video or the
+      // scroll position survive live updates of the same zone
+      const content = zone.content ?? [];
+      const contentKey = JSON.stringify([zone.label, content]);
+      if (contentKey === renderedContent) return;
+      renderedContent = contentKey;
+
+      const focusInDetails = details.element.contains(document.activeElement);
+      hasDetails = content.length > 0;
+      if (hasDetails) details.render(zone.label, content);
+      setDetailsOpen(detailsOpen);
+      if (focusInDetails) {
+        if (detailsOpen) {
+          details.focus();
+        } else {
+          panel.focus();
+        }
+      }
+    },
+
+    /**
+     * Rebuilds the zone list, keeping the current selection.
+     *
+     * @param {Location[]} zones - Zones in display order
+     */
+    setZones(zones) {
+      zoneList.innerHTML = '';
+      tabs = zones.map((zone) => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = 'ui-zone';
+        tab.id = `ui-zone-tab-${zone.id}`;
+        tab.dataset.zone = zone.id;
+        tab.textContent = zone.label;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', panel.id);
+        tab.addEventListener('click', () => onSelectZone(zone.id));
+        zoneList.appendChild(tab);
+        return tab;
+      });
+      selectTab(selectedTabId);
+      setContentVisible(contentVisible);
+    },
+
+    /**
+     * Shows the guided tour's progress, or returns to the idle tour button.
+     *
+     * @param {TourProgress | null} progress - Current stop, or null when
+     *   no tour is running
+     */
+    setTour(progress) {
+      tourToggle.setAttribute('aria-pressed', String(Boolean(progress)));
+      tourToggle.textContent = progress ? 'Stop tour' : 'Take the tour';
+      tourCaption.style.display = progress ? 'block' : 'none';
+      tourDots.style.display = progress ? 'flex' : 'none';
+      if (!progress) {
+        tourCaption.textContent = '';
+        return;
+      }
+
+      const { caption, index, total } = progress;
+      tourCaption.innerHTML = '';
+      const position = document.createElement('span');
+      position.className = 'ui-visually-hidden';
+      position.textContent = `Stop ${index + 1} of ${total}: `;
+      tourCaption.append(position, caption);
+
+      if (tourDots.childElementCount !== total) {
+        tourDots.replaceChildren(
+          ...Array.from({ length: total }, () => document.createElement('li'))
+        );
+      }
+      Array.from(tourDots.children).forEach((dot, dotIndex) => {
+        dot.classList.toggle('is-current', dotIndex === index);
+        dot.classList.toggle('is-done', dotIndex < index);
+      });
     },
 
     /**
      * Shows or hides the loading spinner.
      *
      * @param {boolean} visible - Whether to show the loading state
+     * @param {number | null} [percent] - Progress (0–100); omit while it is unknown
      */
-    showLoading(visible) {
+    showLoading(visible, percent = null) {
+      if (percent == null) {
+        loadingEl.removeAttribute('aria-valuenow');
+        loadingText.textContent = 'Loading...';
+      } else {
+        const rounded = String(Math.round(Math.min(Math.max(percent, 0), 100)));
+        loadingEl.setAttribute('aria-valuenow', rounded);
+        loadingText.textContent = `Loading... ${rounded}%`;
+      }
+
       loadingEl.style.display = visible ? 'block' : 'none';
-      title.style.display = visible ? 'none' : 'block';
-      tagline.style.display = visible ? 'none' : 'block';
-      body.style.display = visible ? 'none' : 'block';
-      actions.style.display = visible ? 'none' : 'flex';
+      overlay.setAttribute('aria-busy', String(visible));
+      setContentVisible(!visible);
     },
 
     /**
@@ -117,17 +473,24 @@ export function createUIOverlay() {
       if (message) {
         errorEl.textContent = message;
         errorEl.style.display = 'block';
-        title.style.display = 'none';
-        tagline.style.display = 'none';
-        body.style.display = 'none';
-        actions.style.display = 'none';
       } else {
         errorEl.style.display = 'none';
-        title.style.display = 'block';
-        tagline.style.display = 'block';
-        body.style.display = 'block';
-        actions.style.display = 'flex';
       }
+      setContentVisible(!message);
+    },
+
+    /**
+     * Removes the overlay and touch hint from the page.
+     */
+    dispose() {
+      if (announceTimer) clearTimeout(announceTimer);
+      zoneList.removeEventListener('keydown', handleListKeyDown);
+      detailsToggle.removeEventListener('click', handleToggleClick);
+      tourToggle.removeEventListener('click', handleTourClick);
+      details.element.removeEventListener('keydown', handleDetailsKeyDown);
+      details.dispose();
+      overlay.remove();
+      hint.remove();
     },
   };
 }
@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+
+/**
+ * @typedef {import('../types').Zone} Zone
+ * @typedef {import('./Zones.js').Zones} Zones
+ */
+
+const CLICK_TOLERANCE_PX = 6;
+const CLICK_MAX_MS = 500;
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Pointer picking of zones on the globe surface.
+ *
+ * Raycasts against the planet mesh and converts the hit point's texture
+ * coordinates (`uv.x` longitude, the same 0–360° space the zones are
+ * painted in, and `uv.y` latitude) into the deepest zone there via
+ * `Zones.getZoneAt()`.
+ *
+ * - **Hover** reports the zone under the cursor and shows a pointer cursor
+ * - **Click/tap** selects the zone; a press that moves more than a few
+ *   pixels is treated as a drag and left to `Controls`
+ *
+ * @example
+ * ```javascript
+ * const picker = new ZonePicker({ camera, target: renderer.domElement, mesh, zones });
+ * picker.attach({
+ *   onHover: (zone) => globe.setHoveredLocation(zone),
+ *   onSelect: (zone) => app.flyTo(zone.id),
+ * });
+ * ```
+ */
+export class ZonePicker {
+  /**
+   * @param {Object} options
+   * @param {THREE.Camera} options.camera - Camera used for rendering
+   * @param {HTMLElement} options.target - Canvas receiving pointer events
+   * @param {THREE.Object3D} options.mesh - Planet mesh to raycast against
+   * @param {Zones} options.zones - Zone lookup
+   * @param {number} [options.clickTolerance=6] - Max pointer travel (px) for a click
+   */
+  constructor({ camera, target, mesh, zones, clickTolerance = CLICK_TOLERANCE_PX }) {
+    this.camera = camera;
+    this.target = target;
+    this.mesh = mesh;
+    this.zones = zones;
+    this.clickTolerance = clickTolerance;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    /** @type {{ x: number, y: number, time: number } | null} */
+    this.press = null;
+    /** @type {Zone | null} */
+    this.hovered = null;
+    this.callbacks = {
+      /** @type {(zone: Zone | null) => void} */
+      onHover: () => {},
+      /** @type {(zone: Zone) => void} */
+      onSelect: () => {},
+    };
+  }
+
+  /**
+   * @param {Partial<ZonePicker['callbacks']>} [callbacks]
+   */
+  attach(callbacks = {}) {
+    this.callbacks = { ...this.callbacks, ...callbacks };
+    this.target.addEventListener('pointerdown', this.handlePointerDown);
+    this.target.addEventListener('pointermove', this.handlePointerMove);
+    this.target.addEventListener('click', this.handleClick);
+    this.target.addEventListener('pointerleave', this.handlePointerLeave);
+  }
+
+  detach() {
+    this.target.removeEventListener('pointerdown', this.handlePointerDown);
+    this.target.removeEventListener('pointermove', this.handlePointerMove);
+    this.target.removeEventListener('click', this.handleClick);
+    this.target.removeEventListener('pointerleave', this.handlePointerLeave);
+    this.setHovered(null);
+  }
+
+  /**
+   * Returns the zone under a viewport position, if any.
+   *
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {Zone | null}
+   */
+  pick(clientX, clientY) {
+    const rect = this.target.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+
+    this.pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    const [hit] = this.raycaster.intersectObject(this.mesh, false);
+    if (!hit?.uv) return null;
+
+    return this.zones.getZoneAt(hit.uv.x * TWO_PI, (hit.uv.y - 0.5) * Math.PI);
+  }
+
+  /**
+   * @param {Zone | null} zone
+   * @private
+   */
+  setHovered(zone) {
+    if (zone?.id === this.hovered?.id) return;
+    this.hovered = zone;
+    this.target.style.cursor = zone ? 'pointer' : '';
+    this.callbacks.onHover(zone);
+  }
+
+  /** @param {PointerEvent} event */
+  handlePointerDown = (event) => {
+    this.press = {
+      x: event.clientX,
+      y: event.clientY,
+      time: event.timeStamp,
+    };
+  };
+
+  /** @param {PointerEvent} event */
+  handlePointerMove = (event) => {
+    // Touch has no hover, and highlighting while dragging would only flicker
+    if (event.pointerType === 'touch' || event.buttons) return;
+    this.setHovered(this.pick(event.clientX, event.clientY));
+  };
+
+  /**
+   * Selection listens for `click` rather than `pointerup`: it fires after
+   * `Controls` has processed the release, so the flight started by
+   * `onSelect` is not immediately cancelled by the release's coasting.
+   *
+   * @param {MouseEvent} event
+   */
+  handleClick = (event) => {
+    const press = this.press;
+    this.press = null;
+    if (!press) return;
+
+    const travel = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+    const isClick =
+      travel <= this.clickTolerance && event.timeStamp - press.time <= CLICK_MAX_MS;
+    if (!isClick) return;
+
+    const zone = this.pick(event.clientX, event.clientY);
+    if (zone) this.callbacks.onSelect(zone);
+  };
+
+  handlePointerLeave = () => {
+    this.press = null;
+    this.setHovered(null);
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * @typedef {import('../types').Location} Location
+ * @typedef {import('../types').Zone} Zone
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TWO_PI = Math.PI * 2;
+const OUTER_RADIUS = 100;
+const INNER_RADIUS = 58;
+const LABEL_RADIUS = (OUTER_RADIUS + INNER_RADIUS) / 2;
+const CLICK_TOLERANCE_PX = 6;
+const CLICK_MAX_MS = 500;
+
+/**
+ * Point on a circle, `angle` radians counter-clockwise from 12 o'clock.
+ *
+ * @param {number} radius
+ * @param {number} angle
+ * @returns {string} "x y" for SVG path data
+ */
+function polar(radius, angle) {
+  const x = -radius * Math.sin(angle);
+  const y = -radius * Math.cos(angle);
+  return `${x.toFixed(2)} ${y.toFixed(2)}`;
+}
+
+/**
+ * SVG path of a ring segment from `start` spanning `span` radians.
+ *
+ * @param {number} start
+ * @param {number} span - 0 < span ≤ 2π
+ * @returns {string}
+ */
+function sectorPath(start, span) {
+  // A full circle cannot be one arc: draw it as two halves
+  if (span >= TWO_PI - 1e-6) {
+    return [
+      `M ${polar(OUTER_RADIUS, 0)}`,
+      `A ${OUTER_RADIUS} ${OUTER_RADIUS} 0 1 0 ${polar(OUTER_RADIUS, Math.PI)}`,
+      `A ${OUTER_RADIUS} ${OUTER_RADIUS} 0 1 0 ${polar(OUTER_RADIUS, 0)}`,
+      `M ${polar(INNER_RADIUS, 0)}`,
+      `A ${INNER_RADIUS} ${INNER_RADIUS} 0 1 1 ${polar(INNER_RADIUS, Math.PI)}`,
+      `A ${INNER_RADIUS} ${INNER_RADIUS} 0 1 1 ${polar(INNER_RADIUS, 0)}`,
+      'Z',
+    ].join(' ');
+  }
+
+  const end = start + span;
+  const large = span > Math.PI ? 1 : 0;
+  return [
+    `M ${polar(OUTER_RADIUS, start)}`,
+    `A ${OUTER_RADIUS} ${OUTER_RADIUS} 0 ${large} 0 ${polar(OUTER_RADIUS, end)}`,
+    `L ${polar(INNER_RADIUS, end)}`,
+    `A ${INNER_RADIUS} ${INNER_RADIUS} 0 ${large} 1 ${polar(INNER_RADIUS, start)}`,
+    'Z',
+  ].join(' ');
+}
+
+/**
+ * @param {string} tag
+ * @param {Record<string, string>} [attributes]
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = /** @type {SVGElement} */ (document.createElementNS(SVG_NS, tag));
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Flat 2D rendition of the globe's zones, used when WebGL is unavailable
+ * or while a lost WebGL context is being restored.
+ *
+ * Each zone is a ring segment spanning the same arc (`Zones` radians) it
+ * covers on the globe, coloured with its theme colour. The wheel turns with
+ * the globe rotation, so the active zone is always the one under the marker
+ * at the top; spin, tilt and zoom input keep coming from `Controls`.
+ *
+ * - **Hover** reports the segment under the pointer
+ * - **Click/tap** selects it; a press that moves more than a few pixels is
+ *   a drag and is left to `Controls`
+ *
+ * The SVG is decorative (`aria-hidden`): the overlay's zone list offers the
+ * same navigation to assistive technology.
+ *
+ * @example
+ * ```javascript
+ * const wheel = new ZoneWheel({ note: '3D view unavailable' });
+ * stage.append(wheel.element);
+ * wheel.setZones(zones.zones, activeZone);
+ * wheel.attach({ onSelect: (zone) => app.flyTo(zone.id) });
+ * // every frame:
+ * wheel.update(rotation, zoom);
+ * ```
+ */
+export class ZoneWheel {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.note] - Short notice shown under the wheel
+   */
+  constructor({ note } = {}) {
+    this.element = document.createElement('div');
+    this.element.className = 'zone-wheel';
+
+    this.svg = createSvgElement('svg', {
+      viewBox: '-120 -120 240 240',
+      'aria-hidden': 'true',
+      focusable: 'false',
+    });
+    this.disc = createSvgElement('g', { class: 'zone-wheel-disc' });
+    this.hub = createSvgElement('circle', { class: 'zone-wheel-hub', r: String(INNER_RADIUS - 8) });
+    this.marker = createSvgElement('path', {
+      class: 'zone-wheel-marker',
+      d: `M 0 ${-OUTER_RADIUS + 6} L -9 ${-OUTER_RADIUS - 14} L 9 ${-OUTER_RADIUS - 14} Z`,
+    });
+    this.svg.append(this.disc, this.hub, this.marker);
+    this.element.append(this.svg);
+
+    if (note) {
+      const caption = document.createElement('p');
+      caption.className = 'zone-wheel-note';
+      caption.textContent = note;
+      this.element.append(caption);
+    }
+
+    /** @type {Zone[]} */
+    this.zones = [];
+    /** @type {Map<string, SVGElement>} */
+    this.segments = new Map();
+    /** @type {string | null} */
+    this.activeId = null;
+    /** @type {string | null} */
+    this.hoveredId = null;
+    /** @type {string | null} Last transform written, to skip unchanged frames */
+    this.transform = null;
+    /** @type {{ x: number, y: number, time: number } | null} */
+    this.press = null;
+    /** @type {Zone | null} Zone under the pointer, as last reported */
+    this.pointed = null;
+    this.callbacks = {
+      /** @type {(zone: Zone | null) => void} */
+      onHover: () => {},
+      /** @type {(zone: Zone) => void} */
+      onSelect: () => {},
+    };
+  }
+
+  /**
+   * @param {Partial<ZoneWheel['callbacks']>} [callbacks]
+   */
+  attach(callbacks = {}) {
+    this.callbacks = { ...this.callbacks, ...callbacks };
+    this.svg.addEventListener('pointerdown', this.handlePointerDown);
+    this.svg.addEventListener('pointermove', this.handlePointerMove);
+    this.svg.addEventListener('click', this.handleClick);
+    this.svg.addEventListener('pointerleave', this.handlePointerLeave);
+  }
+
+  detach() {
+    this.svg.removeEventListener('pointerdown', this.handlePointerDown);
+    this.svg.removeEventListener('pointermove', this.handlePointerMove);
+    this.svg.removeEventListener('click', this.handleClick);
+    this.svg.removeEventListener('pointerleave', this.handlePointerLeave);
+    this.setHovered(null);
+  }
+
+  /**
+   * Redraws the segments for a zone set.
+   *
+   * @param {Zone[]} zones - Zones with radian arcs (`Zones.zones`)
+   * @param {Location | null} [activeLocation] - Zone to emphasize
+   * @public
+   */
+  setZones(zones, activeLocation = null) {
+    this.zones = zones;
+    this.segments.clear();
+    this.disc.replaceChildren();
+
+    zones.forEach((zone) => {
+      const span = (((zone.endRad - zone.startRad) % TWO_PI) + TWO_PI) % TWO_PI || TWO_PI;
+      const center = zone.startRad + span / 2;
+      // Upright when the segment reaches the marker at the top
+      const label = createSvgElement('text', {
+        transform: `rotate(${(-center * 180) / Math.PI}) translate(0 ${-LABEL_RADIUS})`,
+      });
+      label.textContent = zone.label;
+
+      const segment = createSvgElement('g', { class: 'zone-wheel-segment' });
+      segment.dataset.zone = zone.id;
+      segment.append(
+        createSvgElement('path', { d: sectorPath(zone.startRad, span), fill: zone.themeColor }),
+        label
+      );
+      this.disc.append(segment);
+      this.segments.set(zone.id, segment);
+    });
+
+    this.hoveredId = zones.some((zone) => zone.id === this.hoveredId) ? this.hoveredId : null;
+    this.setActiveLocation(activeLocation);
+  }
+
+  /**
+   * @param {Location | null} location - The newly active zone
+   * @public
+   */
+  setActiveLocation(location) {
+    this.activeId = location?.id ?? null;
+    this.refreshClasses();
+  }
+
+  /**
+   * @param {Location | null} location - Zone under the pointer
+   * @public
+   */
+  setHoveredLocation(location) {
+    this.hoveredId = location?.id ?? null;
+    this.refreshClasses();
+  }
+
+  /**
+   * Colours the hub and marker. Called with the blended colour on every step
+   * of a theme transition.
+   *
+   * @param {import('three').Color} color - Current theme colour
+   * @public
+   */
+  setThemeColor(color) {
+    this.svg.style.setProperty('--zone-wheel-accent', color.getStyle());
+  }
+
+  /**
+   * Turns the wheel to match the globe. Call once per frame.
+   *
+   * @param {number} rotation - Globe rotation (radians, unbounded)
+   * @param {number} [zoom=1] - Camera zoom factor; scales the wheel
+   * @public
+   */
+  update(rotation, zoom = 1) {
+    const degrees = ((rotation * 180) / Math.PI) % 360;
+    const transform = `scale(${zoom.toFixed(3)}) rotate(${degrees.toFixed(2)})`;
+    if (transform === this.transform) return;
+    this.transform = transform;
+    this.disc.setAttribute('transform', transform);
+  }
+
+  /**
+   * Removes the wheel from the page and stops listening for input.
+   *
+   * @public
+   */
+  dispose() {
+    this.detach();
+    this.element.remove();
+  }
+
+  /**
+   * @private
+   */
+  refreshClasses() {
+    this.segments.forEach((segment, id) => {
+      segment.classList.toggle('is-active', id === this.activeId);
+      segment.classList.toggle('is-hovered', id === this.hoveredId);
+    });
+  }
+
+  /**
+   * Zone of the segment under a pointer event, if any.
+   *
+   * @param {Event} event
+   * @returns {Zone | null}
+   * @private
+   */
+  pick(event) {
+    const target = /** @type {Element | null} */ (event.target);
+    const id = /** @type {SVGElement | null} */ (target?.closest('[data-zone]'))?.dataset.zone;
+    return this.zones.find((zone) => zone.id === id) ?? null;
+  }
+
+  /**
+   * @param {Zone | null} zone
+   * @private
+   */
+  setHovered(zone) {
+    if (zone?.id === this.pointed?.id) return;
+    this.pointed = zone;
+    this.svg.style.cursor = zone ? 'pointer' : '';
+    this.callbacks.onHover(zone);
+  }
+
+  /** @param {PointerEvent} event */
+  handlePointerDown = (event) => {
+    this.press = { x: event.clientX, y: event.clientY, time: event.timeStamp };
+  };
+
+  /** @param {PointerEvent} event */
+  handlePointerMove = (event) => {
+    if (event.pointerType === 'touch' || event.buttons) return;
+    this.setHovered(this.pick(event));
+  };
+
+  /**
+   * Selection listens for `click`, after `Controls` has processed the
+   * release (see `ZonePicker`).
+   *
+   * @param {MouseEvent} event
+   */
+  handleClick = (event) => {
+    const press = this.press;
+    this.press = null;
+    if (!press) return;
+
+    const travel = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+    const isClick =
+      travel <= CLICK_TOLERANCE_PX && event.timeStamp - press.time <= CLICK_MAX_MS;
+    if (!isClick) return;
+
+    const zone = this.pick(event);
+    if (zone) this.callbacks.onSelect(zone);
+  };
+
+  handlePointerLeave = () => {
+    this.press = null;
+    this.setHovered(null);
+  };
+}
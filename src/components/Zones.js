@@ -1,28 +1,78 @@
+import { createRing, densifyRing, ringContains } from '../utils/spherical.js';
+
 /**
  * @typedef {import('../types').Location} Location
  * @typedef {import('../types').Zone} Zone
+ * @typedef {import('../types').ZoneRing} ZoneRing
+ * @typedef {import('../types').LandFeature} LandFeature
  */
 
 const TWO_PI = Math.PI * 2;
+const DEG = Math.PI / 180;
+const CELL = Math.PI / 18; // 10° lookup grid cells
+const COLUMNS = 36;
+const ROWS = 18;
+
+/** Latitude range (degrees) of zones that do not set one */
+export const DEFAULT_LATITUDE_RANGE = Object.freeze({ min: -36, max: 36 });
+
+/**
+ * Latitude range a location covers, in degrees: its polygon's extent of
+ * corners, its explicit bounds, or the default band. Land regions are not
+ * known here; their zones report their extent as `minLatRad`/`maxLatRad`.
+ *
+ * @param {Location} location
+ * @returns {{ min: number, max: number }}
+ */
+export function getLatitudeRange(location) {
+  if (location.polygon?.length) {
+    const lats = location.polygon.map(([, lat]) => lat);
+    return { min: Math.min(...lats), max: Math.max(...lats) };
+  }
+  return {
+    min: location.minLatitudeDeg ?? DEFAULT_LATITUDE_RANGE.min,
+    max: location.maxLatitudeDeg ?? DEFAULT_LATITUDE_RANGE.max,
+  };
+}
+
+/**
+ * @param {number} angle - Radians (any winding)
+ * @returns {number} 0 … 2π
+ */
+const normalize = (angle) => ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+
+/**
+ * Arc length of a zone (radians, 0 < span ≤ 2π); equal ends are a full turn.
+ *
+ * @param {Zone} zone
+ * @returns {number}
+ */
+const arcSpan = (zone) => normalize(zone.endRad - zone.startRad) || TWO_PI;
 
 /**
- * Zone detection system that maps globe rotation angles to portfolio locations.
+ * Zone detection system that maps points on the globe to portfolio locations.
  *
- * Converts location degree ranges to radians and provides efficient lookups
- * to determine which location zone is currently active based on the globe's
- * Y-axis rotation.
+ * Each location covers a region: a longitude arc within a latitude range,
+ * a spherical polygon, or a named land shape once the map is known
+ * (`setLand()`; see `Location`). Locations can nest `children`;
+ * `zones` keeps the top level (tabs, flight order, the 2D wheel) while
+ * `all` lists every zone, parents before their children.
+ *
+ * Lookups go through a 10° grid over the sphere: each cell lists the zones
+ * whose bounds touch it, deepest first, so a query tests only a few
+ * candidates and the most specific zone wins.
  *
  * Handles edge cases like:
  * - Angle normalization (wrapping around 2π)
- * - Zones that cross the 0°/360° boundary
- * - Fallback to first zone if no match
+ * - Zones and polygons that cross the 0°/360° boundary
+ * - Fallback to the top-level arc, then the first zone, if no region matches
  *
  * @example
  * ```javascript
  * const zones = new Zones([
- *   { id: 'projects', startAngleDeg: 45, endAngleDeg: 150, ... }
+ *   { id: 'projects', startAngleDeg: 45, endAngleDeg: 150, children: [...], ... }
  * ]);
- * const active = zones.getActiveZone(globeRotationY); // Returns matching zone
+ * const active = zones.getActiveZone(globeRotationY, globeTilt);
  * ```
  */
 export class Zones {
@@ -33,34 +83,348 @@ export class Zones {
    * @param {Location[]} [zones=[]] - Array of location objects with angle ranges
    */
   constructor(zones = []) {
-    this.zones = zones.map((zone) => ({
-      ...zone,
-      startRad: (zone.startAngleDeg * Math.PI) / 180,
-      endRad: (zone.endAngleDeg * Math.PI) / 180,
-    }));
+    /** @type {Location[]} Source data, kept to rebuild when the land changes */
+    this.locations = [];
+    /** @type {Map<string, ZoneRing[]>} Land shapes by feature name and id */
+    this.landRings = new Map();
+    /** @type {Zone[]} Top-level zones */
+    this.zones = [];
+    /** @type {Zone[]} Every zone, parents before their children */
+    this.all = [];
+    /** @type {Zone[][]} Region candidates per grid cell, deepest first */
+    this.cells = [];
+    /** @type {Zone[][]} Top-level arc candidates per grid column */
+    this.columns = [];
+    this.setLocations(zones);
+  }
+
+  /**
+   * Replaces the zone set, recomputing radian ranges and the lookup grid.
+   * Used when location data changes at runtime (e.g. after a cache refresh).
+   *
+   * @param {Location[]} locations - New location list
+   * @public
+   */
+  setLocations(locations) {
+    this.locations = locations;
+    /** @type {Zone[]} */
+    const all = [];
+
+    /**
+     * @param {Location} location
+     * @param {string | null} parentId
+     * @param {number} depth
+     * @returns {Zone}
+     */
+    const visit = (location, parentId, depth) => {
+      const landRings = location.region ? this.landRings.get(location.region) : undefined;
+      const rings =
+        landRings ??
+        (location.polygon?.length
+          ? [densifyRing(location.polygon.map(([lon, lat]) => [lon * DEG, lat * DEG]))]
+          : []);
+      const latitude = getLatitudeRange(location);
+      /** @type {Zone} */
+      const zone = {
+        ...location,
+        startRad: location.startAngleDeg * DEG,
+        endRad: location.endAngleDeg * DEG,
+        minLatRad: rings.length
+          ? Math.min(...rings.map((ring) => ring.minLat))
+          : latitude.min * DEG,
+        maxLatRad: rings.length
+          ? Math.max(...rings.map((ring) => ring.maxLat))
+          : latitude.max * DEG,
+        rings,
+        parentId,
+        depth,
+      };
+      all.push(zone);
+      location.children?.forEach((child) => visit(child, zone.id, depth + 1));
+      return zone;
+    };
+
+    this.zones = locations.map((location) => visit(location, null, 0));
+    this.all = all;
+    this.buildIndex();
+  }
+
+  /**
+   * Sets the land shapes that zones name in `region` and rebuilds the
+   * zones. Features are matched by `name`, then `id`.
+   *
+   * @param {LandFeature[]} features - From `parseLandSource()`
+   * @public
+   */
+  setLand(features) {
+    this.landRings.clear();
+    features.forEach((feature) => {
+      const rings = feature.rings.map((ring) =>
+        createRing(ring.map(([lon, lat]) => [lon * DEG, lat * DEG]))
+      );
+      [feature.name, feature.id].forEach((key) => {
+        if (key && !this.landRings.has(key)) this.landRings.set(key, rings);
+      });
+    });
+    this.setLocations(this.locations);
+  }
+
+  /**
+   * Lists `region` names that no land feature matches (all of them before
+   * `setLand()`); those zones fall back to their polygon or arc.
+   *
+   * @returns {string[]}
+   * @public
+   */
+  getMissingRegions() {
+    return this.all.flatMap(({ region }) =>
+      region !== undefined && !this.landRings.has(region) ? [region] : []
+    );
+  }
+
+  /**
+   * Looks up a zone (at any depth) by its location id.
+   *
+   * @param {string} id - Location identifier
+   * @returns {Zone | null} The matching zone, or null
+   * @public
+   */
+  getZoneById(id) {
+    return this.all.find((zone) => zone.id === id) ?? null;
+  }
+
+  /**
+   * Returns the top-level zone a zone belongs to (itself if top-level).
+   *
+   * @param {Zone} zone
+   * @returns {Zone}
+   * @public
+   */
+  getRoot(zone) {
+    let root = zone;
+    while (root.parentId) {
+      const parent = this.getZoneById(root.parentId);
+      if (!parent) break;
+      root = parent;
+    }
+    return root;
+  }
+
+  /**
+   * Returns the rotation (radians, 0 to 2π) at the middle of a zone's arc.
+   * Handles zones that wrap across 0°.
+   *
+   * @param {string} id - Location identifier
+   * @returns {number | null} Center angle, or null if the zone does not exist
+   * @public
+   */
+  getZoneCenter(id) {
+    const zone = this.getZoneById(id);
+    if (!zone) return null;
+
+    return (zone.startRad + arcSpan(zone) / 2) % TWO_PI;
   }
 
   /**
-   * Determines which location zone is active for a given globe rotation.
+   * Returns the latitude (radians) at the middle of a zone's extent, the
+   * tilt that brings the zone to face the camera.
+   *
+   * @param {string} id - Location identifier
+   * @returns {number | null} Center latitude, or null if the zone does not exist
+   * @public
+   */
+  getZoneLatitude(id) {
+    const zone = this.getZoneById(id);
+    if (!zone) return null;
+
+    return (zone.minLatRad + zone.maxLatRad) / 2;
+  }
+
+  /**
+   * Finds the zone centre to snap to from a rotation, in either direction.
+   * Inside a sub-zone's arc that is the deepest such sub-zone's centre, so
+   * a drag onto a child settles on it rather than on a nearby top-level
+   * centre; elsewhere it is the closest top-level centre.
+   * The result is expressed in the same winding as `rotationY`, so
+   * `getNearestCenter(r) - r` is the shortest signed offset.
+   *
+   * @param {number} rotationY - Current Y-axis rotation (radians, unbounded)
+   * @returns {number | null} Nearest centre angle, or null if no zones exist
+   * @public
+   */
+  getNearestCenter(rotationY) {
+    const lon = normalize(rotationY);
+    /** @param {Zone} zone */
+    const offsetTo = (zone) => {
+      let offset = ((this.getZoneCenter(zone.id) ?? 0) - rotationY) % TWO_PI;
+      if (offset > Math.PI) offset -= TWO_PI;
+      if (offset < -Math.PI) offset += TWO_PI;
+      return offset;
+    };
+
+    const child = this.all.reduce(
+      (/** @type {Zone | null} */ deepest, zone) =>
+        zone.depth > (deepest?.depth ?? 0) && this.isWithinZone(lon, zone) ? zone : deepest,
+      null
+    );
+    if (child) return rotationY + offsetTo(child);
+
+    let best = null;
+    let bestDistance = Infinity;
+
+    this.zones.forEach((zone) => {
+      const offset = offsetTo(zone);
+      if (Math.abs(offset) < bestDistance) {
+        bestDistance = Math.abs(offset);
+        best = rotationY + offset;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Determines which location zone is active for a given globe orientation.
    *
    * Algorithm:
-   * 1. Normalize rotation angle to 0-2π range
-   * 2. Find first zone containing this angle
+   * 1. The deepest zone whose region contains the point facing the camera
+   * 2. Otherwise the top-level zone whose arc contains the rotation, so
+   *    tilting past a zone's latitudes keeps it active
    * 3. Fallback to first zone if no match (defensive)
    *
    * @param {number} rotationY - Current Y-axis rotation of the globe (radians)
+   * @param {number} [latitude=0] - Latitude facing the camera (the globe tilt)
    * @returns {Zone | null} The active zone object, or null if no zones exist
    * @public
    */
-  getActiveZone(rotationY) {
+  getActiveZone(rotationY, latitude = 0) {
     if (!this.zones.length) return null;
 
-    const normalized = ((rotationY % TWO_PI) + TWO_PI) % TWO_PI;
+    return this.getZoneAt(rotationY, latitude) ?? this.getArcZone(rotationY) ?? this.zones[0];
+  }
 
-    return (
-      this.zones.find((zone) => this.isWithinZone(normalized, zone)) ??
-      this.zones[0]
-    );
+  /**
+   * Finds the deepest zone whose region contains a point, without any
+   * fallback. Used for surface picking and painting, where gaps between
+   * zones should match nothing.
+   *
+   * @param {number} angle - Longitude in radians (any winding)
+   * @param {number} [latitude=0] - Latitude in radians
+   * @returns {Zone | null} The zone containing the point, or null
+   * @public
+   */
+  getZoneAt(angle, latitude = 0) {
+    const lon = normalize(angle);
+    const cell = this.cells[this.rowOf(latitude) * COLUMNS + this.columnOf(lon)];
+    return cell?.find((zone) => this.containsPoint(zone, lon, latitude)) ?? null;
+  }
+
+  /**
+   * Finds the top-level zone whose arc contains an angle, at any latitude.
+   *
+   * @param {number} angle - Angle in radians (any winding)
+   * @returns {Zone | null}
+   * @private
+   */
+  getArcZone(angle) {
+    const lon = normalize(angle);
+    const column = this.columns[this.columnOf(lon)];
+    return column?.find((zone) => this.isWithinZone(lon, zone)) ?? null;
+  }
+
+  /**
+   * Rebuilds the lookup grid from each zone's bounding boxes (one per ring).
+   *
+   * @private
+   */
+  buildIndex() {
+    this.cells = Array.from({ length: COLUMNS * ROWS }, () => []);
+    this.columns = Array.from({ length: COLUMNS }, () => []);
+
+    /**
+     * Grid columns (wrapped) spanned by a longitude range.
+     *
+     * @param {number} west
+     * @param {number} east
+     * @returns {number[]}
+     */
+    const columnsOf = (west, east) => {
+      const first = Math.floor(west / CELL);
+      const last = Math.min(Math.floor(east / CELL), first + COLUMNS - 1);
+      return Array.from(
+        { length: last - first + 1 },
+        (_, offset) => ((((first + offset) % COLUMNS) + COLUMNS) % COLUMNS)
+      );
+    };
+
+    // Stable sort: deepest first, data order within a level
+    const ordered = [...this.all].sort((a, b) => b.depth - a.depth);
+    ordered.forEach((zone) => {
+      const arcEast = zone.startRad + arcSpan(zone);
+      if (zone.depth === 0) {
+        columnsOf(zone.startRad, arcEast).forEach((column) => this.columns[column].push(zone));
+      }
+
+      const boxes = zone.rings.length
+        ? zone.rings
+        : [
+            {
+              minLon: zone.startRad,
+              maxLon: arcEast,
+              minLat: zone.minLatRad,
+              maxLat: zone.maxLatRad,
+            },
+          ];
+      boxes.forEach((box) => {
+        columnsOf(box.minLon, box.maxLon).forEach((column) => {
+          for (let row = this.rowOf(box.minLat); row <= this.rowOf(box.maxLat); row++) {
+            const cell = this.cells[row * COLUMNS + column];
+            // Rings of one zone may share cells
+            if (cell[cell.length - 1] !== zone) cell.push(zone);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {number} lon - Normalized longitude (0 to 2π)
+   * @returns {number} Grid column
+   * @private
+   */
+  columnOf(lon) {
+    return Math.min(Math.floor(lon / CELL), COLUMNS - 1);
+  }
+
+  /**
+   * @param {number} latitude - Radians
+   * @returns {number} Grid row, clamped to the poles
+   * @private
+   */
+  rowOf(latitude) {
+    return Math.max(0, Math.min(Math.floor((latitude + Math.PI / 2) / CELL), ROWS - 1));
+  }
+
+  /**
+   * Checks if a point lies inside a zone's region. Rings combine even-odd
+   * (holes and islands); for bands the southern edge is inclusive and the
+   * northern one exclusive, so stacked zones never overlap.
+   *
+   * @param {Zone} zone
+   * @param {number} lon - Normalized longitude (0 to 2π)
+   * @param {number} latitude - Radians
+   * @returns {boolean}
+   * @private
+   */
+  containsPoint(zone, lon, latitude) {
+    if (zone.rings.length) {
+      return zone.rings.reduce(
+        (inside, ring) => ringContains(ring, lon, latitude) !== inside,
+        false
+      );
+    }
+    if (latitude < zone.minLatRad || latitude >= zone.maxLatRad) return false;
+    return this.isWithinZone(lon, zone);
   }
 
   /**
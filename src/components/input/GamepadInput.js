@@ -0,0 +1,101 @@
+/**
+ * @typedef {import('./index.js').EmitAction} EmitAction
+ */
+
+const ROTATION_SPEED = 1.8; // radians per second at full stick
+const TILT_SPEED = 0.9;
+const ZOOM_SPEED = 1.2;
+const DEADZONE = 0.2;
+
+// Standard Gamepad API mapping
+const AXIS_LEFT_X = 0;
+const AXIS_LEFT_Y = 1;
+const AXIS_RIGHT_Y = 3;
+const DPAD_UP = 12;
+const DPAD_DOWN = 13;
+const DPAD_LEFT = 14;
+const DPAD_RIGHT = 15;
+
+/**
+ * @param {number} value - Raw axis value (-1 to 1)
+ * @returns {number} Value with the deadzone removed and rescaled to -1 to 1
+ */
+const applyDeadzone = (value) =>
+  Math.abs(value) < DEADZONE
+    ? 0
+    : Math.sign(value) * ((Math.abs(value) - DEADZONE) / (1 - DEADZONE));
+
+/**
+ * Gamepad device (Gamepad API, standard mapping), polled every frame.
+ *
+ * - Left stick X / D-pad ←→ spin
+ * - Left stick Y / D-pad ↑↓ tilt
+ * - Right stick Y zooms
+ */
+export class GamepadInput {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.rotationSpeed=1.8] - Spin speed at full deflection (radians/second)
+   */
+  constructor({ rotationSpeed = ROTATION_SPEED } = {}) {
+    this.name = 'gamepad';
+    this.rotationSpeed = rotationSpeed;
+    this.active = false;
+    /** @type {EmitAction} */
+    this.emit = () => {};
+  }
+
+  /** @param {EmitAction} emit */
+  attach(emit) {
+    this.emit = emit;
+  }
+
+  detach() {
+    this.active = false;
+  }
+
+  /**
+   * Reads the first connected gamepad.
+   *
+   * @returns {{ rotate: number, tilt: number, zoom: number }}
+   * @private
+   */
+  read() {
+    const pads = typeof navigator.getGamepads === 'function' ? navigator.getGamepads() : [];
+    const pad = [...pads].find((candidate) => candidate?.connected);
+    if (!pad) return { rotate: 0, tilt: 0, zoom: 0 };
+
+    /** @param {number} index */
+    const pressed = (index) => (pad.buttons[index]?.pressed ? 1 : 0);
+    /** @param {number} index */
+    const axis = (index) => applyDeadzone(pad.axes[index] ?? 0);
+
+    const clamp = (/** @type {number} */ value) => Math.max(-1, Math.min(1, value));
+
+    return {
+      rotate: clamp(axis(AXIS_LEFT_X) + pressed(DPAD_RIGHT) - pressed(DPAD_LEFT)),
+      tilt: clamp(axis(AXIS_LEFT_Y) + pressed(DPAD_DOWN) - pressed(DPAD_UP)),
+      zoom: -axis(AXIS_RIGHT_Y),
+    };
+  }
+
+  /** @param {number} delta */
+  update(delta) {
+    const { rotate, tilt, zoom } = this.read();
+    const moving = rotate !== 0 || tilt !== 0 || zoom !== 0;
+
+    if (moving && !this.active) this.emit({ type: 'grab', source: this.name });
+    if (!moving && this.active) this.emit({ type: 'release', source: this.name });
+    this.active = moving;
+
+    if (rotate) {
+      this.emit({ type: 'rotate', value: rotate * this.rotationSpeed * delta, source: this.name });
+    }
+    if (tilt) {
+      this.emit({ type: 'tilt', value: tilt * TILT_SPEED * delta, source: this.name });
+    }
+    if (zoom) {
+      this.emit({ type: 'zoom', value: Math.exp(zoom * ZOOM_SPEED * delta), source: this.name });
+    }
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * @typedef {import('./index.js').EmitAction} EmitAction
+ */
+
+const ROTATION_SPEED = 1.4; // radians per second
+const TILT_SPEED = 0.9; // radians per second
+const ZOOM_SPEED = 1.2; // scale change per second
+
+const ROTATE_KEYS = {
+  ArrowLeft: -1,
+  KeyA: -1,
+  ArrowRight: 1,
+  KeyD: 1,
+};
+
+const TILT_KEYS = {
+  ArrowUp: -1,
+  KeyW: -1,
+  ArrowDown: 1,
+  KeyS: 1,
+};
+
+const ZOOM_KEYS = {
+  Equal: 1,
+  NumpadAdd: 1,
+  Minus: -1,
+  NumpadSubtract: -1,
+};
+
+/**
+ * Whether a key event belongs to something else: typing in a form field, a
+ * widget that handled the key itself (e.g. arrow keys in the zone list), or
+ * a region marked `data-native-keys` whose keys scroll it (the detail panel).
+ *
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+const isClaimed = (event) => {
+  if (event.defaultPrevented) return true;
+  const el = /** @type {HTMLElement | null} */ (event.target);
+  return Boolean(
+    el?.isContentEditable || el?.closest?.('input, textarea, select, [data-native-keys]')
+  );
+};
+
+/**
+ * Keyboard device: A/D or ←/→ spin, W/S or ↑/↓ tilt, +/- zoom.
+ * Keys are held, so movement is applied every frame in `update()`.
+ * Keys typed into form fields or already handled by a widget are ignored;
+ * the rest have their default action (scrolling) prevented.
+ */
+export class KeyboardInput {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.rotationSpeed=1.4] - Spin speed (radians/second)
+   * @param {EventTarget} [options.target=window] - Element receiving key events
+   */
+  constructor({ rotationSpeed = ROTATION_SPEED, target = window } = {}) {
+    this.name = 'keyboard';
+    this.rotationSpeed = rotationSpeed;
+    this.target = target;
+    /** @type {Set<string>} */
+    this.pressed = new Set();
+    /** @type {EmitAction} */
+    this.emit = () => {};
+  }
+
+  /** @param {EmitAction} emit */
+  attach(emit) {
+    this.emit = emit;
+    this.target.addEventListener('keydown', this.handleKeyDown);
+    this.target.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('blur', this.handleBlur);
+  }
+
+  detach() {
+    this.target.removeEventListener('keydown', this.handleKeyDown);
+    this.target.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('blur', this.handleBlur);
+    this.pressed.clear();
+  }
+
+  /**
+   * Sums the held keys of one axis into -1, 0 or 1.
+   *
+   * @param {Record<string, number>} keys
+   * @returns {number}
+   * @private
+   */
+  axis(keys) {
+    let value = 0;
+    this.pressed.forEach((code) => {
+      value += keys[code] ?? 0;
+    });
+    return Math.sign(value);
+  }
+
+  /** @param {number} delta */
+  update(delta) {
+    if (!this.pressed.size) return;
+
+    const rotate = this.axis(ROTATE_KEYS);
+    const tilt = this.axis(TILT_KEYS);
+    const zoom = this.axis(ZOOM_KEYS);
+
+    if (rotate) {
+      this.emit({ type: 'rotate', value: rotate * this.rotationSpeed * delta, source: this.name });
+    }
+    if (tilt) {
+      this.emit({ type: 'tilt', value: tilt * TILT_SPEED * delta, source: this.name });
+    }
+    if (zoom) {
+      this.emit({ type: 'zoom', value: Math.exp(zoom * ZOOM_SPEED * delta), source: this.name });
+    }
+  }
+
+  /** @param {Event} event */
+  handleKeyDown = (event) => {
+    const keyEvent = /** @type {KeyboardEvent} */ (event);
+    const { code } = keyEvent;
+    if (!(code in ROTATE_KEYS || code in TILT_KEYS || code in ZOOM_KEYS)) return;
+    if (isClaimed(keyEvent)) return;
+
+    keyEvent.preventDefault(); // e.g. ↑/↓ would also scroll the page
+    if (!this.pressed.size) this.emit({ type: 'grab', source: this.name });
+    this.pressed.add(code);
+  };
+
+  /** @param {Event} event */
+  handleKeyUp = (event) => {
+    const { code } = /** @type {KeyboardEvent} */ (event);
+    if (!this.pressed.delete(code)) return;
+
+    if (!this.pressed.size) this.emit({ type: 'release', source: this.name });
+  };
+
+  handleBlur = () => {
+    if (!this.pressed.size) return;
+    this.pressed.clear();
+    this.emit({ type: 'release', source: this.name });
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * @typedef {import('./index.js').EmitAction} EmitAction
+ */
+
+const DRAG_SENSITIVITY = 0.005; // radians per pixel
+const VELOCITY_SMOOTHING = 0.75;
+const RELEASE_TIMEOUT_MS = 90; // pointer held still this long → no flick
+
+/**
+ * Mouse, pen and touch device.
+ *
+ * - One pointer: horizontal drag spins, vertical drag tilts
+ * - Two pointers: pinch to zoom
+ *
+ * Drag velocity is tracked so a flick keeps the globe coasting after release.
+ */
+export class PointerInput {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.sensitivity=0.005] - Radians per dragged pixel
+   * @param {EventTarget} [options.target=window] - Element receiving pointer events
+   */
+  constructor({ sensitivity = DRAG_SENSITIVITY, target = window } = {}) {
+    this.name = 'pointer';
+    this.sensitivity = sensitivity;
+    this.target = target;
+    /** @type {Map<number, { x: number, y: number }>} */
+    this.pointers = new Map();
+    this.previousPinchDistance = 0;
+    this.previousMoveTime = 0;
+    this.velocity = 0;
+    /** @type {EmitAction} */
+    this.emit = () => {};
+  }
+
+  /** @param {EmitAction} emit */
+  attach(emit) {
+    this.emit = emit;
+    this.target.addEventListener('pointerdown', this.handlePointerDown);
+    window.addEventListener('pointermove', this.handlePointerMove);
+    window.addEventListener('pointerup', this.handlePointerUp);
+    window.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  detach() {
+    this.target.removeEventListener('pointerdown', this.handlePointerDown);
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('pointercancel', this.handlePointerUp);
+    this.pointers.clear();
+  }
+
+  /**
+   * Distance between the first two active pointers.
+   *
+   * @returns {number}
+   * @private
+   */
+  pinchDistance() {
+    const [a, b] = [...this.pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /** @param {Event} event */
+  handlePointerDown = (event) => {
+    const pointer = /** @type {PointerEvent} */ (event);
+    if (!this.pointers.size) {
+      this.velocity = 0;
+      this.emit({ type: 'grab', source: this.name });
+    }
+
+    this.pointers.set(pointer.pointerId, { x: pointer.clientX, y: pointer.clientY });
+    this.previousMoveTime = pointer.timeStamp;
+    if (this.pointers.size === 2) {
+      this.previousPinchDistance = this.pinchDistance();
+    }
+  };
+
+  /** @param {Event} event */
+  handlePointerMove = (event) => {
+    const pointer = /** @type {PointerEvent} */ (event);
+    const previous = this.pointers.get(pointer.pointerId);
+    if (!previous) return;
+
+    const current = { x: pointer.clientX, y: pointer.clientY };
+    this.pointers.set(pointer.pointerId, current);
+
+    if (this.pointers.size >= 2) {
+      const distance = this.pinchDistance();
+      if (this.previousPinchDistance > 0) {
+        this.emit({
+          type: 'zoom',
+          value: distance / this.previousPinchDistance,
+          source: this.name,
+        });
+      }
+      this.previousPinchDistance = distance;
+      this.velocity = 0;
+      return;
+    }
+
+    const elapsed = (pointer.timeStamp - this.previousMoveTime) / 1000;
+    this.previousMoveTime = pointer.timeStamp;
+
+    const rotation = (current.x - previous.x) * this.sensitivity;
+    const tilt = (current.y - previous.y) * this.sensitivity;
+
+    if (elapsed > 0) {
+      // Smooth the instantaneous speed so one jittery event can't fling the globe
+      this.velocity += (rotation / elapsed - this.velocity) * VELOCITY_SMOOTHING;
+    }
+
+    if (rotation) this.emit({ type: 'rotate', value: rotation, source: this.name });
+    if (tilt) this.emit({ type: 'tilt', value: tilt, source: this.name });
+  };
+
+  /** @param {Event} event */
+  handlePointerUp = (event) => {
+    const pointer = /** @type {PointerEvent} */ (event);
+    if (!this.pointers.delete(pointer.pointerId)) return;
+
+    if (this.pointers.size === 1) {
+      // Pinch ended: continue dragging with the remaining finger, no jump
+      this.previousPinchDistance = 0;
+      this.velocity = 0;
+      return;
+    }
+
+    if (this.pointers.size) return;
+
+    // Holding still before letting go means "stop here", not "flick"
+    const velocity =
+      pointer.timeStamp - this.previousMoveTime > RELEASE_TIMEOUT_MS ? 0 : this.velocity;
+    this.emit({ type: 'release', velocity, source: this.name });
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * @typedef {import('./index.js').EmitAction} EmitAction
+ */
+
+const WHEEL_SENSITIVITY = 0.0025; // radians per wheel pixel
+const ZOOM_SENSITIVITY = 0.01; // per wheel pixel with ctrl (trackpad pinch)
+const LINE_HEIGHT = 16;
+const SETTLE_MS = 140;
+
+/**
+ * Mouse wheel / trackpad device.
+ *
+ * - Wheel (either axis) spins the globe
+ * - Ctrl + wheel zooms; browsers report trackpad pinches this way
+ *
+ * A wheel has no "button up", so a `release` is emitted once no wheel
+ * event has arrived for a short while, letting the globe snap to a zone.
+ *
+ * With `requireFocus`, the wheel only acts while focus is inside `target`
+ * (after a click or Tab); until then it scrolls the page as usual.
+ */
+export class WheelInput {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.sensitivity=0.0025] - Radians per wheel pixel
+   * @param {EventTarget} [options.target=window] - Element receiving wheel events
+   * @param {boolean} [options.requireFocus=false] - Ignore the wheel unless
+   *   focus is inside `target`
+   */
+  constructor({ sensitivity = WHEEL_SENSITIVITY, target = window, requireFocus = false } = {}) {
+    this.name = 'wheel';
+    this.sensitivity = sensitivity;
+    this.target = target;
+    this.requireFocus = requireFocus;
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.settleTimer = null;
+    /** @type {EmitAction} */
+    this.emit = () => {};
+  }
+
+  /** @param {EmitAction} emit */
+  attach(emit) {
+    this.emit = emit;
+    this.target.addEventListener('wheel', this.handleWheel, { passive: false });
+  }
+
+  detach() {
+    this.target.removeEventListener('wheel', this.handleWheel);
+    if (this.settleTimer) clearTimeout(this.settleTimer);
+    this.settleTimer = null;
+  }
+
+  /**
+   * Whether focus is inside `target` (always true for `window`).
+   *
+   * @returns {boolean}
+   * @private
+   */
+  hasFocus() {
+    if (!(this.target instanceof Node)) return true;
+    const active = document.activeElement;
+    return active !== null && this.target.contains(active);
+  }
+
+  /** @param {Event} event */
+  handleWheel = (event) => {
+    if (this.requireFocus && !this.hasFocus()) return;
+    const wheel = /** @type {WheelEvent} */ (event);
+    wheel.preventDefault();
+
+    const scale = wheel.deltaMode === WheelEvent.DOM_DELTA_LINE ? LINE_HEIGHT : 1;
+    const dx = wheel.deltaX * scale;
+    const dy = wheel.deltaY * scale;
+
+    if (!this.settleTimer) this.emit({ type: 'grab', source: this.name });
+
+    if (wheel.ctrlKey) {
+      this.emit({ type: 'zoom', value: Math.exp(-dy * ZOOM_SENSITIVITY), source: this.name });
+    } else {
+      const dominant = Math.abs(dx) > Math.abs(dy) ? dx : dy;
+      this.emit({ type: 'rotate', value: dominant * this.sensitivity, source: this.name });
+    }
+
+    if (this.settleTimer) clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => {
+      this.settleTimer = null;
+      this.emit({ type: 'release', source: this.name });
+    }, SETTLE_MS);
+  };
+}
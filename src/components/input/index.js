@@ -0,0 +1,41 @@
+/**
+ * Input devices for `Controls`.
+ *
+ * Every device translates its raw events into a small, normalized action set,
+ * so `Controls` (and `App` behind it) never deal with device specifics.
+ * Adding a new device means implementing `InputDevice` and passing it to
+ * `new Controls({ devices })` or `controls.addDevice()`.
+ *
+ * | Action    | Payload                 | Meaning                                  |
+ * |-----------|-------------------------|------------------------------------------|
+ * | `rotate`  | `value` (radians)       | Spin the globe around its axis           |
+ * | `tilt`    | `value` (radians)       | Tilt the globe towards/away from viewer  |
+ * | `zoom`    | `value` (scale factor)  | `> 1` zooms in, `< 1` zooms out          |
+ * | `grab`    | –                       | User took control (stops inertia/snap)   |
+ * | `release` | `velocity` (radians/s)  | User let go; coast at this speed, then snap |
+ *
+ * @module components/input
+ */
+
+export { KeyboardInput } from './KeyboardInput.js';
+export { PointerInput } from './PointerInput.js';
+export { WheelInput } from './WheelInput.js';
+export { GamepadInput } from './GamepadInput.js';
+
+/**
+ * @typedef {{ type: 'rotate' | 'tilt' | 'zoom', value: number, source: string }
+ *   | { type: 'grab', source: string }
+ *   | { type: 'release', source: string, velocity?: number }} InputAction
+ */
+
+/**
+ * @typedef {(action: InputAction) => void} EmitAction
+ */
+
+/**
+ * @typedef {Object} InputDevice
+ * @property {string} name - Device identifier, used as the action `source`
+ * @property {(emit: EmitAction) => void} attach - Start listening
+ * @property {() => void} detach - Stop listening and release resources
+ * @property {(delta: number) => void} [update] - Per-frame polling (seconds since last frame)
+ */
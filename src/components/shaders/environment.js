@@ -0,0 +1,93 @@
+/**
+ * GLSL for the scene environment: the sky dome and the particle effects.
+ *
+ * Sky: a vertical gradient (`uBottom` → `uTop`) with up to two
+ * equirectangular skybox maps mixed over it, so an outgoing and an incoming
+ * skybox can cross-fade. `uOpacity` 0 leaves the page background visible.
+ *
+ * Particles: positions are animated on the GPU. With a non-zero `uBoxSize`
+ * each point moves by `uVelocity` (plus a sideways sway) and wraps around
+ * inside the box; otherwise it stays put (starfield). `uTwinkle` dims points
+ * on individual rhythms seeded by `aSeed`.
+ *
+ * Colours arrive in the linear working space and are converted on output.
+ *
+ * @module components/shaders/environment
+ */
+
+export const SKY_VERTEX = /* glsl */ `
+varying vec3 vDirection;
+
+void main() {
+  vDirection = position;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+export const SKY_FRAGMENT = /* glsl */ `
+#include <common>
+uniform vec3 uTop;
+uniform vec3 uBottom;
+uniform float uOpacity;
+uniform sampler2D uMapA;
+uniform sampler2D uMapB;
+uniform float uMapWeightA;
+uniform float uMapWeightB;
+varying vec3 vDirection;
+
+void main() {
+  vec3 direction = normalize(vDirection);
+  vec3 color = mix(uBottom, uTop, smoothstep(-0.2, 0.8, direction.y));
+
+  vec2 uv = vec2(
+    atan(direction.z, direction.x) / (2.0 * PI) + 0.5,
+    asin(clamp(direction.y, -1.0, 1.0)) / PI + 0.5
+  );
+  color = mix(color, texture2D(uMapA, uv).rgb, uMapWeightA);
+  color = mix(color, texture2D(uMapB, uv).rgb, uMapWeightB);
+
+  gl_FragColor = vec4(color, uOpacity);
+  #include <colorspace_fragment>
+}
+`;
+
+export const PARTICLES_VERTEX = /* glsl */ `
+attribute float aSeed;
+uniform float uTime;
+uniform float uSize;
+uniform float uSway;
+uniform float uTwinkle;
+uniform vec3 uVelocity;
+uniform vec3 uBoxMin;
+uniform vec3 uBoxSize;
+varying float vAlpha;
+
+void main() {
+  vec3 p = position;
+  if (uBoxSize.x > 0.0) {
+    p += uVelocity * uTime;
+    p.x += sin(uTime * 0.8 + aSeed * 6.2831) * uSway;
+    p = uBoxMin + mod(p - uBoxMin, uBoxSize);
+  }
+
+  vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+  gl_PointSize = min(uSize / -mvPosition.z, 24.0); // uSize: pixels at one unit
+
+  float rhythm = 0.5 + 0.5 * sin(uTime * (1.0 + aSeed * 2.0) + aSeed * 40.0);
+  vAlpha = 1.0 - uTwinkle * rhythm;
+}
+`;
+
+export const PARTICLES_FRAGMENT = /* glsl */ `
+uniform vec3 uColor;
+uniform float uOpacity;
+varying float vAlpha;
+
+void main() {
+  float alpha = (1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - 0.5))) * vAlpha * uOpacity;
+  if (alpha <= 0.0) discard;
+  gl_FragColor = vec4(uColor, alpha);
+  #include <colorspace_fragment>
+}
+`;
@@ -0,0 +1,108 @@
+/**
+ * GLSL chunks that paint location zones onto the globe surface.
+ *
+ * Injected into `MeshStandardMaterial` via `onBeforeCompile`, so the planet
+ * keeps standard lighting and shadows. Zones are drawn on top of the base
+ * map (`vMapUv`) from two sources:
+ * - `uZoneMask`: an equirectangular id texture (`R = zone index + 1`, 0 for
+ *   none) rasterised by `Globe` whenever the zone *set* changes. It is
+ *   read with `texelFetch` and the edges are anti-aliased by blending the
+ *   four neighbouring texels, so any region shape paints crisply.
+ * - Per-zone uniforms for colours, emphasis and hover, so switching or
+ *   re-colouring zones never touches a texture.
+ *
+ * Looks, in texture space (`y` runs from the north pole, 0, to the south
+ * pole, 1):
+ * - Zone colour over the region, with an accent gradient peaking at the
+ *   middle of the zone's latitude range (`uZoneRange`)
+ * - Hover: lifted colour and an accent outline
+ * - Active zone: gentle pulse and a sweeping scanline (scaled by `uMotion`)
+ *
+ * `ZONE_CAPACITY` is #defined by the caller at compile time; only the first `uZoneCount`
+ * entries of each array are used.
+ *
+ * @module components/shaders/zoneRegions
+ */
+
+/** Uniform declarations and helpers, inserted after `<common>`. */
+export const ZONE_REGIONS_PARS = /* glsl */ `
+uniform int uZoneCount;
+uniform sampler2D uZoneMask;
+uniform vec2 uZoneMaskSize;
+uniform vec2 uZoneRange[ZONE_CAPACITY];
+uniform vec3 uZoneBase[ZONE_CAPACITY];
+uniform vec3 uZoneGlow[ZONE_CAPACITY];
+uniform float uZoneEmphasis[ZONE_CAPACITY];
+uniform float uZoneHover[ZONE_CAPACITY];
+uniform float uTime;
+uniform float uMotion;
+
+// Zone index stored in a mask texel, or -1. Columns wrap across the 0/360
+// seam; rows clamp at the poles.
+int zoneAt(ivec2 texel) {
+  ivec2 size = ivec2(uZoneMaskSize);
+  texel.x = (texel.x % size.x + size.x) % size.x;
+  texel.y = clamp(texel.y, 0, size.y - 1);
+  return int(texelFetch(uZoneMask, texel, 0).r * 255.0 + 0.5) - 1;
+}
+
+// Bilinear coverage of zone id around a mask position (in texels), for
+// soft edges.
+float zoneCoverage(vec2 position, int id) {
+  vec2 p = position - 0.5;
+  ivec2 t = ivec2(floor(p));
+  vec2 f = fract(p);
+  float c00 = zoneAt(t) == id ? 1.0 : 0.0;
+  float c10 = zoneAt(t + ivec2(1, 0)) == id ? 1.0 : 0.0;
+  float c01 = zoneAt(t + ivec2(0, 1)) == id ? 1.0 : 0.0;
+  float c11 = zoneAt(t + ivec2(1, 1)) == id ? 1.0 : 0.0;
+  return mix(mix(c00, c10, f.x), mix(c01, c11, f.x), f.y);
+}
+
+// 1 within two texels of the zone's boundary, 0 further inside.
+float zoneOutline(ivec2 texel, int id) {
+  bool inner = zoneAt(texel + ivec2(2, 0)) == id && zoneAt(texel - ivec2(2, 0)) == id
+    && zoneAt(texel + ivec2(0, 2)) == id && zoneAt(texel - ivec2(0, 2)) == id;
+  return inner ? 0.0 : 1.0;
+}
+`;
+
+/** Region compositing, inserted after `<map_fragment>`. */
+export const ZONE_REGIONS_FRAGMENT = /* glsl */ `
+{
+  vec2 maskPosition = vMapUv * uZoneMaskSize;
+  ivec2 texel = ivec2(floor(maskPosition));
+  int id = zoneAt(texel);
+
+  if (id >= 0 && id < uZoneCount) {
+    float zone = zoneCoverage(maskPosition, id);
+    float edges = zoneOutline(texel, id);
+
+    // Position within the zone's latitude range: 0 at its north edge
+    vec2 range = uZoneRange[id];
+    float y = 1.0 - vMapUv.y;
+    float t = clamp((y - range.x) / max(range.y - range.x, 1e-4), 0.0, 1.0);
+    float glowAlpha = t < 0.5
+      ? mix(0.133, 0.333, t * 2.0)
+      : mix(0.333, 0.067, (t - 0.5) * 2.0);
+    float pulse = 0.5 + 0.5 * sin(uTime * 2.4);
+    float scanY = mix(range.x, range.y, fract(uTime * 0.35));
+    float scan = 1.0 - smoothstep(0.0, 0.012, abs(y - scanY));
+
+    float emphasis = uZoneEmphasis[id];
+    float hover = uZoneHover[id];
+    vec3 base = uZoneBase[id];
+    vec3 glow = uZoneGlow[id];
+
+    diffuseColor.rgb = mix(diffuseColor.rgb, base, zone * mix(0.65, 0.9, emphasis));
+    diffuseColor.rgb = mix(diffuseColor.rgb, glow, zone * glowAlpha * mix(0.4, 0.8, emphasis));
+
+    diffuseColor.rgb = mix(diffuseColor.rgb, vec3(1.0), zone * 0.35 * hover);
+    diffuseColor.rgb = mix(diffuseColor.rgb, glow, zone * edges * 0.9 * hover);
+
+    float activeLevel = zone * emphasis * uMotion;
+    diffuseColor.rgb += base * activeLevel * 0.12 * pulse;
+    diffuseColor.rgb += glow * activeLevel * 0.35 * scan;
+  }
+}
+`;
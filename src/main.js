@@ -3,35 +3,118 @@ import { ScrollTrigger } from 'gsap/ScrollTrigger';
 
 gsap.registerPlugin(ScrollTrigger);
 
+// Decorative motion (parallax, glitch, cursor trail) only runs for users who
+// have not asked for reduced motion; gsap.matchMedia reverts it if they do
+const motion = gsap.matchMedia();
+const MOTION_OK = '(prefers-reduced-motion: no-preference)';
+
+// Globe explorer (src/app.js). Three.js is only downloaded once the explore
+// section comes near the viewport, or right away when the URL names a zone
+const globeSection = document.getElementById('explore');
+const globeContainer = document.getElementById('app');
+/** @type {import('./app.js').App | null} */
+let globeApp = null;
+/** @type {Promise<void> | null} */
+let globeLoading = null;
+
+function mountGlobe() {
+  if (globeLoading || !globeContainer) return;
+  globeLoading = import('./app.js')
+    .then(({ App }) => {
+      globeApp = new App(globeContainer);
+      return globeApp.init(); // Shows its own loading and error states
+    })
+    .catch((error) => {
+      console.error('Globe failed to load:', error);
+      if (!globeApp) globeLoading = null; // The download failed: retry next time
+    });
+}
+
+if (globeSection) {
+  const linksToZone =
+    location.hash.startsWith('#/') || new URLSearchParams(location.search).has('zone');
+
+  if (linksToZone || typeof IntersectionObserver === 'undefined') {
+    mountGlobe();
+    if (linksToZone) globeSection.scrollIntoView();
+  } else {
+    const globeObserver = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((entry) => entry.isIntersecting)) return;
+        globeObserver.disconnect();
+        mountGlobe();
+      },
+      { rootMargin: '100% 0px' } // One screen ahead, so it is ready on arrival
+    );
+    globeObserver.observe(globeSection);
+  }
+}
+
 // Mobile menu toggle
 const mobileMenuBtn = document.getElementById('mobile-menu-btn');
-const mobileMenu = document.getElementById('mobile-menu');
+const mobileMenu = /** @type {HTMLElement} */ (document.getElementById('mobile-menu'));
+const mobileMenuZones = /** @type {HTMLElement} */ (
+  document.getElementById('mobile-menu-zones')
+);
+
+/**
+ * Lists the globe's zones in the mobile menu (once the globe has loaded).
+ * Each links to `#/zone`, which the globe's router flies to.
+ */
+function renderZoneLinks() {
+  const zones = globeApp?.locations ?? [];
+  // Child zones are reached from the globe; mark their top-level zone
+  const current = globeApp?.currentZone;
+  const activeId = current ? globeApp?.zones?.getRoot(current).id : null;
+  mobileMenuZones.hidden = zones.length === 0;
+  mobileMenuZones.replaceChildren(
+    ...zones.map((zone) => {
+      const link = document.createElement('a');
+      link.href = `#/${encodeURIComponent(zone.id)}`;
+      link.className = 'brutal-btn bg-white text-black shadow-brutal';
+      link.textContent = zone.label;
+      if (zone.id === activeId) link.setAttribute('aria-current', 'location');
+
+      const item = document.createElement('li');
+      item.append(link);
+      return item;
+    })
+  );
+}
 
 if (mobileMenuBtn) {
   mobileMenuBtn.addEventListener('click', () => {
-    mobileMenu.classList.toggle('hidden');
+    const opened = !mobileMenu.classList.toggle('hidden');
+    if (opened) renderZoneLinks();
   });
 }
 
 // Close mobile menu when clicking a link
-const mobileMenuLinks = mobileMenu.querySelectorAll('a');
-mobileMenuLinks.forEach(link => {
-  link.addEventListener('click', () => {
+mobileMenu.addEventListener('click', (e) => {
+  if (e.target instanceof Element && e.target.closest('a')) {
     mobileMenu.classList.add('hidden');
-  });
+  }
 });
 
-// Smooth scroll for anchor links
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-  anchor.addEventListener('click', function (e) {
+// Smooth scroll for anchor links. Zone links (`#/labs`) keep their default
+// action, so the globe's router sees the new hash; the page scrolls to the globe
+document.addEventListener('click', (e) => {
+  const anchor = e.target instanceof Element ? e.target.closest('a[href^="#"]') : null;
+  if (!anchor) return;
+
+  const href = /** @type {string} */ (anchor.getAttribute('href'));
+  const isZoneLink = href.startsWith('#/');
+  const target = isZoneLink ? globeSection : document.getElementById(href.slice(1));
+  if (!target) return;
+
+  if (isZoneLink) {
+    mountGlobe();
+  } else {
     e.preventDefault();
-    const target = document.querySelector(this.getAttribute('href'));
-    if (target) {
-      target.scrollIntoView({
-        behavior: 'smooth',
-        block: 'start'
-      });
-    }
+  }
+  target.scrollIntoView({
+    behavior: 'smooth',
+    block: 'start'
   });
 });
 
@@ -96,17 +179,19 @@ gsap.utils.toArray('.fade-in').forEach((element) => {
 });
 
 // Parallax effect for floating shapes
-gsap.utils.toArray('.floating').forEach((shape, index) => {
-  gsap.to(shape, {
-    scrollTrigger: {
-      trigger: 'body',
-      start: 'top top',
-      end: 'bottom bottom',
-      scrub: true,
-    },
-    y: (index + 1) * 200,
-    rotation: (index + 1) * 90,
-    ease: 'none',
+motion.add(MOTION_OK, () => {
+  gsap.utils.toArray('.floating').forEach((shape, index) => {
+    gsap.to(shape, {
+      scrollTrigger: {
+        trigger: 'body',
+        start: 'top top',
+        end: 'bottom bottom',
+        scrub: true,
+      },
+      y: (index + 1) * 200,
+      rotation: (index + 1) * 90,
+      ease: 'none',
+    });
   });
 });
 
@@ -147,7 +232,10 @@ const titleGlitch = () => {
 };
 
 // Trigger glitch effect randomly
-setInterval(titleGlitch, 5000);
+motion.add(MOTION_OK, () => {
+  const glitchTimer = setInterval(titleGlitch, 5000);
+  return () => clearInterval(glitchTimer);
+});
 
 // Button hover effects with GSAP
 document.querySelectorAll('.brutal-btn').forEach(btn => {
@@ -223,30 +311,34 @@ document.querySelectorAll('input, textarea').forEach(input => {
 
 // Cursor trail effect (advanced)
 let cursor = { x: 0, y: 0 };
+/** @type {HTMLDivElement[]} */
 const cursorTrail = [];
 
-for (let i = 0; i < 5; i++) {
-  const trail = document.createElement('div');
-  trail.className = 'cursor-trail';
-  trail.style.cssText = `
-    position: fixed;
-    width: 10px;
-    height: 10px;
-    border-radius: 50%;
-    pointer-events: none;
-    z-index: 9999;
-    background: rgba(255, 107, 157, ${0.8 - i * 0.15});
-    border: 2px solid black;
-    transform: translate(-50%, -50%);
-  `;
-  document.body.appendChild(trail);
-  cursorTrail.push(trail);
+function createTrail() {
+  for (let i = 0; i < 5; i++) {
+    const trail = document.createElement('div');
+    trail.className = 'cursor-trail';
+    trail.style.cssText = `
+      position: fixed;
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      pointer-events: none;
+      z-index: 9999;
+      background: rgba(255, 107, 157, ${0.8 - i * 0.15});
+      border: 2px solid black;
+      transform: translate(-50%, -50%);
+    `;
+    document.body.appendChild(trail);
+    cursorTrail.push(trail);
+  }
 }
 
-document.addEventListener('mousemove', (e) => {
+/** @param {MouseEvent} e */
+function trackCursor(e) {
   cursor.x = e.clientX;
   cursor.y = e.clientY;
-});
+}
 
 function animateTrail() {
   let x = cursor.x;
@@ -261,11 +353,20 @@ function animateTrail() {
     x += (nextTrail.offsetLeft - trail.offsetLeft) * 0.3;
     y += (nextTrail.offsetTop - trail.offsetTop) * 0.3;
   });
-
-  requestAnimationFrame(animateTrail);
 }
 
-animateTrail();
+motion.add(MOTION_OK, () => {
+  createTrail();
+  document.addEventListener('mousemove', trackCursor);
+  // Shares GSAP's frame loop with the tweens and the globe (no second rAF loop)
+  gsap.ticker.add(animateTrail);
+
+  return () => {
+    gsap.ticker.remove(animateTrail);
+    document.removeEventListener('mousemove', trackCursor);
+    cursorTrail.splice(0).forEach((trail) => trail.remove());
+  };
+});
 
 // Scroll progress indicator
 const progressBar = document.createElement('div');
@@ -1,3 +1,4 @@
+/** @type {import('../../types').Location} */
 export default {
   id: 'about',
   label: 'Mission Brief',
@@ -8,6 +9,15 @@ export default {
   endAngleDeg: 45,
   themeColor: '#f6b46d',
   accentColor: '#2d3a73',
+  landmark: { type: 'label', icon: '👋', latitudeDeg: 10 },
+  content: [
+    {
+      type: 'markdown',
+      markdown:
+        'Builds **playful interfaces** with a focus on motion and clarity.\n\n' +
+        '- Designs and ships end to end\n- Likes tiny details and big worlds',
+    },
+  ],
   actions: [
     { label: 'Read mini bio', href: '#about' },
     { label: 'Download resume', href: '#resume' },
@@ -0,0 +1,22 @@
+/** @type {import('../../types').AvatarConfig} */
+export default {
+  proportions: { height: 1, headSize: 1, build: 1 },
+  hairStyle: 'cap',
+  outfit: {
+    suit: '#3d68ff',
+    trim: '#13204c',
+    skin: '#ffddc8',
+    hair: '#1f2745',
+    boots: '#0d1226',
+    gear: '#ffcc4d',
+  },
+  accessories: [],
+  expressions: {
+    happy: { eyes: 'round', mouth: 'smile' },
+    focused: { eyes: 'wide', mouth: 'flat' },
+    excited: { eyes: 'happy', mouth: 'grin', blush: true },
+    curious: { eyes: 'wide', mouth: 'o' },
+    wink: { eyes: 'wink', mouth: 'grin' },
+  },
+  defaultExpression: 'happy',
+};
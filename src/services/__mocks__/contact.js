@@ -1,3 +1,4 @@
+/** @type {import('../../types').Location} */
 export default {
   id: 'contact',
   label: 'Comms Tower',
@@ -8,6 +9,12 @@ export default {
   endAngleDeg: 315,
   themeColor: '#ff8695',
   accentColor: '#40122b',
+  landmark: { type: 'pin', icon: '✉️', latitudeDeg: -8 },
+  avatar: { expression: 'wink', accessories: ['headset'] },
+  environment: {
+    sky: { top: '#1a0b14', bottom: '#4a1d2c' },
+    particles: { type: 'snow', count: 400 },
+  },
   actions: [
     { label: 'Email Zayd', href: 'mailto:hello@zayd.world' },
     { label: 'Connect on socials', href: '#socials' },
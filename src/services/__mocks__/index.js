@@ -5,4 +5,7 @@ import contact from './contact.js';
 
 export const locations = [about, projects, labs, contact];
 
+export { default as avatar } from './avatar.js';
+export { default as tour } from './tour.js';
+
 export default locations;
@@ -1,3 +1,4 @@
+/** @type {import('../../types').Location} */
 export default {
   id: 'labs',
   label: 'Prototype Lab',
@@ -8,8 +9,32 @@ export default {
   endAngleDeg: 255,
   themeColor: '#b689ff',
   accentColor: '#1b1440',
+  landmark: { type: 'beacon', icon: '🧪' },
+  avatar: { expression: 'focused', accessories: ['goggles'] },
+  environment: {
+    sky: { top: '#0d0820', bottom: '#2b1650' },
+    fog: { color: '#2b1650', density: 0.06 },
+    lights: { rim: { color: '#b689ff', intensity: 0.8 } },
+    particles: { type: 'embers', color: '#d7b8ff' },
+  },
   actions: [
     { label: 'Browse experiments', href: '#labs' },
     { label: 'Watch in-progress reels', href: '#reels' },
   ],
+  children: [
+    {
+      id: 'shader-sketches',
+      label: 'Shader sketches',
+      tagline: 'Fragment-shader experiments scattered across the Ember Isles.',
+      description: 'Noise fields, fake caustics and glow passes, one island per idea.',
+      startAngleDeg: 165,
+      endAngleDeg: 235,
+      minLatitudeDeg: -16,
+      maxLatitudeDeg: 22,
+      region: 'Ember Isles',
+      themeColor: '#d7b8ff',
+      accentColor: '#2b1650',
+      actions: [{ label: 'Watch in-progress reels', href: '#reels' }],
+    },
+  ],
 };
@@ -1,3 +1,4 @@
+/** @type {import('../../types').Location} */
 export default {
   id: 'projects',
   label: 'Launch Deck',
@@ -8,6 +9,61 @@ export default {
   endAngleDeg: 150,
   themeColor: '#6ad7ff',
   accentColor: '#12376a',
+  landmark: { type: 'pin', icon: '🚀' },
+  avatar: { expression: 'excited' },
+  environment: { particles: { type: 'stars' } },
+  children: [
+    {
+      id: 'zayd-world',
+      label: 'Zayd.world',
+      tagline: 'This globe: a spinnable portfolio with a walking avatar.',
+      description: 'Three.js, GSAP and Vite, with zones that can be any shape on the sphere.',
+      startAngleDeg: 60,
+      endAngleDeg: 90,
+      minLatitudeDeg: -4,
+      maxLatitudeDeg: 22,
+      themeColor: '#9be7ff',
+      accentColor: '#1d4f8f',
+      actions: [{ label: 'Read the source', href: 'https://github.com/zaydiscold/zayd.world' }],
+    },
+    {
+      id: 'motion-studies',
+      label: 'Motion studies',
+      tagline: 'Small interaction experiments, each one a single idea.',
+      description: 'CSS and canvas sketches that later grow into full features.',
+      startAngleDeg: 105,
+      endAngleDeg: 135,
+      polygon: [
+        [105, -26],
+        [135, -26],
+        [129, -2],
+        [111, -2],
+      ],
+      themeColor: '#c3f3ff',
+      accentColor: '#0d2a52',
+      actions: [{ label: 'Open the lab', href: '#labs' }],
+    },
+  ],
+  content: [
+    {
+      type: 'projects',
+      title: 'Featured builds',
+      items: [
+        {
+          title: 'Zayd.world',
+          summary: 'This globe: a spinnable portfolio with a walking avatar.',
+          tags: ['three.js', 'gsap', 'vite'],
+          href: '#projects',
+        },
+        {
+          title: 'Motion studies',
+          summary: 'Small interaction experiments, each one a single idea.',
+          tags: ['css', 'canvas'],
+          href: '#labs',
+        },
+      ],
+    },
+  ],
   actions: [
     { label: 'View featured work', href: '#projects' },
     { label: 'See process notes', href: '#process' },
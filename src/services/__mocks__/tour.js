@@ -0,0 +1,13 @@
+/** @type {import('../../types').TourScript} */
+export default {
+  idleMs: 20000,
+  dwellMs: 6000,
+  loop: true,
+  stops: [
+    { zoneId: 'about', caption: 'Mission Brief: who is behind the globe.' },
+    { zoneId: 'projects', caption: 'Launch Deck: builds and client work, ready for lift-off.' },
+    { zoneId: 'zayd-world', caption: 'Including this globe.', dwellMs: 4000 },
+    { zoneId: 'labs', caption: 'Prototype Lab: experiments that may become features.' },
+    { zoneId: 'contact', caption: 'Comms Tower: say hello.', dwellMs: 8000 },
+  ],
+};
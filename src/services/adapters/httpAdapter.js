@@ -0,0 +1,87 @@
+/**
+ * @typedef {import('../../types').Location} Location
+ * @typedef {import('./index.js').LocationAdapter} LocationAdapter
+ * @typedef {import('../http.js').RequestOptions} RequestOptions
+ */
+
+import { fetchJson, fetchJsonWithMeta } from '../http.js';
+import {
+  extractAvatarConfig,
+  extractLocation,
+  extractLocations,
+  extractTourScript,
+} from './payload.js';
+
+/**
+ * Creates an adapter for the REST backend.
+ *
+ * Endpoints:
+ * - `GET {baseUrl}/locations` → `Location[]` or `{ locations: Location[] }`
+ * - `GET {baseUrl}/locations/:id` → `Location` or `{ location: Location }`
+ * - `GET {baseUrl}/avatar` → `AvatarConfig` or `{ avatar: AvatarConfig }`
+ * - `GET {baseUrl}/tour` → `TourScript` or `{ tour: TourScript }`
+ *
+ * Requests time out, retry with exponential backoff and fail with typed
+ * errors (see `services/errors.js`). `getLocationsIfChanged()` sends
+ * `If-None-Match`, so revalidating unchanged data costs a `304`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='https://api.zayd.world'] - API root (no trailing slash)
+ * @param {RequestOptions} [options.request] - Timeout/retry settings and extra headers
+ * @returns {LocationAdapter}
+ *
+ * @example
+ * ```javascript
+ * const adapter = createHttpAdapter({
+ *   baseUrl: 'http://localhost:3000/api',
+ *   request: { timeoutMs: 5000, retries: 3 },
+ * });
+ * ```
+ */
+export function createHttpAdapter({
+  baseUrl = 'https://api.zayd.world',
+  request = {},
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name: 'http',
+    origin: root,
+    cacheable: true,
+
+    async getLocations({ signal } = {}) {
+      const url = `${root}/locations`;
+      const data = await fetchJson(url, { ...request, signal });
+      return extractLocations(data, url);
+    },
+
+    async getLocationsIfChanged({ signal, etag } = {}) {
+      const url = `${root}/locations`;
+      const response = await fetchJsonWithMeta(url, { ...request, signal, etag });
+      if (response.notModified) return { notModified: true, etag: response.etag };
+      return {
+        notModified: false,
+        locations: extractLocations(response.data, url),
+        etag: response.etag,
+      };
+    },
+
+    async getLocationById(id, { signal } = {}) {
+      const url = `${root}/locations/${encodeURIComponent(id)}`;
+      const data = await fetchJson(url, { ...request, signal });
+      return extractLocation(data, url);
+    },
+
+    async getAvatarConfig({ signal } = {}) {
+      const url = `${root}/avatar`;
+      const data = await fetchJson(url, { ...request, signal });
+      return extractAvatarConfig(data, url);
+    },
+
+    async getTourScript({ signal } = {}) {
+      const url = `${root}/tour`;
+      const data = await fetchJson(url, { ...request, signal });
+      return extractTourScript(data, url);
+    },
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Data-source adapters for location data.
+ *
+ * Every adapter implements the same small interface, so the service layer
+ * can switch between bundled mocks, a static JSON file and the REST API
+ * without touching any UI code.
+ *
+ * | Source   | Adapter               | Typical use                      |
+ * |----------|-----------------------|----------------------------------|
+ * | `mock`   | `createMockAdapter`   | Local development, tests         |
+ * | `static` | `createStaticAdapter` | Static hosting (`locations.json`) |
+ * | `http`   | `createHttpAdapter`   | Real backend                     |
+ *
+ * The default source is picked from Vite env variables
+ * (see `createAdapterFromEnv()`).
+ *
+ * @module services/adapters
+ */
+
+import { createHttpAdapter } from './httpAdapter.js';
+import { createMockAdapter } from './mockAdapter.js';
+import { createStaticAdapter } from './staticAdapter.js';
+import { readEnvNumber } from '../../utils/env.js';
+
+export { createHttpAdapter, createMockAdapter, createStaticAdapter };
+
+/**
+ * @typedef {import('../../types').Location} Location
+ * @typedef {import('../../types').AvatarConfig} AvatarConfig
+ * @typedef {import('../../types').TourScript} TourScript
+ */
+
+/**
+ * @typedef {Object} AdapterCallOptions
+ * @property {AbortSignal} [signal] - Cancels the underlying request
+ */
+
+/**
+ * Common interface implemented by every data-source adapter.
+ *
+ * Adapters throw typed errors from `services/errors.js`:
+ * `NotFoundError`, `NetworkError`/`TimeoutError` or `PayloadError`.
+ *
+ * @typedef {Object} LocationAdapter
+ * @property {'mock' | 'static' | 'http' | string} name - Source identifier (for logging, cache keys)
+ * @property {string} [origin] - Where the data comes from (API root or file URL),
+ *   so cached data from one backend is never served for another
+ * @property {boolean} cacheable - Whether responses should go through the service cache
+ * @property {(options?: AdapterCallOptions) => Promise<Location[]>} getLocations
+ * @property {(id: string, options?: AdapterCallOptions) => Promise<Location>} getLocationById
+ * @property {(options?: ConditionalCallOptions) => Promise<ConditionalLocations>} [getLocationsIfChanged] -
+ *   Conditional fetch: resolves `{ notModified: true }` when the `etag` still matches
+ * @property {(options?: AdapterCallOptions) => Promise<AvatarConfig>} [getAvatarConfig] -
+ *   Avatar configuration (unvalidated); sources without one omit this method
+ * @property {(options?: AdapterCallOptions) => Promise<TourScript>} [getTourScript] -
+ *   Guided tour script (unvalidated); sources without one omit this method
+ */
+
+/**
+ * @typedef {AdapterCallOptions & { etag?: string | null }} ConditionalCallOptions
+ */
+
+/**
+ * @typedef {Object} ConditionalLocations
+ * @property {boolean} notModified - True when the cached copy is still current
+ * @property {Location[]} [locations] - New data (absent when `notModified`)
+ * @property {string | null} [etag] - Validator for the next conditional request
+ */
+
+/**
+ * @typedef {'mock' | 'static' | 'http'} DataSourceName
+ */
+
+/**
+ * Creates an adapter by source name.
+ *
+ * @param {DataSourceName} source - Which data source to use
+ * @param {Object} [options] - Options forwarded to the adapter factory
+ * @returns {LocationAdapter}
+ * @throws {Error} If the source name is unknown
+ *
+ * @example
+ * ```javascript
+ * const adapter = createAdapter('http', { baseUrl: 'http://localhost:3000/api' });
+ * ```
+ */
+export function createAdapter(source, options = {}) {
+  switch (source) {
+    case 'mock':
+      return createMockAdapter(options);
+    case 'static':
+      return createStaticAdapter(options);
+    case 'http':
+      return createHttpAdapter(options);
+    default:
+      throw new Error(
+        `Unknown data source "${source}". Expected "mock", "static" or "http".`
+      );
+  }
+}
+
+/**
+ * Creates the adapter configured through Vite env variables.
+ *
+ * | Variable               | Meaning                                  | Default                 |
+ * |------------------------|------------------------------------------|-------------------------|
+ * | `VITE_DATA_SOURCE`     | `mock`, `static` or `http`               | `mock`                  |
+ * | `VITE_API_URL`         | REST API root (http source)              | `https://api.zayd.world` |
+ * | `VITE_LOCATIONS_URL`   | JSON file URL (static source)            | `/locations.json`       |
+ * | `VITE_AVATAR_URL`      | Avatar config file URL (static source)   | `/avatar.json`          |
+ * | `VITE_TOUR_URL`        | Tour script file URL (static source)     | `/tour.json`            |
+ * | `VITE_API_TIMEOUT_MS`  | Per-attempt timeout                      | `8000`                  |
+ * | `VITE_API_RETRIES`     | Extra attempts for transient failures    | `2`                     |
+ *
+ * @param {ImportMetaEnv} [env=import.meta.env] - Env object (overridable for tests)
+ * @returns {LocationAdapter}
+ */
+export function createAdapterFromEnv(env = import.meta.env) {
+  const source = /** @type {DataSourceName} */ (env.VITE_DATA_SOURCE || 'mock');
+
+  const timeoutMs = readEnvNumber(env, 'VITE_API_TIMEOUT_MS');
+  const retries = readEnvNumber(env, 'VITE_API_RETRIES');
+  const request = {
+    ...(timeoutMs !== undefined && { timeoutMs }),
+    ...(retries !== undefined && { retries }),
+  };
+
+  return createAdapter(source, {
+    ...(env.VITE_API_URL && { baseUrl: env.VITE_API_URL }),
+    ...(env.VITE_LOCATIONS_URL && { url: env.VITE_LOCATIONS_URL }),
+    ...(env.VITE_AVATAR_URL && { avatarUrl: env.VITE_AVATAR_URL }),
+    ...(env.VITE_TOUR_URL && { tourUrl: env.VITE_TOUR_URL }),
+    request,
+  });
+}
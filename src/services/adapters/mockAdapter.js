@@ -0,0 +1,68 @@
+/**
+ * @typedef {import('../../types').Location} Location
+ * @typedef {import('./index.js').LocationAdapter} LocationAdapter
+ */
+
+import mockLocations, { avatar as mockAvatar, tour as mockTour } from '../__mocks__/index.js';
+import { NotFoundError } from '../errors.js';
+
+/**
+ * Creates an adapter that serves the bundled `__mocks__` data.
+ *
+ * Useful for local development, demos and tests. An optional artificial
+ * latency makes loading states visible without a real backend.
+ *
+ * @param {Object} [options]
+ * @param {Location[]} [options.locations=mockLocations] - Data to serve
+ * @param {import('../../types').AvatarConfig} [options.avatar=mockAvatar] - Avatar config to serve
+ * @param {import('../../types').TourScript} [options.tour=mockTour] - Tour script to serve
+ * @param {number} [options.latencyMs=0] - Artificial delay per call
+ * @returns {LocationAdapter}
+ *
+ * @example
+ * ```javascript
+ * const adapter = createMockAdapter({ latencyMs: 400 });
+ * const locations = await adapter.getLocations();
+ * ```
+ */
+export function createMockAdapter({
+  locations = mockLocations,
+  avatar = mockAvatar,
+  tour = mockTour,
+  latencyMs = 0,
+} = {}) {
+  const settle = () =>
+    latencyMs > 0
+      ? new Promise((resolve) => setTimeout(resolve, latencyMs))
+      : Promise.resolve();
+
+  return {
+    name: 'mock',
+    // Bundled data is always available; persisting it would only hide edits.
+    cacheable: false,
+
+    async getLocations() {
+      await settle();
+      return locations;
+    },
+
+    async getLocationById(id) {
+      await settle();
+      const location = locations.find((loc) => loc.id === id);
+      if (!location) {
+        throw new NotFoundError(`Location "${id}" not found in mock data`);
+      }
+      return location;
+    },
+
+    async getAvatarConfig() {
+      await settle();
+      return avatar;
+    },
+
+    async getTourScript() {
+      await settle();
+      return tour;
+    },
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * @typedef {import('../../types').Location} Location
+ * @typedef {import('../../types').AvatarConfig} AvatarConfig
+ * @typedef {import('../../types').TourScript} TourScript
+ */
+
+import { PayloadError } from '../errors.js';
+
+/**
+ * Unwraps a location list from a JSON body.
+ * Accepts both a bare array and the `{ locations: [...] }` envelope.
+ *
+ * @param {any} data - Parsed JSON body
+ * @param {string} url - Source URL (for error messages)
+ * @returns {Location[]}
+ * @throws {PayloadError} If no array of objects can be found
+ */
+export function extractLocations(data, url) {
+  const list = Array.isArray(data) ? data : data?.locations;
+
+  if (!Array.isArray(list)) {
+    throw new PayloadError(`Expected a list of locations from ${url}`, { url });
+  }
+
+  if (list.some((item) => !item || typeof item !== 'object')) {
+    throw new PayloadError(`Location list from ${url} contains non-objects`, { url });
+  }
+
+  return list;
+}
+
+/**
+ * Unwraps a single location from a JSON body.
+ * Accepts both a bare object and the `{ location: {...} }` envelope.
+ *
+ * @param {any} data - Parsed JSON body
+ * @param {string} url - Source URL (for error messages)
+ * @returns {Location}
+ * @throws {PayloadError} If the body is not an object
+ */
+export function extractLocation(data, url) {
+  const location = data?.location ?? data;
+
+  if (!location || typeof location !== 'object' || Array.isArray(location)) {
+    throw new PayloadError(`Expected a location object from ${url}`, { url });
+  }
+
+  return location;
+}
+
+/**
+ * Unwraps the avatar configuration from a JSON body.
+ * Accepts both a bare object and the `{ avatar: {...} }` envelope.
+ *
+ * @param {any} data - Parsed JSON body
+ * @param {string} url - Source URL (for error messages)
+ * @returns {AvatarConfig}
+ * @throws {PayloadError} If the body is not an object
+ */
+export function extractAvatarConfig(data, url) {
+  const config = data?.avatar ?? data;
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new PayloadError(`Expected an avatar configuration object from ${url}`, { url });
+  }
+
+  return config;
+}
+
+/**
+ * Unwraps the tour script from a JSON body.
+ * Accepts both a bare object and the `{ tour: {...} }` envelope.
+ *
+ * @param {any} data - Parsed JSON body
+ * @param {string} url - Source URL (for error messages)
+ * @returns {TourScript}
+ * @throws {PayloadError} If the body is not an object
+ */
+export function extractTourScript(data, url) {
+  const script = data?.tour ?? data;
+
+  if (!script || typeof script !== 'object' || Array.isArray(script)) {
+    throw new PayloadError(`Expected a tour script object from ${url}`, { url });
+  }
+
+  return script;
+}
@@ -0,0 +1,77 @@
+/**
+ * @typedef {import('../../types').Location} Location
+ * @typedef {import('./index.js').LocationAdapter} LocationAdapter
+ * @typedef {import('../http.js').RequestOptions} RequestOptions
+ */
+
+import { NotFoundError } from '../errors.js';
+import { fetchJson, fetchJsonWithMeta } from '../http.js';
+import { extractAvatarConfig, extractLocations, extractTourScript } from './payload.js';
+
+/**
+ * Creates an adapter that reads every location from a single static JSON file,
+ * e.g. `public/locations.json` deployed next to the site.
+ *
+ * The file may contain either a bare array or `{ "locations": [...] }`.
+ * `getLocationById()` filters the downloaded list, so no per-id files are needed.
+ * The avatar configuration and tour script live in their own files
+ * (`avatar.json`, `tour.json`).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url='/locations.json'] - Location of the JSON file
+ * @param {string} [options.avatarUrl='/avatar.json'] - Location of the avatar config file
+ * @param {string} [options.tourUrl='/tour.json'] - Location of the tour script file
+ * @param {RequestOptions} [options.request] - Timeout/retry settings
+ * @returns {LocationAdapter}
+ *
+ * @example
+ * ```javascript
+ * const adapter = createStaticAdapter({ url: '/data/locations.json' });
+ * ```
+ */
+export function createStaticAdapter({
+  url = `${import.meta.env.BASE_URL}locations.json`,
+  avatarUrl = `${import.meta.env.BASE_URL}avatar.json`,
+  tourUrl = `${import.meta.env.BASE_URL}tour.json`,
+  request = {},
+} = {}) {
+  return {
+    name: 'static',
+    origin: url,
+    cacheable: true,
+
+    async getLocations({ signal } = {}) {
+      const data = await fetchJson(url, { ...request, signal });
+      return extractLocations(data, url);
+    },
+
+    async getLocationsIfChanged({ signal, etag } = {}) {
+      const response = await fetchJsonWithMeta(url, { ...request, signal, etag });
+      if (response.notModified) return { notModified: true, etag: response.etag };
+      return {
+        notModified: false,
+        locations: extractLocations(response.data, url),
+        etag: response.etag,
+      };
+    },
+
+    async getLocationById(id, { signal } = {}) {
+      const locations = await this.getLocations({ signal });
+      const location = locations.find((loc) => loc.id === id);
+      if (!location) {
+        throw new NotFoundError(`Location "${id}" not found in ${url}`, { url });
+      }
+      return location;
+    },
+
+    async getAvatarConfig({ signal } = {}) {
+      const data = await fetchJson(avatarUrl, { ...request, signal });
+      return extractAvatarConfig(data, avatarUrl);
+    },
+
+    async getTourScript({ signal } = {}) {
+      const data = await fetchJson(tourUrl, { ...request, signal });
+      return extractTourScript(data, tourUrl);
+    },
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * @typedef {import('../types').AvatarConfig} AvatarConfig
+ * @typedef {import('./adapters/index.js').AdapterCallOptions} AdapterCallOptions
+ */
+
+import { NotFoundError, ValidationError } from './errors.js';
+import { getDataSource } from './locationService.js';
+import { validateAvatarConfig } from './validation.js';
+
+/**
+ * Avatar configuration service.
+ *
+ * The config (proportions, hair, outfit, accessories, expressions) comes from
+ * the same data source as the locations (see `setDataSource()`):
+ * - `mock`   → `__mocks__/avatar.js`
+ * - `static` → `avatar.json`
+ * - `http`   → `GET /avatar`
+ *
+ * Every field is optional; `Avatar` fills the gaps with its default look.
+ *
+ * @example
+ * ```javascript
+ * try {
+ *   avatar.setConfig(await getAvatarConfig());
+ * } catch (error) {
+ *   console.warn('Keeping the default avatar', error);
+ * }
+ * ```
+ *
+ * @module services/avatarService
+ */
+
+/**
+ * Fetches and validates the avatar configuration.
+ *
+ * @param {AdapterCallOptions} [options] - Optional abort signal
+ * @returns {Promise<AvatarConfig>}
+ * @throws {import('./errors.js').ServiceError} `NotFoundError` if the source
+ *   has no avatar config, `ValidationError` if it is malformed, or the
+ *   adapter's `NetworkError`/`TimeoutError`/`PayloadError`
+ */
+export async function getAvatarConfig({ signal } = {}) {
+  const adapter = getDataSource();
+
+  if (!adapter.getAvatarConfig) {
+    throw new NotFoundError(`Data source "${adapter.name}" has no avatar configuration`);
+  }
+
+  const config = await adapter.getAvatarConfig({ signal });
+  const { valid, issues } = validateAvatarConfig(config);
+  if (!valid) {
+    throw new ValidationError('Invalid avatar configuration', issues);
+  }
+
+  return config;
+}
+
+export { validateAvatarConfig } from './validation.js';
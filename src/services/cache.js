@@ -0,0 +1,197 @@
+/**
+ * Two-tier cache for service-layer responses.
+ *
+ * - **Memory** (a `Map`) answers repeat lookups within a page session.
+ * - **Persistent storage** (`localStorage` by default) survives reloads and
+ *   keeps the last good response available while offline.
+ *
+ * Entries remember when they were stored and the server's `ETag`, so callers
+ * can implement stale-while-revalidate and conditional requests
+ * (`If-None-Match`) on top of `isFresh()` / `isUsable()`.
+ *
+ * @example
+ * ```javascript
+ * const cache = createCache({ namespace: 'zayd.world', ttlMs: 60_000 });
+ * await cache.set('locations', data, { etag: '"abc"' });
+ *
+ * const entry = await cache.get('locations');
+ * if (entry && cache.isFresh(entry)) render(entry.value);
+ * ```
+ *
+ * @module services/cache
+ */
+
+/**
+ * @template T
+ * @typedef {Object} CacheEntry
+ * @property {T} value - Cached payload
+ * @property {string | null} etag - Validator returned by the server, if any
+ * @property {number} storedAt - `Date.now()` when the entry was written or revalidated
+ */
+
+/**
+ * Async key/value storage used for persistence.
+ * Matches a subset of the Web Storage API so `localStorage`, an IndexedDB
+ * wrapper or a test double can be plugged in.
+ *
+ * @typedef {Object} PersistentStore
+ * @property {(key: string) => Promise<string | null> | string | null} getItem
+ * @property {(key: string, value: string) => Promise<void> | void} setItem
+ * @property {(key: string) => Promise<void> | void} removeItem
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {string} [namespace='zayd.world:cache'] - Prefix for persisted keys
+ * @property {number} [ttlMs=300000] - How long an entry counts as fresh
+ * @property {number} [maxStaleMs=604800000] - How long a stale entry may still be served
+ * @property {PersistentStore | null} [storage] - Persistence backend (`null` = memory only)
+ */
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Returns `window.localStorage` when it is available and writable.
+ * Private browsing modes and sandboxed iframes may throw on access.
+ *
+ * @returns {PersistentStore | null}
+ */
+export function getDefaultStorage() {
+  try {
+    const storage = globalThis.localStorage;
+    const probe = '__zayd_cache_probe__';
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+    return storage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creates a memory + persistent cache.
+ *
+ * Persistence failures (quota exceeded, corrupt JSON, storage disabled)
+ * are swallowed: the cache degrades to memory-only instead of throwing.
+ *
+ * @param {CacheOptions} [options]
+ */
+export function createCache({
+  namespace = 'zayd.world:cache',
+  ttlMs = DEFAULT_TTL_MS,
+  maxStaleMs = DEFAULT_MAX_STALE_MS,
+  storage = getDefaultStorage(),
+} = {}) {
+  /** @type {Map<string, CacheEntry<any>>} */
+  const memory = new Map();
+
+  /** @param {string} key */
+  const storageKey = (key) => `${namespace}:${key}`;
+
+  return {
+    ttlMs,
+    maxStaleMs,
+
+    /**
+     * Looks up an entry, checking memory before persistent storage.
+     *
+     * @param {string} key
+     * @returns {Promise<CacheEntry<any> | null>}
+     */
+    async get(key) {
+      const inMemory = memory.get(key);
+      if (inMemory) return inMemory;
+      if (!storage) return null;
+
+      try {
+        const raw = await storage.getItem(storageKey(key));
+        if (!raw) return null;
+
+        const entry = JSON.parse(raw);
+        if (!entry || typeof entry.storedAt !== 'number') return null;
+
+        memory.set(key, entry);
+        return entry;
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Writes an entry to memory and persistent storage.
+     *
+     * @template T
+     * @param {string} key
+     * @param {T} value
+     * @param {{ etag?: string | null, storedAt?: number }} [meta]
+     * @returns {Promise<CacheEntry<T>>}
+     */
+    async set(key, value, { etag = null, storedAt = Date.now() } = {}) {
+      const entry = { value, etag, storedAt };
+      memory.set(key, entry);
+
+      if (storage) {
+        try {
+          await storage.setItem(storageKey(key), JSON.stringify(entry));
+        } catch {
+          // Quota exceeded or storage disabled: keep the in-memory copy.
+        }
+      }
+
+      return entry;
+    },
+
+    /**
+     * Marks an existing entry as freshly validated (e.g. after a 304).
+     *
+     * @param {string} key
+     * @returns {Promise<CacheEntry<any> | null>}
+     */
+    async touch(key) {
+      const entry = await this.get(key);
+      if (!entry) return null;
+      return this.set(key, entry.value, { etag: entry.etag });
+    },
+
+    /**
+     * Removes an entry from both tiers.
+     *
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+      memory.delete(key);
+      if (!storage) return;
+      try {
+        await storage.removeItem(storageKey(key));
+      } catch {
+        // Ignore: nothing useful to do if storage is unavailable.
+      }
+    },
+
+    /**
+     * True while the entry is within its TTL and can be served without revalidating.
+     *
+     * @param {CacheEntry<any>} entry
+     * @returns {boolean}
+     */
+    isFresh(entry) {
+      return Date.now() - entry.storedAt < ttlMs;
+    },
+
+    /**
+     * True while the entry may still be served immediately (stale-while-revalidate).
+     *
+     * @param {CacheEntry<any>} entry
+     * @returns {boolean}
+     */
+    isUsable(entry) {
+      return Date.now() - entry.storedAt < ttlMs + maxStaleMs;
+    },
+  };
+}
+
+/**
+ * @typedef {ReturnType<typeof createCache>} Cache
+ */
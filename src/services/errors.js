@@ -0,0 +1,122 @@
+/**
+ * Typed errors raised by the service layer.
+ *
+ * Every data-source adapter throws one of these classes so callers
+ * (e.g. `App.init()`) can react to the *kind* of failure instead of
+ * parsing error messages:
+ *
+ * - `NotFoundError` → the resource does not exist (HTTP 404, missing file)
+ * - `NetworkError`  → the source could not be reached (offline, DNS, 5xx)
+ * - `TimeoutError`  → a `NetworkError` caused by the request timing out
+ * - `PayloadError`  → the source answered, but with unusable data
+ * - `ValidationError` → a `PayloadError` listing schema violations
+ *
+ * @example
+ * ```javascript
+ * try {
+ *   await getLocations();
+ * } catch (error) {
+ *   if (error instanceof NetworkError) showOfflineBanner();
+ * }
+ * ```
+ *
+ * @module services/errors
+ */
+
+/**
+ * Base class for all service-layer failures.
+ */
+export class ServiceError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} [details] - Extra context
+   * @param {number} [details.status] - HTTP status code, if any
+   * @param {string} [details.url] - Requested URL, if any
+   * @param {unknown} [details.cause] - Underlying error
+   */
+  constructor(message, { status, url, cause } = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    /** @type {number | undefined} */
+    this.status = status;
+    /** @type {string | undefined} */
+    this.url = url;
+    /** @type {unknown} */
+    this.cause = cause;
+  }
+}
+
+/**
+ * The requested resource does not exist in the data source.
+ */
+export class NotFoundError extends ServiceError {
+  /**
+   * @param {string} message
+   * @param {ConstructorParameters<typeof ServiceError>[1]} [details]
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The data source could not be reached, or failed on its side (5xx).
+ * These failures are usually transient and are retried by the HTTP client.
+ */
+export class NetworkError extends ServiceError {
+  /**
+   * @param {string} message
+   * @param {ConstructorParameters<typeof ServiceError>[1]} [details]
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The request was aborted because it exceeded its timeout.
+ */
+export class TimeoutError extends NetworkError {
+  /**
+   * @param {string} message
+   * @param {ConstructorParameters<typeof ServiceError>[1]} [details]
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The data source responded, but the body was not valid JSON
+ * or did not have the expected shape.
+ */
+export class PayloadError extends ServiceError {
+  /**
+   * @param {string} message
+   * @param {ConstructorParameters<typeof ServiceError>[1]} [details]
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'PayloadError';
+  }
+}
+
+/**
+ * The payload was well-formed JSON, but failed schema validation.
+ * `issues` lists every problem found (see `services/validation.js`).
+ */
+export class ValidationError extends PayloadError {
+  /**
+   * @param {string} message
+   * @param {import('./validation.js').ValidationIssue[]} issues - Problems found
+   * @param {ConstructorParameters<typeof ServiceError>[1]} [details]
+   */
+  constructor(message, issues, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.issues = issues;
+  }
+}
@@ -0,0 +1,216 @@
+import {
+  NetworkError,
+  NotFoundError,
+  PayloadError,
+  ServiceError,
+  TimeoutError,
+} from './errors.js';
+
+/**
+ * Minimal JSON-over-HTTP client shared by the static and REST adapters.
+ *
+ * Adds what bare `fetch()` lacks:
+ * - Per-attempt timeouts (via `AbortController`)
+ * - Retries with exponential backoff for transient failures
+ * - Typed errors (`NotFoundError`, `NetworkError`, `TimeoutError`, `PayloadError`)
+ * - Conditional requests (`If-None-Match` / `304 Not Modified`)
+ *
+ * @module services/http
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeoutMs=8000] - Abort an attempt after this many milliseconds
+ * @property {number} [retries=2] - Extra attempts for retryable failures
+ * @property {number} [backoffMs=300] - Base delay, doubled after every failed attempt
+ * @property {Record<string, string>} [headers] - Additional request headers
+ * @property {AbortSignal} [signal] - Cancels the whole request (no retries)
+ * @property {typeof fetch} [fetchImpl=fetch] - Fetch implementation (handy for tests)
+ */
+
+/**
+ * @typedef {Object} JsonResponse
+ * @property {any} data - Parsed JSON body (`null` when `notModified`)
+ * @property {string | null} etag - `ETag` response header, if present
+ * @property {boolean} notModified - True when the server answered `304`
+ */
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 300;
+
+/**
+ * Status codes worth retrying: rate limiting and server-side failures.
+ *
+ * @param {number} status
+ * @returns {boolean}
+ */
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Fetches a URL and parses its JSON body.
+ *
+ * Retries network failures, timeouts, 429 and 5xx responses. A 404 is
+ * reported immediately as a `NotFoundError`; other 4xx responses as a
+ * plain `ServiceError`.
+ *
+ * @param {string} url - Absolute or root-relative URL
+ * @param {RequestOptions} [options]
+ * @returns {Promise<any>} Parsed JSON body
+ * @throws {NotFoundError | NetworkError | TimeoutError | PayloadError | ServiceError}
+ *
+ * @example
+ * ```javascript
+ * const data = await fetchJson('/api/locations', { timeoutMs: 5000, retries: 3 });
+ * ```
+ */
+export async function fetchJson(url, options) {
+  const { data } = await fetchJsonWithMeta(url, options);
+  return data;
+}
+
+/**
+ * Like `fetchJson()`, but also returns the `ETag` and supports conditional
+ * requests: pass the last known `etag` and a `304` response resolves with
+ * `{ notModified: true, data: null }` instead of a body.
+ *
+ * @param {string} url - Absolute or root-relative URL
+ * @param {RequestOptions & { etag?: string | null }} [options]
+ * @returns {Promise<JsonResponse>}
+ * @throws {NotFoundError | NetworkError | TimeoutError | PayloadError | ServiceError}
+ *
+ * @example
+ * ```javascript
+ * const { data, etag, notModified } = await fetchJsonWithMeta(url, { etag: cached.etag });
+ * if (notModified) return cached.value;
+ * ```
+ */
+export async function fetchJsonWithMeta(
+  url,
+  {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    headers = {},
+    signal,
+    fetchImpl = fetch,
+    etag = null,
+  } = {}
+) {
+  const requestHeaders = etag ? { ...headers, 'If-None-Match': etag } : headers;
+  let lastError = new NetworkError(`Request to ${url} failed`, { url });
+
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    if (attempt > 0) {
+      await wait(backoffMs * 2 ** (attempt - 1));
+    }
+
+    if (signal?.aborted) {
+      throw new ServiceError(`Request to ${url} was cancelled`, { url });
+    }
+
+    try {
+      return await attemptFetch(url, {
+        timeoutMs,
+        headers: requestHeaders,
+        signal,
+        fetchImpl,
+      });
+    } catch (error) {
+      lastError = /** @type {ServiceError} */ (error);
+      if (!(error instanceof NetworkError)) throw error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Performs a single request attempt and maps every failure to a typed error.
+ *
+ * @param {string} url
+ * @param {Required<Pick<RequestOptions, 'timeoutMs' | 'headers' | 'fetchImpl'>> & { signal?: AbortSignal }} options
+ * @returns {Promise<JsonResponse>}
+ * @private
+ */
+async function attemptFetch(url, { timeoutMs, headers, signal, fetchImpl }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  /**
+   * Maps a failure caused by the caller's signal or the timer to a typed error.
+   *
+   * @param {unknown} error
+   * @returns {ServiceError | null} Null if nothing was aborted
+   */
+  const abortError = (error) => {
+    if (signal?.aborted) {
+      return new ServiceError(`Request to ${url} was cancelled`, { url, cause: error });
+    }
+    if (controller.signal.aborted) {
+      return new TimeoutError(`Request to ${url} timed out after ${timeoutMs}ms`, {
+        url,
+        cause: error,
+      });
+    }
+    return null;
+  };
+
+  // The timer stays armed until the body is parsed, so a server that sends
+  // headers and then stalls still times out (and is retried).
+  try {
+    /** @type {Response} */
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method: 'GET',
+        headers: { Accept: 'application/json', ...headers },
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw abortError(error) ?? new NetworkError(`Could not reach ${url}`, { url, cause: error });
+    }
+
+    const etag = response.headers?.get('ETag') ?? null;
+
+    if (response.status === 304) {
+      return { data: null, etag, notModified: true };
+    }
+
+    if (response.status === 404) {
+      throw new NotFoundError(`Resource not found: ${url}`, { url, status: 404 });
+    }
+
+    if (!response.ok) {
+      const message = `Request to ${url} failed: ${response.status} ${response.statusText}`;
+      const details = { url, status: response.status };
+      throw isRetryableStatus(response.status)
+        ? new NetworkError(message, details)
+        : new ServiceError(message, details);
+    }
+
+    try {
+      return { data: await response.json(), etag, notModified: false };
+    } catch (error) {
+      throw (
+        abortError(error) ??
+        new PayloadError(`Response from ${url} is not valid JSON`, {
+          url,
+          status: response.status,
+          cause: error,
+        })
+      );
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
@@ -2,7 +2,7 @@
  * Service layer for data fetching and business logic.
  *
  * This module provides a clean abstraction between UI components
- * and data sources (currently mock data, future: real APIs).
+ * and data sources (mock data, a static JSON file, or a REST API).
  *
  * ## Benefits
  * - Single point of change when adding backend
@@ -13,4 +13,34 @@
  * @module services
  */
 
-export { getLocations, getLocationById, validateLocation } from './locationService.js';
+export {
+  getLocations,
+  getLocationById,
+  validateLocation,
+  validateLocations,
+  setDataSource,
+  getDataSource,
+  configureCache,
+  clearLocationCache,
+  onLocationsUpdated,
+  refreshLocations,
+} from './locationService.js';
+export { getAvatarConfig, validateAvatarConfig } from './avatarService.js';
+export { getTourScript, validateTourScript } from './tourService.js';
+export { createCache } from './cache.js';
+export {
+  createAdapter,
+  createAdapterFromEnv,
+  createHttpAdapter,
+  createMockAdapter,
+  createStaticAdapter,
+} from './adapters/index.js';
+export {
+  ServiceError,
+  NotFoundError,
+  NetworkError,
+  TimeoutError,
+  PayloadError,
+  ValidationError,
+} from './errors.js';
+export { formatIssue } from './validation.js';
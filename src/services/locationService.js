@@ -1,41 +1,211 @@
 /**
  * @typedef {import('../types').Location} Location
+ * @typedef {import('./adapters/index.js').LocationAdapter} LocationAdapter
+ * @typedef {import('./adapters/index.js').AdapterCallOptions} AdapterCallOptions
  */
 
-import locations from './__mocks__/index.js';
+import { createAdapterFromEnv } from './adapters/index.js';
+import { createCache } from './cache.js';
+import { NetworkError, NotFoundError, ServiceError } from './errors.js';
+import { readEnvNumber } from '../utils/env.js';
 
 /**
  * Location data service providing async access to portfolio zones.
  *
- * ## Current Implementation
- * Returns static mock data from the `__mocks__` directory.
+ * ## Data Sources
+ * Requests are delegated to a pluggable adapter (see `services/adapters`):
+ * - `mock`   → bundled `__mocks__` data (default)
+ * - `static` → a single `locations.json` file
+ * - `http`   → the REST API (timeouts, retries, typed errors)
  *
- * ## Future Backend Integration
- * When ready to connect to a real API:
- * 1. Replace `getLocations()` body with `fetch('/api/locations')`
- * 2. Replace `getLocationById()` with `fetch('/api/locations/:id')`
- * 3. Keep mock data in `__mocks__` for testing/development
+ * The adapter is chosen from `VITE_DATA_SOURCE` on first use (so a bad
+ * setting surfaces as a rejected request, not an import failure) and can
+ * be swapped at runtime with `setDataSource()`.
+ *
+ * ## Caching
+ * Responses from network adapters are cached in memory and `localStorage`:
+ * - **Fresh** (within TTL): served without a request
+ * - **Stale**: served instantly, then revalidated in the background
+ *   (`If-None-Match`); listeners registered with `onLocationsUpdated()`
+ *   receive the new data if it changed
+ * - **Offline**: the last good copy is served when the network is down
+ *
+ * ## Errors
+ * Failures are reported with the typed errors from `services/errors.js`,
+ * so callers can tell "not found" from "network down" and "bad payload".
  *
  * @example
  * ```javascript
- * // Current usage (mock data)
- * const locations = await getLocations();
+ * const locations = await getLocations(); // Uses the configured source
  *
- * // Future usage (same API, real backend)
- * const locations = await getLocations(); // Fetches from API
+ * setDataSource('static');                // Switch to locations.json
+ * const fromFile = await getLocations();
  * ```
  *
  * @module services/locationService
  */
 
+/**
+ * @typedef {AdapterCallOptions & { refresh?: boolean }} GetLocationsOptions
+ */
+
+const LOCATIONS_KEY = 'locations';
+
+/** @type {LocationAdapter | null} */
+let adapter = null;
+
+const envTtlMs = readEnvNumber(import.meta.env, 'VITE_CACHE_TTL_MS');
+
+let cache = createCache(envTtlMs !== undefined ? { ttlMs: envTtlMs } : {});
+
+/** @type {Set<(locations: Location[]) => void>} */
+const listeners = new Set();
+
+/** @type {Promise<Location[]> | null} */
+let inflight = null;
+
+/**
+ * Cache key per data source and origin, so switching sources or backends
+ * never serves foreign data.
+ *
+ * @returns {string}
+ */
+const cacheKey = () => {
+  const { name, origin } = getDataSource();
+  return origin ? `${LOCATIONS_KEY}:${name}:${origin}` : `${LOCATIONS_KEY}:${name}`;
+};
+
+/**
+ * @param {Location[]} a
+ * @param {Location[]} b
+ * @returns {boolean}
+ */
+const isSameData = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Lets one caller stop waiting for a shared request without cancelling it
+ * for the others.
+ *
+ * @template T
+ * @param {Promise<T>} promise - Shared request
+ * @param {AbortSignal} [signal] - This caller's signal
+ * @returns {Promise<T>} Rejects with a `ServiceError` once `signal` aborts
+ */
+const untilAborted = (promise, signal) => {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const cancel = () =>
+      reject(new ServiceError('Location request was cancelled', { cause: signal.reason }));
+    if (signal.aborted) {
+      cancel();
+      return;
+    }
+
+    signal.addEventListener('abort', cancel, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', cancel));
+  });
+};
+
+/**
+ * @param {Location[]} locations
+ */
+const notify = (locations) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(locations);
+    } catch (error) {
+      console.error('Location update listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Replaces the active data-source adapter.
+ *
+ * @param {LocationAdapter | import('./adapters/index.js').DataSourceName} source -
+ *   An adapter instance, or a source name resolved with the current env settings
+ * @returns {LocationAdapter} The adapter now in use
+ *
+ * @example
+ * ```javascript
+ * setDataSource(createHttpAdapter({ baseUrl: 'http://localhost:3000/api' }));
+ * setDataSource('mock');
+ * ```
+ */
+export function setDataSource(source) {
+  adapter =
+    typeof source === 'string'
+      ? createAdapterFromEnv({ ...import.meta.env, VITE_DATA_SOURCE: source })
+      : source;
+  inflight = null;
+  return adapter;
+}
+
+/**
+ * Replaces the location cache, e.g. to change TTLs or disable persistence.
+ *
+ * @param {import('./cache.js').CacheOptions} options - Cache settings
+ *
+ * @example
+ * ```javascript
+ * configureCache({ ttlMs: 30_000, storage: null }); // 30s TTL, memory only
+ * ```
+ */
+export function configureCache(options) {
+  cache = createCache(options);
+}
+
+/**
+ * Drops cached location data for the current data source.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearLocationCache() {
+  await cache.delete(cacheKey());
+}
+
+/**
+ * Registers a listener for location data that changed after it was served,
+ * i.e. when a background revalidation or `refreshLocations()` finds new data.
+ *
+ * @param {(locations: Location[]) => void} listener - Receives the new list
+ * @returns {() => void} Unsubscribe function
+ *
+ * @example
+ * ```javascript
+ * const unsubscribe = onLocationsUpdated((locations) => app.setLocations(locations));
+ * ```
+ */
+export function onLocationsUpdated(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Returns the adapter currently serving location data, creating it from
+ * the env settings on first use.
+ *
+ * @returns {LocationAdapter}
+ * @throws {Error} If `VITE_DATA_SOURCE` names an unknown source
+ */
+export function getDataSource() {
+  adapter ??= createAdapterFromEnv();
+  return adapter;
+}
+
 /**
  * Fetches all location/zone data for the interactive globe.
  *
- * **Current:** Returns static mock data wrapped in a resolved Promise.
- * **Future:** Will fetch from `GET /api/locations` endpoint.
+ * Cached data is returned immediately when available; stale data is
+ * revalidated in the background (see "Caching" above).
  *
+ * @param {GetLocationsOptions} [options] - Abort signal; `refresh: true` bypasses the cache
  * @returns {Promise<Location[]>} Array of location objects with zone data
- * @throws {Error} If data fetching fails (future: network/API errors)
+ * @throws {import('./errors.js').ServiceError} `NotFoundError`, `NetworkError`,
+ *   `TimeoutError` or `PayloadError` depending on the failure
  *
  * @example
  * ```javascript
@@ -43,110 +213,135 @@ import locations from './__mocks__/index.js';
  *   const locations = await getLocations();
  *   console.log(`Loaded ${locations.length} zones`);
  * } catch (error) {
- *   console.error('Failed to load locations:', error);
+ *   if (error instanceof NetworkError) console.warn('Offline?');
  * }
  * ```
  */
-export async function getLocations() {
-  // CURRENT IMPLEMENTATION: Mock data (instant)
-  // Simulate async behavior for consistent API
-  return Promise.resolve(locations);
-
-  // FUTURE IMPLEMENTATION: Real API
-  // Uncomment when backend is ready:
-  /*
-  const API_BASE = import.meta.env.VITE_API_URL || 'https://api.zayd.world';
-  const response = await fetch(`${API_BASE}/locations`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-  });
+export async function getLocations({ refresh = false, signal } = {}) {
+  const source = getDataSource();
+  if (!source.cacheable) return source.getLocations({ signal });
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch locations: ${response.statusText}`);
+  const entry = await cache.get(cacheKey());
+
+  if (entry && !refresh && cache.isUsable(entry)) {
+    if (!cache.isFresh(entry)) {
+      revalidate(entry)
+        .then((fresh) => {
+          if (!isSameData(entry.value, fresh)) notify(fresh);
+        })
+        .catch((error) => {
+          console.warn('Background revalidation of locations failed:', error);
+        });
+    }
+    return entry.value;
   }
 
-  const data = await response.json();
-  return data.locations || data; // Handle different response shapes
-  */
+  try {
+    return await revalidate(entry, signal);
+  } catch (error) {
+    // Offline: fall back to the last good copy, however old.
+    if (entry && error instanceof NetworkError) return entry.value;
+    throw error;
+  }
 }
 
 /**
- * Fetches a single location by its unique ID.
+ * Forces a round trip to the data source and notifies `onLocationsUpdated()`
+ * listeners if the data changed. Use after content edits or push messages.
  *
- * **Current:** Filters mock data array.
- * **Future:** Will fetch from `GET /api/locations/:id` endpoint.
- *
- * @param {string} id - Location identifier (e.g., "projects", "about")
- * @returns {Promise<Location | null>} Location object or null if not found
- * @throws {Error} If data fetching fails (future: network/API errors)
+ * @returns {Promise<Location[]>} The latest location list
+ */
+export async function refreshLocations() {
+  const source = getDataSource();
+  if (!source.cacheable) {
+    const locations = await source.getLocations();
+    notify(locations);
+    return locations;
+  }
+
+  const entry = await cache.get(cacheKey());
+  const fresh = await revalidate(entry);
+  if (!entry || !isSameData(entry.value, fresh)) notify(fresh);
+  return fresh;
+}
+
+/**
+ * Fetches locations from the adapter (conditionally when an ETag is known)
+ * and stores the result. Concurrent calls share one request, which no
+ * single caller's signal can cancel: aborting only stops that caller
+ * waiting.
  *
- * @example
- * ```javascript
- * const projectsZone = await getLocationById('projects');
- * if (projectsZone) {
- *   console.log(projectsZone.label); // "Launch Deck"
- * }
- * ```
+ * @param {import('./cache.js').CacheEntry<Location[]> | null} entry - Current cache entry
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Location[]>}
+ * @private
  */
-export async function getLocationById(id) {
-  // CURRENT IMPLEMENTATION: Mock data lookup
-  const allLocations = await getLocations();
-  return allLocations.find((loc) => loc.id === id) || null;
-
-  // FUTURE IMPLEMENTATION: Real API
-  /*
-  const API_BASE = import.meta.env.VITE_API_URL || 'https://api.zayd.world';
-  const response = await fetch(`${API_BASE}/locations/${id}`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-  });
+function revalidate(entry, signal) {
+  if (!inflight) {
+    const key = cacheKey();
+    const source = getDataSource();
 
-  if (response.status === 404) {
-    return null; // Not found
-  }
+    const request = (async () => {
+      if (source.getLocationsIfChanged) {
+        const result = await source.getLocationsIfChanged({ etag: entry?.etag });
+
+        if (result.notModified && entry) {
+          await cache.touch(key);
+          return entry.value;
+        }
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch location: ${response.statusText}`);
+        if (result.locations) {
+          await cache.set(key, result.locations, { etag: result.etag });
+          return result.locations;
+        }
+      }
+
+      const locations = await source.getLocations();
+      await cache.set(key, locations);
+      return locations;
+    })().finally(() => {
+      // `setDataSource()` may have started a newer request meanwhile
+      if (inflight === request) inflight = null;
+    });
+    inflight = request;
   }
 
-  return response.json();
-  */
+  return untilAborted(inflight, signal);
 }
 
 /**
- * Validates a location object against the expected schema.
- *
- * Useful for ensuring API responses match the frontend's expectations.
+ * Fetches a single location by its unique ID.
  *
- * @param {any} location - Object to validate
- * @returns {boolean} True if location has all required fields
+ * @param {string} id - Location identifier (e.g., "projects", "about")
+ * @param {AdapterCallOptions} [options] - Optional abort signal
+ * @returns {Promise<Location | null>} Location object or null if not found
+ * @throws {import('./errors.js').ServiceError} `NetworkError`, `TimeoutError`
+ *   or `PayloadError` (a missing location resolves to `null` instead)
  *
  * @example
  * ```javascript
- * const apiResponse = await fetch('/api/locations/1').then(r => r.json());
- * if (!validateLocation(apiResponse)) {
- *   console.error('Invalid location data from API');
+ * const projectsZone = await getLocationById('projects');
+ * if (projectsZone) {
+ *   console.log(projectsZone.label); // "Launch Deck"
  * }
  * ```
  */
-export function validateLocation(location) {
-  if (!location || typeof location !== 'object') return false;
-
-  const requiredFields = [
-    'id',
-    'label',
-    'tagline',
-    'description',
-    'startAngleDeg',
-    'endAngleDeg',
-    'themeColor',
-    'accentColor',
-    'actions',
-  ];
-
-  return requiredFields.every((field) => field in location);
+export async function getLocationById(id, options) {
+  const source = getDataSource();
+  if (source.cacheable) {
+    /** @type {import('./cache.js').CacheEntry<Location[]> | null} */
+    const entry = await cache.get(cacheKey());
+    const cached =
+      entry && cache.isUsable(entry) && entry.value.find((loc) => loc.id === id);
+    if (cached) return cached;
+  }
+
+  try {
+    return await source.getLocationById(id, options);
+  } catch (error) {
+    if (error instanceof NotFoundError) return null;
+    throw error;
+  }
 }
+
+export { validateLocation, validateLocations } from './validation.js';
@@ -0,0 +1,59 @@
+/**
+ * @typedef {import('../types').TourScript} TourScript
+ * @typedef {import('./adapters/index.js').AdapterCallOptions} AdapterCallOptions
+ */
+
+import { NotFoundError, ValidationError } from './errors.js';
+import { getDataSource } from './locationService.js';
+import { validateTourScript } from './validation.js';
+
+/**
+ * Guided tour script service.
+ *
+ * The script (stop order, dwell times, captions, idle delay) comes from
+ * the same data source as the locations (see `setDataSource()`):
+ * - `mock`   → `__mocks__/tour.js`
+ * - `static` → `tour.json`
+ * - `http`   → `GET /tour`
+ *
+ * Every field is optional; without a script the tour visits every
+ * top-level zone with the default timings.
+ *
+ * @example
+ * ```javascript
+ * try {
+ *   tour.setScript(await getTourScript());
+ * } catch (error) {
+ *   console.warn('Touring every zone in order', error);
+ * }
+ * ```
+ *
+ * @module services/tourService
+ */
+
+/**
+ * Fetches and validates the tour script.
+ *
+ * @param {AdapterCallOptions} [options] - Optional abort signal
+ * @returns {Promise<TourScript>}
+ * @throws {import('./errors.js').ServiceError} `NotFoundError` if the source
+ *   has no tour script, `ValidationError` if it is malformed, or the
+ *   adapter's `NetworkError`/`TimeoutError`/`PayloadError`
+ */
+export async function getTourScript({ signal } = {}) {
+  const adapter = getDataSource();
+
+  if (!adapter.getTourScript) {
+    throw new NotFoundError(`Data source "${adapter.name}" has no tour script`);
+  }
+
+  const script = await adapter.getTourScript({ signal });
+  const { valid, issues } = validateTourScript(script);
+  if (!valid) {
+    throw new ValidationError('Invalid tour script', issues);
+  }
+
+  return script;
+}
+
+export { validateTourScript } from './validation.js';
@@ -0,0 +1,1213 @@
+import { isSafeUrl } from '../utils/url.js';
+
+/**
+ * @typedef {import('../types').Location} Location
+ */
+
+/**
+ * Schema validation for location, avatar and tour data.
+ *
+ * Unlike a simple "are the keys present" check, the validators here inspect
+ * types, value ranges and formats, and report *every* problem with a path
+ * pointing at the offending field, e.g. `[2].actions[0].href`.
+ *
+ * Two severities are used:
+ * - `error`   → the location cannot be rendered safely and should be dropped
+ * - `warning` → the set still works, but something looks unintended
+ *               (overlapping zone arcs, uncovered gaps on the globe)
+ *
+ * @example
+ * ```javascript
+ * const report = validateLocations(await getLocations());
+ * report.issues.forEach((issue) => console.warn(formatIssue(issue)));
+ * renderGlobe(report.locations); // Only the locations that passed
+ * ```
+ *
+ * @module services/validation
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - Location of the problem, e.g. `[1].themeColor`
+ * @property {string} code - Machine-readable issue code, e.g. `invalid_color`
+ * @property {string} message - Human-readable description
+ * @property {'error' | 'warning'} severity - Whether the entry must be dropped
+ */
+
+/**
+ * @typedef {Object} LocationValidation
+ * @property {boolean} valid - True when no error-severity issues were found
+ * @property {ValidationIssue[]} issues - Every problem found
+ */
+
+/**
+ * @typedef {Object} LocationSetValidation
+ * @property {boolean} valid - True when the whole set passed without errors
+ * @property {Location[]} locations - Entries that passed validation (original order)
+ * @property {Array<{ index: number, location: unknown, issues: ValidationIssue[] }>} rejected -
+ *   Entries dropped because of error-severity issues
+ * @property {ValidationIssue[]} issues - Per-location and set-level problems
+ */
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const ACTION_TARGETS = ['_self', '_blank'];
+const LANDMARK_TYPES = ['pin', 'beacon', 'label', 'model'];
+const HAIR_STYLES = ['cap', 'spiky', 'bun', 'none'];
+const ACCESSORY_TYPES = ['goggles', 'headset', 'antenna', 'backpack'];
+const EYE_SHAPES = ['round', 'wide', 'happy', 'closed', 'wink'];
+const MOUTH_SHAPES = ['smile', 'grin', 'flat', 'o'];
+const OUTFIT_PARTS = ['suit', 'trim', 'skin', 'hair', 'boots', 'gear'];
+const PROPORTIONS = ['height', 'headSize', 'build'];
+const PROPORTION_MIN = 0.5;
+const PROPORTION_MAX = 1.5;
+const PARTICLE_TYPES = ['stars', 'snow', 'rain', 'embers'];
+const LIGHT_NAMES = ['hemisphere', 'key', 'rim'];
+const FOG_DENSITY_MAX = 0.2;
+const LIGHT_INTENSITY_MAX = 5;
+const PARTICLE_COUNT_MAX = 5000;
+const CONTENT_TYPES = ['projects', 'gallery', 'markdown', 'timeline', 'video'];
+const ANGLE_EPSILON = 1e-6;
+const DEFAULT_LATITUDE = { min: -36, max: 36 }; // matches Zones
+const MAX_ZONE_DEPTH = 3; // top-level zones, children, grandchildren
+const DWELL_MS_MIN = 1000;
+const DWELL_MS_MAX = 120000;
+const IDLE_MS_MAX = 600000;
+
+/**
+ * @param {string} path
+ * @param {string} code
+ * @param {string} message
+ * @param {'error' | 'warning'} [severity='error']
+ * @returns {ValidationIssue}
+ */
+const issue = (path, code, message, severity = 'error') => ({
+  path,
+  code,
+  message,
+  severity,
+});
+
+/**
+ * @param {string[]} values
+ * @returns {string} e.g. `"cap", "bun"`
+ */
+const listOf = (values) => values.map((value) => `"${value}"`).join(', ');
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {string} base
+ * @param {string} key
+ * @returns {string}
+ */
+const joinPath = (base, key) => (base ? `${base}.${key}` : key);
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+const isNonEmptyString = (value) =>
+  typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validates a single location object.
+ *
+ * Checks:
+ * - `id`, `label` are non-empty strings; `tagline`, `description` are strings
+ * - `startAngleDeg`/`endAngleDeg` are finite numbers within 0–360 and differ
+ * - `minLatitudeDeg`/`maxLatitudeDeg`, when present, are within ±90° with
+ *   the minimum below the maximum
+ * - `polygon`, when present, has at least three `[longitude, latitude]`
+ *   corners within 0–360° and ±90°
+ * - `region`, when present, is a non-empty string (matched against the land
+ *   map at runtime, so an unknown name is not an error here)
+ * - `children`, when present, is an array of valid locations, nested at
+ *   most three levels deep; an invalid child rejects the whole tree
+ * - `themeColor`/`accentColor` are 6-digit hex colors (`#6ad7ff`)
+ * - `actions` is an array of `{ label, href, target? }` objects
+ * - `landmark`, when present, has a known `type`, a `modelUrl` for models
+ *   and a latitude within ±90°
+ * - `avatar`, when present, names an expression and/or known accessories
+ * - `environment`, when present, has hex colours, fog density, light
+ *   intensities and particle settings within range
+ * - `content`, when present, is an array of known blocks with their
+ *   required fields; links and media URLs must be http(s), mailto,
+ *   relative or `#` URLs
+ *
+ * @param {unknown} location - Object to validate
+ * @param {string} [path=''] - Path prefix used in issue reports
+ * @param {number} [depth=0] - Nesting level of the location (0 = top level)
+ * @returns {LocationValidation} Validation result with detailed issues
+ *
+ * @example
+ * ```javascript
+ * const { valid, issues } = validateLocation(apiResponse);
+ * if (!valid) console.error(issues.map(formatIssue).join('\n'));
+ * ```
+ */
+export function validateLocation(location, path = '', depth = 0) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  if (!location || typeof location !== 'object' || Array.isArray(location)) {
+    issues.push(issue(path || '(root)', 'invalid_type', 'must be an object'));
+    return { valid: false, issues };
+  }
+
+  const loc = /** @type {Record<string, any>} */ (location);
+
+  ['id', 'label'].forEach((field) => {
+    if (!isNonEmptyString(loc[field])) {
+      issues.push(
+        issue(joinPath(path, field), 'invalid_string', 'must be a non-empty string')
+      );
+    }
+  });
+
+  ['tagline', 'description'].forEach((field) => {
+    if (typeof loc[field] !== 'string') {
+      issues.push(issue(joinPath(path, field), 'invalid_string', 'must be a string'));
+    }
+  });
+
+  ['startAngleDeg', 'endAngleDeg'].forEach((field) => {
+    const value = loc[field];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      issues.push(
+        issue(joinPath(path, field), 'invalid_angle', 'must be a finite number')
+      );
+    } else if (value < 0 || value > 360) {
+      issues.push(
+        issue(
+          joinPath(path, field),
+          'angle_out_of_range',
+          `must be between 0 and 360 (got ${value})`
+        )
+      );
+    }
+  });
+
+  if (
+    Number.isFinite(loc.startAngleDeg) &&
+    loc.startAngleDeg === loc.endAngleDeg
+  ) {
+    issues.push(
+      issue(
+        joinPath(path, 'endAngleDeg'),
+        'empty_arc',
+        'must differ from startAngleDeg (zone would have no width)'
+      )
+    );
+  }
+
+  issues.push(...validateRegion(loc, path));
+
+  ['themeColor', 'accentColor'].forEach((field) => {
+    if (typeof loc[field] !== 'string' || !HEX_COLOR.test(loc[field])) {
+      issues.push(
+        issue(
+          joinPath(path, field),
+          'invalid_color',
+          `must be a 6-digit hex color like #6ad7ff (got ${JSON.stringify(loc[field])})`
+        )
+      );
+    }
+  });
+
+  if (!Array.isArray(loc.actions)) {
+    issues.push(issue(joinPath(path, 'actions'), 'invalid_type', 'must be an array'));
+  } else {
+    loc.actions.forEach((action, index) => {
+      issues.push(...validateAction(action, joinPath(path, `actions[${index}]`)));
+    });
+  }
+
+  if (loc.landmark !== undefined) {
+    issues.push(...validateLandmark(loc.landmark, joinPath(path, 'landmark')));
+  }
+
+  if (loc.avatar !== undefined) {
+    issues.push(...validateLocationAvatar(loc.avatar, joinPath(path, 'avatar')));
+  }
+
+  if (loc.environment !== undefined) {
+    issues.push(...validateEnvironment(loc.environment, joinPath(path, 'environment')));
+  }
+
+  if (loc.content !== undefined) {
+    issues.push(...validateContent(loc.content, joinPath(path, 'content')));
+  }
+
+  if (loc.children !== undefined) {
+    const childrenPath = joinPath(path, 'children');
+    if (!Array.isArray(loc.children)) {
+      issues.push(issue(childrenPath, 'invalid_type', 'must be an array of locations'));
+    } else if (loc.children.length && depth + 1 >= MAX_ZONE_DEPTH) {
+      issues.push(
+        issue(
+          childrenPath,
+          'too_deep',
+          `zones may be nested at most ${MAX_ZONE_DEPTH} levels deep`
+        )
+      );
+    } else {
+      loc.children.forEach((child, index) => {
+        const childPath = `${childrenPath}[${index}]`;
+        issues.push(...validateLocation(child, childPath, depth + 1).issues);
+      });
+    }
+  }
+
+  return {
+    valid: !issues.some((entry) => entry.severity === 'error'),
+    issues,
+  };
+}
+
+/**
+ * Validates a location's optional latitude bounds, polygon and land region.
+ *
+ * @param {Record<string, any>} loc - Location object
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function validateRegion(loc, path) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  if (loc.region !== undefined && !isNonEmptyString(loc.region)) {
+    issues.push(
+      issue(joinPath(path, 'region'), 'invalid_string', 'must be a non-empty string when set')
+    );
+  }
+
+  ['minLatitudeDeg', 'maxLatitudeDeg'].forEach((field) => {
+    const value = loc[field];
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > 90) {
+      issues.push(
+        issue(
+          joinPath(path, field),
+          'latitude_out_of_range',
+          `must be a number between -90 and 90 (got ${JSON.stringify(value)})`
+        )
+      );
+    }
+  });
+
+  const min = loc.minLatitudeDeg ?? DEFAULT_LATITUDE.min;
+  const max = loc.maxLatitudeDeg ?? DEFAULT_LATITUDE.max;
+  if (Number.isFinite(min) && Number.isFinite(max) && min >= max) {
+    issues.push(
+      issue(
+        joinPath(path, 'maxLatitudeDeg'),
+        'empty_latitude_range',
+        `must be above minLatitudeDeg (${min}°; zone would have no height)`
+      )
+    );
+  }
+
+  if (loc.polygon === undefined) return issues;
+
+  const polygonPath = joinPath(path, 'polygon');
+  if (!Array.isArray(loc.polygon) || loc.polygon.length < 3) {
+    issues.push(
+      issue(polygonPath, 'invalid_polygon', 'must be an array of at least 3 corners')
+    );
+    return issues;
+  }
+
+  loc.polygon.forEach((corner, index) => {
+    const isCorner =
+      Array.isArray(corner) &&
+      corner.length === 2 &&
+      corner.every((value) => typeof value === 'number' && Number.isFinite(value)) &&
+      corner[0] >= 0 &&
+      corner[0] <= 360 &&
+      Math.abs(corner[1]) <= 90;
+    if (!isCorner) {
+      issues.push(
+        issue(
+          `${polygonPath}[${index}]`,
+          'invalid_polygon',
+          `must be [longitude 0–360, latitude -90–90] (got ${JSON.stringify(corner)})`
+        )
+      );
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validates a single UI action (`{ label, href, target? }`).
+ *
+ * @param {unknown} action - Action object
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function validateAction(action, path) {
+  if (!action || typeof action !== 'object') {
+    return [issue(path, 'invalid_type', 'must be an object')];
+  }
+
+  const act = /** @type {Record<string, any>} */ (action);
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  if (!isNonEmptyString(act.label)) {
+    issues.push(
+      issue(`${path}.label`, 'invalid_string', 'must be a non-empty string')
+    );
+  }
+
+  if (!isNonEmptyString(act.href)) {
+    issues.push(issue(`${path}.href`, 'invalid_string', 'must be a non-empty string'));
+  }
+
+  if (act.target !== undefined && !ACTION_TARGETS.includes(act.target)) {
+    issues.push(
+      issue(`${path}.target`, 'invalid_target', 'must be "_self" or "_blank" when set')
+    );
+  }
+
+  return issues;
+}
+
+/**
+ * Validates an optional landmark (`{ type, label?, icon?, modelUrl?, latitudeDeg?, scale? }`).
+ *
+ * @param {unknown} landmark - Landmark object
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function validateLandmark(landmark, path) {
+  if (!landmark || typeof landmark !== 'object' || Array.isArray(landmark)) {
+    return [issue(path, 'invalid_type', 'must be an object')];
+  }
+
+  const mark = /** @type {Record<string, any>} */ (landmark);
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  if (!LANDMARK_TYPES.includes(mark.type)) {
+    issues.push(
+      issue(
+        `${path}.type`,
+        'invalid_landmark_type',
+        `must be one of ${listOf(LANDMARK_TYPES)}`
+      )
+    );
+  }
+
+  ['label', 'icon'].forEach((field) => {
+    if (mark[field] !== undefined && !isNonEmptyString(mark[field])) {
+      issues.push(
+        issue(`${path}.${field}`, 'invalid_string', 'must be a non-empty string when set')
+      );
+    }
+  });
+
+  if (mark.type === 'model' && !isNonEmptyString(mark.modelUrl)) {
+    issues.push(
+      issue(`${path}.modelUrl`, 'invalid_string', 'is required for "model" landmarks')
+    );
+  }
+
+  const { latitudeDeg, scale } = mark;
+  if (
+    latitudeDeg !== undefined &&
+    (typeof latitudeDeg !== 'number' || !(Math.abs(latitudeDeg) <= 90))
+  ) {
+    issues.push(
+      issue(`${path}.latitudeDeg`, 'invalid_latitude', 'must be a number between -90 and 90')
+    );
+  }
+
+  if (scale !== undefined && (typeof scale !== 'number' || !(scale > 0))) {
+    issues.push(issue(`${path}.scale`, 'invalid_scale', 'must be a positive number'));
+  }
+
+  return issues;
+}
+
+/**
+ * Validates a location's avatar overrides (`{ expression?, accessories? }`).
+ * Expression names are not checked against the avatar config here; unknown
+ * names fall back to the default expression at runtime.
+ *
+ * @param {unknown} avatar - Override object
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function validateLocationAvatar(avatar, path) {
+  if (!isPlainObject(avatar)) {
+    return [issue(path, 'invalid_type', 'must be an object')];
+  }
+
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  if (avatar.expression !== undefined && !isNonEmptyString(avatar.expression)) {
+    issues.push(
+      issue(`${path}.expression`, 'invalid_string', 'must be a non-empty string when set')
+    );
+  }
+
+  if (avatar.accessories !== undefined) {
+    issues.push(...validateAccessories(avatar.accessories, `${path}.accessories`));
+  }
+
+  return issues;
+}
+
+/**
+ * @param {unknown} accessories - Accessory list
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function validateAccessories(accessories, path) {
+  if (!Array.isArray(accessories)) {
+    return [issue(path, 'invalid_type', 'must be an array')];
+  }
+
+  return accessories.flatMap((accessory, index) =>
+    ACCESSORY_TYPES.includes(accessory)
+      ? []
+      : [
+          issue(
+            `${path}[${index}]`,
+            'invalid_accessory',
+            `must be one of ${listOf(ACCESSORY_TYPES)}`
+          ),
+        ]
+  );
+}
+
+/**
+ * Validates a location's environment (`{ sky?, fog?, lights?, particles? }`).
+ *
+ * @param {unknown} environment - Environment object
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function validateEnvironment(environment, path) {
+  if (!isPlainObject(environment)) {
+    return [issue(path, 'invalid_type', 'must be an object')];
+  }
+
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+  const { sky, fog, lights, particles } = environment;
+
+  if (sky !== undefined) {
+    if (!isPlainObject(sky)) {
+      issues.push(issue(`${path}.sky`, 'invalid_type', 'must be an object'));
+    } else {
+      issues.push(...checkColor(sky.top, `${path}.sky.top`));
+      issues.push(...checkColor(sky.bottom, `${path}.sky.bottom`));
+      if (sky.texture !== undefined && !isNonEmptyString(sky.texture)) {
+        issues.push(
+          issue(`${path}.sky.texture`, 'invalid_string', 'must be a non-empty string when set')
+        );
+      }
+    }
+  }
+
+  if (fog !== undefined) {
+    if (!isPlainObject(fog)) {
+      issues.push(issue(`${path}.fog`, 'invalid_type', 'must be an object'));
+    } else {
+      issues.push(...checkColor(fog.color, `${path}.fog.color`));
+      issues.push(
+        ...checkRange(fog.density, `${path}.fog.density`, 0, FOG_DENSITY_MAX, 'invalid_density')
+      );
+    }
+  }
+
+  if (lights !== undefined) {
+    if (!isPlainObject(lights)) {
+      issues.push(issue(`${path}.lights`, 'invalid_type', 'must be an object'));
+    } else {
+      LIGHT_NAMES.forEach((name) => {
+        const light = lights[name];
+        const lightPath = `${path}.lights.${name}`;
+        if (light === undefined) return;
+        if (!isPlainObject(light)) {
+          issues.push(issue(lightPath, 'invalid_type', 'must be an object'));
+          return;
+        }
+        ['color', 'groundColor'].forEach((field) => {
+          if (light[field] !== undefined) {
+            issues.push(...checkColor(light[field], `${lightPath}.${field}`));
+          }
+        });
+        if (light.intensity !== undefined) {
+          issues.push(
+            ...checkRange(
+              light.intensity,
+              `${lightPath}.intensity`,
+              0,
+              LIGHT_INTENSITY_MAX,
+              'invalid_intensity'
+            )
+          );
+        }
+      });
+    }
+  }
+
+  if (particles !== undefined) {
+    const particlesPath = `${path}.particles`;
+    if (!isPlainObject(particles)) {
+      issues.push(issue(particlesPath, 'invalid_type', 'must be an object'));
+    } else {
+      if (!PARTICLE_TYPES.includes(particles.type)) {
+        issues.push(
+          issue(
+            `${particlesPath}.type`,
+            'invalid_particle_type',
+            `must be one of ${listOf(PARTICLE_TYPES)}`
+          )
+        );
+      }
+      const { count } = particles;
+      if (
+        count !== undefined &&
+        !(Number.isInteger(count) && count > 0 && count <= PARTICLE_COUNT_MAX)
+      ) {
+        issues.push(
+          issue(
+            `${particlesPath}.count`,
+            'invalid_count',
+            `must be an integer between 1 and ${PARTICLE_COUNT_MAX}`
+          )
+        );
+      }
+      if (particles.color !== undefined) {
+        issues.push(...checkColor(particles.color, `${particlesPath}.color`));
+      }
+      ['size', 'speed'].forEach((field) => {
+        const value = particles[field];
+        if (value !== undefined && (typeof value !== 'number' || !(value > 0))) {
+          issues.push(
+            issue(`${particlesPath}.${field}`, 'invalid_scale', 'must be a positive number')
+          );
+        }
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validates a location's detail-panel content (an array of typed blocks).
+ *
+ * @param {unknown} content - Block list
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function validateContent(content, path) {
+  if (!Array.isArray(content)) {
+    return [issue(path, 'invalid_type', 'must be an array')];
+  }
+
+  return content.flatMap((block, index) => {
+    const blockPath = `${path}[${index}]`;
+    if (!isPlainObject(block)) {
+      return [issue(blockPath, 'invalid_type', 'must be an object')];
+    }
+    if (!CONTENT_TYPES.includes(block.type)) {
+      return [
+        issue(
+          `${blockPath}.type`,
+          'invalid_content_type',
+          `must be one of ${listOf(CONTENT_TYPES)}`
+        ),
+      ];
+    }
+
+    /** @type {ValidationIssue[]} */
+    const issues = checkStrings(block, blockPath, { optional: ['title'] });
+
+    switch (block.type) {
+      case 'projects':
+        issues.push(
+          ...checkList(block.items, `${blockPath}.items`, (item, itemPath) => [
+            ...checkStrings(item, itemPath, {
+              required: ['title'],
+              optional: ['summary', 'imageAlt'],
+              urls: ['image', 'href'],
+            }),
+            ...(item.tags === undefined
+              ? []
+              : checkList(item.tags, `${itemPath}.tags`, (tag, tagPath) =>
+                  isNonEmptyString(tag)
+                    ? []
+                    : [issue(tagPath, 'invalid_string', 'must be a non-empty string')]
+                )),
+          ])
+        );
+        break;
+      case 'gallery':
+        issues.push(
+          ...checkList(block.images, `${blockPath}.images`, (image, imagePath) => [
+            ...checkStrings(image, imagePath, {
+              required: ['src'],
+              optional: ['caption'],
+              urls: ['src'],
+            }),
+            ...(isPlainObject(image) && typeof image.alt !== 'string'
+              ? [issue(`${imagePath}.alt`, 'invalid_string', 'must be a string')]
+              : []),
+          ])
+        );
+        break;
+      case 'markdown':
+        if (typeof block.markdown !== 'string') {
+          issues.push(issue(`${blockPath}.markdown`, 'invalid_string', 'must be a string'));
+        }
+        break;
+      case 'timeline':
+        issues.push(
+          ...checkList(block.entries, `${blockPath}.entries`, (entry, entryPath) =>
+            checkStrings(entry, entryPath, {
+              required: ['date', 'title'],
+              optional: ['description'],
+            })
+          )
+        );
+        break;
+      case 'video':
+        issues.push(
+          ...checkStrings(block, blockPath, {
+            required: ['src'],
+            optional: ['caption'],
+            urls: ['src', 'poster'],
+          })
+        );
+        break;
+      default:
+        break;
+    }
+
+    return issues;
+  });
+}
+
+/**
+ * Checks an array field, validating each entry with `check`.
+ *
+ * @param {unknown} list - Expected array
+ * @param {string} path - Path used in issue reports
+ * @param {(entry: any, path: string) => ValidationIssue[]} check - Per-entry validator
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function checkList(list, path, check) {
+  if (!Array.isArray(list)) {
+    return [issue(path, 'invalid_type', 'must be an array')];
+  }
+  return list.flatMap((entry, index) => check(entry, `${path}[${index}]`));
+}
+
+/**
+ * Checks string fields of an object: `required` must be non-empty, `optional`
+ * must be strings when set and `urls`, when set, non-empty http(s), mailto,
+ * relative or `#` URLs (see `isSafeUrl`). A field may be both required and a
+ * URL.
+ *
+ * @param {unknown} object - Object holding the fields
+ * @param {string} path - Path used in issue reports
+ * @param {{ required?: string[], optional?: string[], urls?: string[] }} fields
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function checkStrings(object, path, { required = [], optional = [], urls = [] }) {
+  if (!isPlainObject(object)) {
+    return [issue(path, 'invalid_type', 'must be an object')];
+  }
+
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  required.forEach((field) => {
+    if (!isNonEmptyString(object[field])) {
+      issues.push(issue(`${path}.${field}`, 'invalid_string', 'must be a non-empty string'));
+    }
+  });
+
+  optional.forEach((field) => {
+    if (object[field] !== undefined && typeof object[field] !== 'string') {
+      issues.push(issue(`${path}.${field}`, 'invalid_string', 'must be a string when set'));
+    }
+  });
+
+  urls.forEach((field) => {
+    const value = object[field];
+    if (value === undefined || (required.includes(field) && !isNonEmptyString(value))) return;
+    if (!isNonEmptyString(value)) {
+      issues.push(
+        issue(`${path}.${field}`, 'invalid_string', 'must be a non-empty string when set')
+      );
+    } else if (!isSafeUrl(value)) {
+      issues.push(
+        issue(`${path}.${field}`, 'unsafe_url', 'must be an http(s), mailto, relative or # URL')
+      );
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * @param {unknown} value - Expected 6-digit hex colour
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function checkColor(value, path) {
+  return typeof value === 'string' && HEX_COLOR.test(value)
+    ? []
+    : [
+        issue(
+          path,
+          'invalid_color',
+          `must be a 6-digit hex color like #6ad7ff (got ${JSON.stringify(value)})`
+        ),
+      ];
+}
+
+/**
+ * @param {unknown} value - Expected number
+ * @param {string} path - Path used in issue reports
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {string} code - Issue code when out of range
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function checkRange(value, path, min, max, code) {
+  return typeof value === 'number' && value >= min && value <= max
+    ? []
+    : [issue(path, code, `must be a number between ${min} and ${max}`)];
+}
+
+/**
+ * Validates an avatar configuration. Every field is optional (missing ones
+ * use the default avatar), but present fields must be well-formed:
+ * - `proportions.height|headSize|build` are numbers within 0.5–1.5
+ * - `hairStyle` is a known style
+ * - `outfit.*` colours are 6-digit hex colors
+ * - `accessories` lists known accessories
+ * - `expressions` maps names to `{ eyes, mouth, blush? }` with known shapes
+ * - `defaultExpression` is a string
+ *
+ * @param {unknown} config - Object to validate
+ * @param {string} [path=''] - Path prefix used in issue reports
+ * @returns {LocationValidation} Validation result with detailed issues
+ *
+ * @example
+ * ```javascript
+ * const { valid, issues } = validateAvatarConfig(await adapter.getAvatarConfig());
+ * ```
+ */
+export function validateAvatarConfig(config, path = '') {
+  if (!isPlainObject(config)) {
+    return {
+      valid: false,
+      issues: [issue(path || '(root)', 'invalid_type', 'must be an object')],
+    };
+  }
+
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  if (config.proportions !== undefined) {
+    const proportionsPath = joinPath(path, 'proportions');
+    if (!isPlainObject(config.proportions)) {
+      issues.push(issue(proportionsPath, 'invalid_type', 'must be an object'));
+    } else {
+      PROPORTIONS.forEach((field) => {
+        const value = config.proportions[field];
+        if (
+          value !== undefined &&
+          (typeof value !== 'number' || !(value >= PROPORTION_MIN && value <= PROPORTION_MAX))
+        ) {
+          issues.push(
+            issue(
+              `${proportionsPath}.${field}`,
+              'invalid_proportion',
+              `must be a number between ${PROPORTION_MIN} and ${PROPORTION_MAX}`
+            )
+          );
+        }
+      });
+    }
+  }
+
+  if (config.hairStyle !== undefined && !HAIR_STYLES.includes(config.hairStyle)) {
+    issues.push(
+      issue(
+        joinPath(path, 'hairStyle'),
+        'invalid_hair_style',
+        `must be one of ${listOf(HAIR_STYLES)}`
+      )
+    );
+  }
+
+  if (config.outfit !== undefined) {
+    const outfitPath = joinPath(path, 'outfit');
+    if (!isPlainObject(config.outfit)) {
+      issues.push(issue(outfitPath, 'invalid_type', 'must be an object'));
+    } else {
+      OUTFIT_PARTS.forEach((part) => {
+        const value = config.outfit[part];
+        if (value !== undefined && (typeof value !== 'string' || !HEX_COLOR.test(value))) {
+          issues.push(
+            issue(
+              `${outfitPath}.${part}`,
+              'invalid_color',
+              `must be a 6-digit hex color like #6ad7ff (got ${JSON.stringify(value)})`
+            )
+          );
+        }
+      });
+    }
+  }
+
+  if (config.accessories !== undefined) {
+    issues.push(...validateAccessories(config.accessories, joinPath(path, 'accessories')));
+  }
+
+  if (config.expressions !== undefined) {
+    const expressionsPath = joinPath(path, 'expressions');
+    if (!isPlainObject(config.expressions)) {
+      issues.push(issue(expressionsPath, 'invalid_type', 'must be an object'));
+    } else {
+      Object.entries(config.expressions).forEach(([name, expression]) => {
+        issues.push(...validateExpression(expression, `${expressionsPath}.${name}`));
+      });
+    }
+  }
+
+  if (config.defaultExpression !== undefined && !isNonEmptyString(config.defaultExpression)) {
+    issues.push(
+      issue(
+        joinPath(path, 'defaultExpression'),
+        'invalid_string',
+        'must be a non-empty string when set'
+      )
+    );
+  }
+
+  return {
+    valid: !issues.some((entry) => entry.severity === 'error'),
+    issues,
+  };
+}
+
+/**
+ * Validates one expression (`{ eyes, mouth, blush? }`).
+ *
+ * @param {unknown} expression - Expression object
+ * @param {string} path - Path used in issue reports
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function validateExpression(expression, path) {
+  if (!isPlainObject(expression)) {
+    return [issue(path, 'invalid_type', 'must be an object')];
+  }
+
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  if (!EYE_SHAPES.includes(expression.eyes)) {
+    issues.push(
+      issue(`${path}.eyes`, 'invalid_expression', `must be one of ${listOf(EYE_SHAPES)}`)
+    );
+  }
+
+  if (!MOUTH_SHAPES.includes(expression.mouth)) {
+    issues.push(
+      issue(`${path}.mouth`, 'invalid_expression', `must be one of ${listOf(MOUTH_SHAPES)}`)
+    );
+  }
+
+  if (expression.blush !== undefined && typeof expression.blush !== 'boolean') {
+    issues.push(issue(`${path}.blush`, 'invalid_type', 'must be a boolean when set'));
+  }
+
+  return issues;
+}
+
+/**
+ * Validates a guided tour script. Every field is optional, but present
+ * fields must be well-formed:
+ * - `stops` is an array of `{ zoneId, caption?, dwellMs? }` with a
+ *   non-empty `zoneId` (zone ids are matched against the locations at
+ *   runtime, so an unknown id is not an error here)
+ * - `dwellMs` (script and stops) is within 1000–120000
+ * - `idleMs` is within 0–600000 (0 disables the idle start)
+ * - `loop` is a boolean
+ *
+ * @param {unknown} script - Object to validate
+ * @param {string} [path=''] - Path prefix used in issue reports
+ * @returns {LocationValidation} Validation result with detailed issues
+ *
+ * @example
+ * ```javascript
+ * const { valid, issues } = validateTourScript(await adapter.getTourScript());
+ * ```
+ */
+export function validateTourScript(script, path = '') {
+  if (!isPlainObject(script)) {
+    return {
+      valid: false,
+      issues: [issue(path || '(root)', 'invalid_type', 'must be an object')],
+    };
+  }
+
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  if (script.stops !== undefined) {
+    issues.push(
+      ...checkList(script.stops, joinPath(path, 'stops'), (stop, stopPath) => {
+        const stopIssues = checkStrings(stop, stopPath, {
+          required: ['zoneId'],
+          optional: ['caption'],
+        });
+        if (isPlainObject(stop) && stop.dwellMs !== undefined) {
+          stopIssues.push(
+            ...checkRange(
+              stop.dwellMs,
+              `${stopPath}.dwellMs`,
+              DWELL_MS_MIN,
+              DWELL_MS_MAX,
+              'invalid_duration'
+            )
+          );
+        }
+        return stopIssues;
+      })
+    );
+  }
+
+  if (script.dwellMs !== undefined) {
+    issues.push(
+      ...checkRange(
+        script.dwellMs,
+        joinPath(path, 'dwellMs'),
+        DWELL_MS_MIN,
+        DWELL_MS_MAX,
+        'invalid_duration'
+      )
+    );
+  }
+
+  if (script.idleMs !== undefined) {
+    issues.push(
+      ...checkRange(script.idleMs, joinPath(path, 'idleMs'), 0, IDLE_MS_MAX, 'invalid_duration')
+    );
+  }
+
+  if (script.loop !== undefined && typeof script.loop !== 'boolean') {
+    issues.push(issue(joinPath(path, 'loop'), 'invalid_type', 'must be a boolean when set'));
+  }
+
+  return {
+    valid: !issues.some((entry) => entry.severity === 'error'),
+    issues,
+  };
+}
+
+/**
+ * Validates a whole location set.
+ *
+ * Runs `validateLocation()` on every entry, then checks set-wide rules:
+ * - Duplicate ids anywhere in the tree, children included (the later
+ *   top-level entry is rejected)
+ * - Overlapping top-level zones: arcs that overlap within shared latitudes
+ *   (warning: only the first match is ever active)
+ * - Gaps between top-level arcs (warning: uncovered angles fall back to
+ *   the first zone)
+ *
+ * @param {unknown} locations - Array returned by the data source
+ * @returns {LocationSetValidation} Report with the usable locations and all issues
+ *
+ * @example
+ * ```javascript
+ * const report = validateLocations(locations);
+ * if (!report.valid) {
+ *   console.warn(`Dropped ${report.rejected.length} invalid locations`);
+ * }
+ * ```
+ */
+export function validateLocations(locations) {
+  if (!Array.isArray(locations)) {
+    return {
+      valid: false,
+      locations: [],
+      rejected: [],
+      issues: [issue('(root)', 'invalid_type', 'must be an array of locations')],
+    };
+  }
+
+  /** @type {LocationSetValidation} */
+  const report = { valid: true, locations: [], rejected: [], issues: [] };
+  /** @type {Set<string>} */
+  const seenIds = new Set();
+
+  locations.forEach((location, index) => {
+    const path = `[${index}]`;
+    const { issues } = validateLocation(location, path);
+
+    /**
+     * @param {unknown} node
+     * @param {string} nodePath
+     */
+    const checkIds = (node, nodePath) => {
+      if (!isPlainObject(node)) return;
+      const id = node.id;
+      if (isNonEmptyString(id)) {
+        if (seenIds.has(id)) {
+          issues.push(
+            issue(
+              `${nodePath}.id`,
+              'duplicate_id',
+              `duplicates an earlier location id "${id}"`
+            )
+          );
+        }
+        seenIds.add(id);
+      }
+      if (Array.isArray(node.children)) {
+        node.children.forEach((child, childIndex) =>
+          checkIds(child, `${nodePath}.children[${childIndex}]`)
+        );
+      }
+    };
+    checkIds(location, path);
+
+    report.issues.push(...issues);
+
+    if (issues.some((entry) => entry.severity === 'error')) {
+      report.rejected.push({ index, location, issues });
+    } else {
+      report.locations.push(location);
+    }
+  });
+
+  report.issues.push(...checkArcCoverage(report.locations));
+  report.valid = report.rejected.length === 0;
+
+  return report;
+}
+
+/**
+ * Detects overlapping and uncovered regions between top-level zone arcs.
+ * Arcs may wrap across 0°/360° (e.g. 315° → 45°). Arcs only overlap when
+ * their latitude ranges do too, so zones stacked north to south are fine;
+ * children are meant to overlap their parent and are not compared.
+ *
+ * @param {Location[]} locations - Locations that passed field validation
+ * @returns {ValidationIssue[]} Warning-severity issues
+ * @private
+ */
+function checkArcCoverage(locations) {
+  if (!locations.length) return [];
+
+  const arcs = locations
+    .map((location) => {
+      const start = location.startAngleDeg % 360;
+      const length = (location.endAngleDeg - location.startAngleDeg + 360) % 360 || 360;
+      const { min, max } = latitudeRange(location);
+      return { id: location.id, start, end: start + length, min, max };
+    })
+    .sort((a, b) => a.start - b.start);
+
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  // Sweep the circle once, tracking how far coverage reaches so far.
+  // The first arc is revisited at +360° to check the wrap-around seam.
+  let covered = arcs[0];
+  [...arcs.slice(1), { ...arcs[0], start: arcs[0].start + 360 }].forEach((next) => {
+    const sharesLatitudes = next.min < covered.max && covered.min < next.max;
+    if (next.start < covered.end - ANGLE_EPSILON) {
+      if (sharesLatitudes) {
+        issues.push(
+          issue(
+            'angles',
+            'overlapping_zones',
+            `zone "${covered.id}" overlaps "${next.id}" by ${round(
+              Math.min(covered.end, next.end) - next.start
+            )}° from ${round(next.start % 360)}°`,
+            'warning'
+          )
+        );
+      }
+    } else if (next.start > covered.end + ANGLE_EPSILON) {
+      issues.push(
+        issue(
+          'angles',
+          'zone_gap',
+          `${round(covered.end % 360)}°–${round(next.start % 360)}° is not covered by any zone (between "${covered.id}" and "${next.id}")`,
+          'warning'
+        )
+      );
+    }
+
+    if (next.end > covered.end) covered = next;
+  });
+
+  return issues;
+}
+
+/**
+ * Latitude extent of a validated location, in degrees.
+ *
+ * @param {Location} location
+ * @returns {{ min: number, max: number }}
+ */
+function latitudeRange(location) {
+  if (location.polygon) {
+    const lats = location.polygon.map(([, lat]) => lat);
+    return { min: Math.min(...lats), max: Math.max(...lats) };
+  }
+  return {
+    min: location.minLatitudeDeg ?? DEFAULT_LATITUDE.min,
+    max: location.maxLatitudeDeg ?? DEFAULT_LATITUDE.max,
+  };
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Formats an issue as a single log line.
+ *
+ * @param {ValidationIssue} entry - Issue to format
+ * @returns {string} e.g. `error [2].themeColor: must be a 6-digit hex color…`
+ */
+export function formatIssue(entry) {
+  return `${entry.severity} ${entry.path}: ${entry.message}`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Hair mesh placed on the avatar's head.
+ *
+ * - `cap`: Smooth rounded cap (the classic look)
+ * - `spiky`: Cap with a crown of spikes
+ * - `bun`: Cap with a bun at the back
+ * - `none`: Bald
+ */
+export type HairStyle = 'cap' | 'spiky' | 'bun' | 'none';
+
+/**
+ * Wearable extras. Accessories can be part of the base config or
+ * requested per location (see `LocationAvatar`).
+ */
+export type AccessoryType = 'goggles' | 'headset' | 'antenna' | 'backpack';
+
+/** Eye shapes the face painter can draw. */
+export type EyeShape = 'round' | 'wide' | 'happy' | 'closed' | 'wink';
+
+/** Mouth shapes the face painter can draw. */
+export type MouthShape = 'smile' | 'grin' | 'flat' | 'o';
+
+/**
+ * One named facial expression.
+ *
+ * @example
+ * ```typescript
+ * const excited: AvatarExpression = { eyes: 'happy', mouth: 'grin', blush: true };
+ * ```
+ */
+export interface AvatarExpression {
+  eyes: EyeShape;
+  mouth: MouthShape;
+
+  /**
+   * Rosy cheeks
+   * @default false
+   */
+  blush?: boolean;
+}
+
+/**
+ * Body proportions as multipliers of the default build (0.5–1.5).
+ */
+export interface AvatarProportions {
+  /**
+   * Torso and leg length
+   * @default 1
+   */
+  height?: number;
+
+  /**
+   * Head size (hair and head accessories follow)
+   * @default 1
+   */
+  headSize?: number;
+
+  /**
+   * Body and limb width
+   * @default 1
+   */
+  build?: number;
+}
+
+/**
+ * Outfit and body colours (6-digit hex). The suit, hair and trim are
+ * mixed halfway towards the active zone's theme colours.
+ */
+export interface AvatarOutfit {
+  /** Torso and arms @example "#3d68ff" */
+  suit?: string;
+  /** Belt and legs @example "#13204c" */
+  trim?: string;
+  /** Head @example "#ffddc8" */
+  skin?: string;
+  /** Hair @example "#1f2745" */
+  hair?: string;
+  /** Boots @example "#0d1226" */
+  boots?: string;
+  /** Accessories (goggle straps, headset, antenna tip, backpack) @example "#ffcc4d" */
+  gear?: string;
+}
+
+/**
+ * Avatar configuration, served by the data source
+ * (`GET /avatar`, `avatar.json` or the bundled mock).
+ *
+ * Every field is optional: missing values fall back to the default avatar.
+ *
+ * @example
+ * ```typescript
+ * const config: AvatarConfig = {
+ *   proportions: { height: 1.1, headSize: 0.95 },
+ *   hairStyle: 'spiky',
+ *   outfit: { suit: '#ff7a59' },
+ *   accessories: ['backpack'],
+ *   expressions: {
+ *     happy: { eyes: 'round', mouth: 'smile' },
+ *     focused: { eyes: 'wide', mouth: 'flat' },
+ *   },
+ *   defaultExpression: 'happy',
+ * };
+ * ```
+ */
+export interface AvatarConfig {
+  proportions?: AvatarProportions;
+  hairStyle?: HairStyle;
+  outfit?: AvatarOutfit;
+
+  /** Accessories worn everywhere */
+  accessories?: AccessoryType[];
+
+  /**
+   * Named expressions; merged over the built-in set
+   * (`happy`, `focused`, `excited`, `curious`, `wink`)
+   */
+  expressions?: Record<string, AvatarExpression>;
+
+  /**
+   * Expression shown in zones that do not request one
+   * @default "happy"
+   */
+  defaultExpression?: string;
+}
+
+/**
+ * Per-location avatar changes, applied while that location is active.
+ *
+ * @example
+ * ```typescript
+ * const labs: LocationAvatar = { expression: 'focused', accessories: ['goggles'] };
+ * ```
+ */
+export interface LocationAvatar {
+  /**
+   * Expression name from the avatar config; unknown names use the default
+   * @example "focused"
+   */
+  expression?: string;
+
+  /**
+   * Accessories added on top of the config's own
+   * @example ["goggles"]
+   */
+  accessories?: AccessoryType[];
+}
@@ -0,0 +1,133 @@
+/**
+ * One project in a `projects` block.
+ *
+ * @example
+ * ```typescript
+ * const card: ProjectCard = {
+ *   title: 'Orbit',
+ *   summary: 'A tiny WebGL playground for planets.',
+ *   image: '/projects/orbit.jpg',
+ *   imageAlt: 'Three planets orbiting a sun',
+ *   tags: ['three.js', 'shaders'],
+ *   href: 'https://github.com/zaydiscold/orbit',
+ * };
+ * ```
+ */
+export interface ProjectCard {
+  /** @example "Orbit" */
+  title: string;
+
+  /** One or two sentences shown under the title */
+  summary?: string;
+
+  /**
+   * Cover image URL (loaded when the card scrolls into view)
+   * @example "/projects/orbit.jpg"
+   */
+  image?: string;
+
+  /**
+   * Alternative text for `image`; empty marks it decorative
+   * @default ""
+   */
+  imageAlt?: string;
+
+  /** Short labels, e.g. technologies */
+  tags?: string[];
+
+  /**
+   * Where the card links to (opens in a new tab unless it starts with `#`)
+   * @example "https://github.com/zaydiscold/orbit"
+   */
+  href?: string;
+}
+
+/** A grid of project cards. */
+export interface ProjectsBlock {
+  type: 'projects';
+  title?: string;
+  items: ProjectCard[];
+}
+
+/** One image in a `gallery` block. */
+export interface GalleryImage {
+  /** @example "/labs/shader-01.jpg" */
+  src: string;
+
+  /** Required: describes the image for screen readers */
+  alt: string;
+
+  caption?: string;
+}
+
+/** A grid of images; each loads when it scrolls into view. */
+export interface GalleryBlock {
+  type: 'gallery';
+  title?: string;
+  images: GalleryImage[];
+}
+
+/**
+ * Formatted text. Supports a safe subset of Markdown: `#`–`###` headings,
+ * paragraphs, `-`/`1.` lists, `**bold**`, `*italic*`, `` `code` `` and
+ * `[links](https://…)`. Raw HTML is shown as text.
+ */
+export interface MarkdownBlock {
+  type: 'markdown';
+  /** @example "Built with **Three.js** and a lot of coffee." */
+  markdown: string;
+}
+
+/** One entry in a `timeline` block. */
+export interface TimelineEntry {
+  /**
+   * Free-form date label
+   * @example "2024" | "Spring 2023"
+   */
+  date: string;
+
+  title: string;
+
+  description?: string;
+}
+
+/** A vertical list of dated milestones, in the given order. */
+export interface TimelineBlock {
+  type: 'timeline';
+  title?: string;
+  entries: TimelineEntry[];
+}
+
+/**
+ * An embedded video. YouTube and Vimeo links are embedded as players;
+ * other URLs are played with a native `<video>` element. Nothing is
+ * fetched until the user presses play.
+ */
+export interface VideoBlock {
+  type: 'video';
+  title?: string;
+
+  /**
+   * YouTube/Vimeo page URL, or a video file
+   * @example "https://www.youtube.com/watch?v=dQw4w9WgXcQ" | "/reels/lab.mp4"
+   */
+  src: string;
+
+  /** Still image shown before playing */
+  poster?: string;
+
+  caption?: string;
+}
+
+/**
+ * Rich content shown in a location's expandable detail panel.
+ * Blocks render in array order; the `type` field selects the shape.
+ */
+export type ContentBlock =
+  | ProjectsBlock
+  | GalleryBlock
+  | MarkdownBlock
+  | TimelineBlock
+  | VideoBlock;
+
+export type ContentBlockType = ContentBlock['type'];
@@ -0,0 +1,138 @@
+/**
+ * Background drawn behind the globe.
+ *
+ * A vertical gradient from `bottom` to `top`; with `texture`, an
+ * equirectangular skybox image is drawn over it. Locations without a sky
+ * leave the page background visible.
+ *
+ * @example
+ * ```typescript
+ * const sky: EnvironmentSky = { top: '#0b1026', bottom: '#2a3d7a' };
+ * ```
+ */
+export interface EnvironmentSky {
+  /**
+   * Colour at the zenith
+   * @example "#0b1026"
+   */
+  top: string;
+
+  /**
+   * Colour at the horizon and below
+   * @example "#2a3d7a"
+   */
+  bottom: string;
+
+  /**
+   * Equirectangular (2:1) skybox image URL
+   * @example "/skies/nebula.jpg"
+   */
+  texture?: string;
+}
+
+/**
+ * Exponential fog; it fades the globe and avatar into `color`, the far side
+ * most. Pair it with a sky of a similar colour.
+ */
+export interface EnvironmentFog {
+  /**
+   * Fog colour
+   * @example "#101832"
+   */
+  color: string;
+
+  /**
+   * Exponential density (0 … 0.2); 0.08 is a light haze, 0.2 thick fog
+   * @example 0.08
+   */
+  density: number;
+}
+
+/**
+ * Colour and strength of one light. Omitted fields keep the default rig.
+ */
+export interface EnvironmentLight {
+  /** @example "#f0f4ff" */
+  color?: string;
+
+  /**
+   * Intensity (0 … 5)
+   * @example 1.2
+   */
+  intensity?: number;
+}
+
+/**
+ * The scene's three lights. Omitted lights keep the default rig.
+ */
+export interface EnvironmentLights {
+  /** Sky/ground fill light; `groundColor` tints surfaces facing down */
+  hemisphere?: EnvironmentLight & { groundColor?: string };
+
+  /** Main directional light (casts shadows on high quality) */
+  key?: EnvironmentLight;
+
+  /** Back light outlining the globe and avatar */
+  rim?: EnvironmentLight;
+}
+
+/**
+ * Particle effect around the globe.
+ *
+ * - `stars`: A still starfield far behind the globe that twinkles
+ * - `snow`: Slow flakes drifting down around the globe
+ * - `rain`: Fast streaks falling past the globe
+ * - `embers`: Glowing sparks rising around the globe
+ */
+export type ParticleType = 'stars' | 'snow' | 'rain' | 'embers';
+
+export interface EnvironmentParticles {
+  /** Effect style */
+  type: ParticleType;
+
+  /**
+   * Number of particles at high quality (lower tiers draw fewer)
+   * @default 600 (stars: 1500)
+   */
+  count?: number;
+
+  /**
+   * Particle colour
+   * @default "#ffffff"
+   */
+  color?: string;
+
+  /**
+   * Point size multiplier
+   * @default 1
+   */
+  size?: number;
+
+  /**
+   * Fall/rise speed multiplier (ignored by `stars`)
+   * @default 1
+   */
+  speed?: number;
+}
+
+/**
+ * Optional scene mood for a location: sky, fog, lights and particles.
+ * The scene cross-fades to it when the location becomes active; every
+ * omitted part falls back to the default look.
+ *
+ * @example
+ * ```typescript
+ * const environment: LocationEnvironment = {
+ *   sky: { top: '#050814', bottom: '#1b2a55' },
+ *   fog: { color: '#1b2a55', density: 0.08 },
+ *   lights: { rim: { color: '#7ae7ff', intensity: 0.8 } },
+ *   particles: { type: 'stars', count: 1200 },
+ * };
+ * ```
+ */
+export interface LocationEnvironment {
+  sky?: EnvironmentSky;
+  fog?: EnvironmentFog;
+  lights?: EnvironmentLights;
+  particles?: EnvironmentParticles;
+}
@@ -0,0 +1,38 @@
+/**
+ * One named land shape, parsed from a GeoJSON or TopoJSON source by
+ * `utils/geojson.js`.
+ *
+ * Coordinates are converted to the globe's texture space: longitude
+ * 0–360° from the left edge of the equirectangular map (GeoJSON longitude
+ * + 180, the layout of standard world maps), latitude -90…90°. That is the
+ * space zone angles (`startAngleDeg`, `polygon`) use.
+ *
+ * @example
+ * ```typescript
+ * const island: LandFeature = {
+ *   id: 'isle-of-builds',
+ *   name: 'Isle of Builds',
+ *   rings: [[[250, 10], [262, 10], [258, 24]]],
+ * };
+ * ```
+ */
+export interface LandFeature {
+  /**
+   * The feature's `id`, as a string
+   * @example "isle-of-builds"
+   */
+  id: string | null;
+
+  /**
+   * `properties.name`, if it is a string
+   * @example "Isle of Builds"
+   */
+  name: string | null;
+
+  /**
+   * Outer rings and holes of every polygon in the feature, as
+   * `[longitudeDeg, latitudeDeg]` points (first point not repeated).
+   * Inside is decided even-odd, so holes need no special marking.
+   */
+  rings: Array<Array<[number, number]>>;
+}
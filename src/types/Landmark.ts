@@ -0,0 +1,65 @@
+/**
+ * How a landmark is drawn on the globe.
+ *
+ * - `pin`: A map pin standing on the surface
+ * - `beacon`: A glowing light column with a base ring
+ * - `label`: Only the floating label (no 3D marker)
+ * - `model`: A glTF model loaded from `modelUrl` (falls back to a pin)
+ */
+export type LandmarkType = 'pin' | 'beacon' | 'label' | 'model';
+
+/**
+ * Optional 3D marker anchored on the globe at a location's mid-angle.
+ * Tells users what a zone is before the avatar reaches it.
+ *
+ * Every landmark also gets a billboarded label (icon + text) that always
+ * faces the camera and fades out when it turns behind the planet.
+ *
+ * @example
+ * ```typescript
+ * const landmark: Landmark = {
+ *   type: 'beacon',
+ *   icon: '🧪',
+ *   latitudeDeg: 12,
+ * };
+ * ```
+ */
+export interface Landmark {
+  /**
+   * Marker style
+   * @example "pin"
+   */
+  type: LandmarkType;
+
+  /**
+   * Label text; defaults to the location's `label`
+   * @example "Prototype Lab"
+   */
+  label?: string;
+
+  /**
+   * Icon shown before the label: an emoji, or an image URL
+   * (anything containing a `/` is loaded as a texture)
+   * @example "🚀" | "/icons/rocket.png"
+   */
+  icon?: string;
+
+  /**
+   * glTF/GLB model URL, used when `type` is `model`
+   * @example "/models/lab.glb"
+   */
+  modelUrl?: string;
+
+  /**
+   * Latitude of the anchor in degrees (-90 south pole … 90 north pole)
+   * @default The middle of the zone's latitude range (0, the equator, for
+   *   zones without latitude bounds)
+   */
+  latitudeDeg?: number;
+
+  /**
+   * Size multiplier for the marker (not the label)
+   * @default 1
+   */
+  scale?: number;
+}
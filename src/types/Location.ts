@@ -1,12 +1,22 @@
+import type { LocationAvatar } from './AvatarConfig.js';
+import type { ContentBlock } from './ContentBlock.js';
+import type { LocationEnvironment } from './Environment.js';
+import type { Landmark } from './Landmark.js';
 import type { UIAction } from './UIAction.js';
 
 /**
  * Represents a geographic zone on the interactive globe.
  * Each location corresponds to a section of the portfolio (About, Projects, Labs, Contact).
  *
- * When the globe rotates into a location's angle range, it becomes the active zone,
- * triggering visual updates to the globe texture, atmosphere color, avatar palette,
- * and UI overlay content.
+ * When the point of the globe facing the camera enters a location's region,
+ * it becomes the active zone, triggering visual updates to the globe
+ * surface, atmosphere color, avatar palette, and UI overlay content.
+ *
+ * The region is the longitude arc (`startAngleDeg` → `endAngleDeg`) within
+ * a latitude range (default ±36°, the classic equatorial band), a
+ * spherical `polygon`, or a named land `region` from the globe's map.
+ * Locations may nest `children` (e.g. single projects inside "Launch
+ * Deck"); where regions overlap the deepest one is active.
  *
  * @example
  * ```typescript
@@ -62,13 +72,55 @@ export interface Location {
 
   /**
    * Ending angle of this zone in degrees (0-360)
-   * Must be greater than startAngleDeg (no wrapping across 0°)
+   * May be smaller than startAngleDeg for zones that wrap across 0°
+   * (e.g. 315 → 45)
    * @example 150 (zone ends at 150° rotation)
    */
   endAngleDeg: number;
 
   /**
-   * Primary theme color for this location (hex format)
+   * Southern edge of the zone in degrees (-90 south pole … 90 north pole).
+   * Ignored when `polygon` is set.
+   * @default -36
+   */
+  minLatitudeDeg?: number;
+
+  /**
+   * Northern edge of the zone in degrees; must be above `minLatitudeDeg`.
+   * Ignored when `polygon` is set.
+   * @default 36
+   */
+  maxLatitudeDeg?: number;
+
+  /**
+   * Optional region outline as `[longitudeDeg, latitudeDeg]` corners, in
+   * the same longitude space as the angles above. Edges follow great
+   * circles; the outline must not enclose a pole. The arc
+   * (`startAngleDeg`/`endAngleDeg`) is still used to fly to the zone and
+   * for the 2D zone wheel, so it should span the polygon.
+   * @example [[60, 10], [110, 10], [100, 45], [70, 45]]
+   */
+  polygon?: Array<[number, number]>;
+
+  /**
+   * Optional land shape to use as the zone's region: the `properties.name`
+   * or `id` of a feature in the globe's GeoJSON/TopoJSON map. Takes
+   * precedence over `polygon`; until the map has loaded (or if no feature
+   * matches) the zone falls back to its polygon or arc. As with `polygon`,
+   * the arc should span the region.
+   * @example "Isle of Builds"
+   */
+  region?: string;
+
+  /**
+   * Optional sub-zones inside this one (up to three levels deep in
+   * total). Children are full locations with their own region, colours
+   * and content; ids must be unique across the whole tree.
+   */
+  children?: Location[];
+
+  /**
+   * Primary theme color for this location (6-digit hex format)
    * Applied to:
    * - Globe texture segment
    * - Atmosphere glow
@@ -79,7 +131,7 @@ export interface Location {
   themeColor: string;
 
   /**
-   * Secondary accent color (hex format)
+   * Secondary accent color (6-digit hex format)
    * Used for:
    * - Globe segment glow effects
    * - Avatar secondary colors
@@ -93,11 +145,55 @@ export interface Location {
    * Can be empty if no actions are needed
    */
   actions: UIAction[];
+
+  /**
+   * Optional 3D marker and label shown at the zone's mid-angle
+   * Animated when this location becomes active
+   */
+  landmark?: Landmark;
+
+  /**
+   * Optional avatar expression/accessories while this location is active
+   * @example { expression: 'focused', accessories: ['goggles'] }
+   */
+  avatar?: LocationAvatar;
+
+  /**
+   * Optional sky, fog, lights and particles; the scene cross-fades to them
+   * while this location is active
+   */
+  environment?: LocationEnvironment;
+
+  /**
+   * Optional rich content (project cards, galleries, text, timelines,
+   * video) shown in the overlay's expandable detail panel
+   */
+  content?: ContentBlock[];
+}
+
+/**
+ * A zone polygon sampled along its great-circle edges, in radians.
+ * Longitudes are unwrapped (continuous across the 0/2π seam), so they may
+ * fall outside 0–2π.
+ *
+ * @internal
+ */
+export interface ZoneRing {
+  /** `[longitude, latitude]` samples, closing back to the first */
+  points: Array<[number, number]>;
+  minLon: number;
+  maxLon: number;
+  minLat: number;
+  maxLat: number;
+  /** Index of the 1° latitude bucket `rows[0]` covers */
+  firstRow: number;
+  /** Per 1° latitude bucket, the edges crossing it (edge i ends at point i) */
+  rows: number[][];
 }
 
 /**
  * Extended location data with computed radian values.
- * Used internally by the Zones detection system for angle comparisons.
+ * Used internally by the Zones detection system for region lookups.
  *
  * @internal
  */
@@ -111,4 +207,22 @@ export interface Zone extends Location {
    * Ending angle in radians (converted from endAngleDeg)
    */
   endRad: number;
+
+  /** Southern edge in radians (its rings', if it has any) */
+  minLatRad: number;
+
+  /** Northern edge in radians (its rings', if it has any) */
+  maxLatRad: number;
+
+  /**
+   * Outline of a polygon or land-region zone (inside decided even-odd
+   * across all rings); empty for arc/latitude zones
+   */
+  rings: ZoneRing[];
+
+  /** Id of the enclosing zone, or null for top-level zones */
+  parentId: string | null;
+
+  /** Nesting level: 0 for top-level zones */
+  depth: number;
 }
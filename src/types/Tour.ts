@@ -0,0 +1,72 @@
+/**
+ * One stop of the guided tour.
+ *
+ * @example
+ * ```typescript
+ * const stop: TourStop = {
+ *   zoneId: 'projects',
+ *   caption: 'Builds, installations and client work.',
+ *   dwellMs: 8000,
+ * };
+ * ```
+ */
+export interface TourStop {
+  /**
+   * Location id to fly to (top-level or child zone)
+   * @example "projects"
+   */
+  zoneId: string;
+
+  /**
+   * Caption shown in the overlay while the tour is here
+   * @default The zone's tagline
+   */
+  caption?: string;
+
+  /**
+   * How long to stay after arriving, in milliseconds
+   * @default The script's `dwellMs`
+   */
+  dwellMs?: number;
+}
+
+/**
+ * Guided tour ("attract mode") script: which zones the tour visits, in
+ * what order, for how long and with which captions. Served by the data
+ * source next to the locations (see `services/tourService.js`).
+ *
+ * Every field is optional; without `stops` the tour visits every top-level
+ * zone in data order.
+ *
+ * @example
+ * ```typescript
+ * const tour: TourScript = {
+ *   idleMs: 20000,
+ *   dwellMs: 6000,
+ *   stops: [{ zoneId: 'about' }, { zoneId: 'projects', caption: 'Start here.' }],
+ * };
+ * ```
+ */
+export interface TourScript {
+  /** Zones to visit, in order */
+  stops?: TourStop[];
+
+  /**
+   * Default time at each stop, in milliseconds (1000–120000)
+   * @default 6000
+   */
+  dwellMs?: number;
+
+  /**
+   * Idle time before the tour starts by itself, in milliseconds; 0 only
+   * starts it from the tour button. Never automatic with reduced motion.
+   * @default 20000
+   */
+  idleMs?: number;
+
+  /**
+   * Start over after the last stop
+   * @default true
+   */
+  loop?: boolean;
+}
@@ -21,11 +21,54 @@
  * ## Main Exports
  *
  * - `Location`: Portfolio section data (about, projects, labs, contact)
- * - `Zone`: Internal location with radian conversions
+ * - `Zone`: Internal location with radian conversions and region data
  * - `UIAction`: Clickable button configuration
+ * - `Landmark`: Optional 3D marker/label anchored in a zone
+ * - `AvatarConfig`: Avatar proportions, hair, outfit, accessories and expressions
+ * - `LocationAvatar`: Per-location expression/accessory overrides
+ * - `LocationEnvironment`: Per-location sky, fog, lights and particles
+ * - `ContentBlock`: Rich detail-panel content (projects, gallery, markdown,
+ *   timeline, video)
+ * - `LandFeature`: A named land shape from the globe's GeoJSON/TopoJSON map
+ * - `TourScript`: Guided tour order, dwell times and captions
  *
  * @module types
  */
 
-export type { Location, Zone } from './Location.js';
+export type { Location, Zone, ZoneRing } from './Location.js';
 export type { UIAction } from './UIAction.js';
+export type { Landmark, LandmarkType } from './Landmark.js';
+export type {
+  AccessoryType,
+  AvatarConfig,
+  AvatarExpression,
+  AvatarOutfit,
+  AvatarProportions,
+  EyeShape,
+  HairStyle,
+  LocationAvatar,
+  MouthShape,
+} from './AvatarConfig.js';
+export type {
+  EnvironmentFog,
+  EnvironmentLight,
+  EnvironmentLights,
+  EnvironmentParticles,
+  EnvironmentSky,
+  LocationEnvironment,
+  ParticleType,
+} from './Environment.js';
+export type {
+  ContentBlock,
+  ContentBlockType,
+  GalleryBlock,
+  GalleryImage,
+  MarkdownBlock,
+  ProjectCard,
+  ProjectsBlock,
+  TimelineBlock,
+  TimelineEntry,
+  VideoBlock,
+} from './ContentBlock.js';
+export type { LandFeature } from './Land.js';
+export type { TourScript, TourStop } from './Tour.js';
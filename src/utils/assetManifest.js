@@ -0,0 +1,23 @@
+/**
+ * Assets the app preloads through `utils/loader.js`.
+ *
+ * @module utils/assetManifest
+ */
+
+/**
+ * @typedef {import('./loader.js').AssetDescriptor} AssetDescriptor
+ */
+
+/**
+ * Static assets. `critical` entries are loaded behind the loading screen
+ * before the first frame; everything else streams in afterwards.
+ *
+ * @type {AssetDescriptor[]}
+ *
+ * @example
+ * ```javascript
+ * { url: '/textures/clouds.ktx2', priority: 'critical' },
+ * { url: '/audio/ambience.mp3', priority: 'lazy' },
+ * ```
+ */
+export const ASSET_MANIFEST = [];
@@ -0,0 +1,64 @@
+/**
+ * GPU resource cleanup for Three.js object trees.
+ *
+ * @module utils/dispose
+ */
+
+/**
+ * Frees the textures referenced by a material, then the material itself.
+ *
+ * @param {import('three').Material} material
+ * @param {Set<object>} seen - Resources already disposed (shared materials/textures)
+ * @private
+ */
+function disposeMaterial(material, seen) {
+  if (seen.has(material)) return;
+  seen.add(material);
+
+  Object.values(material).forEach((value) => {
+    if (value?.isTexture && !seen.has(value)) {
+      seen.add(value);
+      value.dispose();
+    }
+  });
+  material.dispose();
+}
+
+/**
+ * Disposes every geometry, material and texture below `root` (plus light
+ * shadow maps) and detaches it from its parent. Resources shared between
+ * meshes are disposed once.
+ *
+ * @param {import('three').Object3D} root - Object tree to free
+ *
+ * @example
+ * ```javascript
+ * disposeObject(globe.group);
+ * ```
+ */
+export function disposeObject(root) {
+  /** @type {Set<object>} */
+  const seen = new Set();
+
+  root.traverse((object) => {
+    if (/** @type {import('three').Light} */ (object).isLight) {
+      /** @type {import('three').Light} */ (object).dispose();
+      return;
+    }
+
+    const { geometry, material } = /** @type {import('three').Mesh} */ (object);
+
+    if (geometry && !seen.has(geometry)) {
+      seen.add(geometry);
+      geometry.dispose();
+    }
+
+    if (Array.isArray(material)) {
+      material.forEach((entry) => disposeMaterial(entry, seen));
+    } else if (material) {
+      disposeMaterial(material, seen);
+    }
+  });
+
+  root.removeFromParent();
+}
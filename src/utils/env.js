@@ -0,0 +1,30 @@
+/**
+ * Helpers for reading Vite env variables.
+ *
+ * @module utils/env
+ */
+
+/**
+ * Reads a finite, non-negative number from an env variable. Unset or
+ * invalid values (e.g. `"5m"`) give `undefined`, so the caller's default
+ * applies; invalid ones are also reported with a warning.
+ *
+ * @param {ImportMetaEnv} env
+ * @param {'VITE_API_TIMEOUT_MS' | 'VITE_API_RETRIES' | 'VITE_CACHE_TTL_MS'} name
+ * @returns {number | undefined}
+ *
+ * @example
+ * ```javascript
+ * const ttlMs = readEnvNumber(import.meta.env, 'VITE_CACHE_TTL_MS') ?? DEFAULT_TTL_MS;
+ * ```
+ */
+export function readEnvNumber(env, name) {
+  const raw = env[name];
+  if (raw === undefined || String(raw).trim() === '') return undefined;
+
+  const value = Number(raw);
+  if (Number.isFinite(value) && value >= 0) return value;
+
+  console.warn(`Ignoring ${name}="${raw}": expected a non-negative number`);
+  return undefined;
+}
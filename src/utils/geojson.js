@@ -0,0 +1,232 @@
+/**
+ * Land shapes from GeoJSON and TopoJSON sources.
+ *
+ * `parseLandSource()` accepts either format and returns flat `LandFeature`s
+ * (see `types/Land.ts`) in the globe's texture space: GeoJSON longitude
+ * -180…180 becomes 0…360 from the left edge of the equirectangular
+ * texture, so real-world data lines up like a standard world map and zone
+ * angles keep their meaning. Fictional maps use the same format.
+ *
+ * Polygon and MultiPolygon geometries are kept (also inside geometry
+ * collections); points and lines are ignored, as are malformed rings.
+ *
+ * @example
+ * ```javascript
+ * const features = parseLandSource(await loadJSON('/maps/continents.geojson'));
+ * globe.setLand(features);
+ * ```
+ *
+ * @module utils/geojson
+ */
+
+/**
+ * @typedef {import('../types').LandFeature} LandFeature
+ * @typedef {[number, number]} Position
+ */
+
+const LONGITUDE_OFFSET = 180;
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {unknown} value
+ * @returns {value is Position}
+ */
+const isPosition = (value) =>
+  Array.isArray(value) && Number.isFinite(value[0]) && Number.isFinite(value[1]);
+
+/**
+ * Converts a ring of GeoJSON positions to texture-space degrees, dropping
+ * the repeated closing point.
+ *
+ * @param {unknown} ring
+ * @returns {Position[] | null} Null for rings without three valid points
+ */
+function toTextureRing(ring) {
+  if (!Array.isArray(ring)) return null;
+  /** @type {Position[]} */
+  const points = ring.filter(isPosition).map(([lon, lat]) => [lon + LONGITUDE_OFFSET, lat]);
+  const [first, last] = [points[0], points[points.length - 1]];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+  return points.length >= 3 ? points : null;
+}
+
+/**
+ * Every ring (outer and holes) of a GeoJSON geometry's polygons.
+ *
+ * @param {unknown} geometry
+ * @returns {Position[][]}
+ */
+function polygonRings(geometry) {
+  if (!isPlainObject(geometry)) return [];
+
+  /** @type {unknown[]} */
+  let rings = [];
+  if (geometry.type === 'Polygon' && Array.isArray(geometry.coordinates)) {
+    rings = geometry.coordinates;
+  } else if (geometry.type === 'MultiPolygon' && Array.isArray(geometry.coordinates)) {
+    rings = geometry.coordinates.filter(Array.isArray).flat(1);
+  } else if (geometry.type === 'GeometryCollection' && Array.isArray(geometry.geometries)) {
+    return geometry.geometries.flatMap(polygonRings);
+  }
+
+  return rings.map(toTextureRing).filter((ring) => ring !== null);
+}
+
+/**
+ * @param {unknown} geometry - GeoJSON geometry
+ * @param {unknown} id - Feature id
+ * @param {unknown} properties - Feature properties
+ * @returns {LandFeature | null} Null when the geometry has no polygons
+ */
+function toFeature(geometry, id, properties) {
+  const rings = polygonRings(geometry);
+  if (!rings.length) return null;
+
+  const name = isPlainObject(properties) ? properties.name : null;
+  return {
+    id: typeof id === 'string' || typeof id === 'number' ? String(id) : null,
+    name: typeof name === 'string' ? name : null,
+    rings,
+  };
+}
+
+/**
+ * Decodes a topology's arcs to absolute positions, undoing quantisation
+ * (delta-encoded integers plus a `transform`) when present.
+ *
+ * @param {Record<string, any>} topology
+ * @returns {Position[][]}
+ */
+function decodeArcs(topology) {
+  const arcs = Array.isArray(topology.arcs) ? topology.arcs : [];
+  const transform = isPlainObject(topology.transform) ? topology.transform : null;
+
+  return arcs.map((/** @type {unknown} */ arc) => {
+    const points = Array.isArray(arc) ? arc.filter(isPosition) : [];
+    if (!transform) return points.map(([x, y]) => /** @type {Position} */ ([x, y]));
+
+    const [scaleX, scaleY] = transform.scale ?? [1, 1];
+    const [translateX, translateY] = transform.translate ?? [0, 0];
+    let x = 0;
+    let y = 0;
+    return points.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return /** @type {Position} */ ([x * scaleX + translateX, y * scaleY + translateY]);
+    });
+  });
+}
+
+/**
+ * Converts a TopoJSON geometry to its GeoJSON equivalent.
+ *
+ * Rings are lists of arc indexes; a negative index `~i` walks arc `i`
+ * backwards. Consecutive arcs share an end point, which is kept once.
+ *
+ * @param {Record<string, any>} geometry
+ * @param {Position[][]} arcs - Decoded arcs
+ * @returns {Record<string, any>}
+ */
+function fromTopology(geometry, arcs) {
+  /**
+   * @param {unknown} indexes
+   * @returns {Position[]}
+   */
+  const toRing = (indexes) => {
+    /** @type {Position[]} */
+    const ring = [];
+    (Array.isArray(indexes) ? indexes : []).forEach((index) => {
+      const arc = index < 0 ? [...(arcs[~index] ?? [])].reverse() : arcs[index] ?? [];
+      arc.forEach((point, i) => {
+        if (i > 0 || !ring.length) ring.push(point);
+      });
+    });
+    return ring;
+  };
+
+  /**
+   * @param {unknown} rings
+   * @returns {Position[][]}
+   */
+  const toPolygon = (rings) => (Array.isArray(rings) ? rings.map(toRing) : []);
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return { type: 'Polygon', coordinates: toPolygon(geometry.arcs) };
+    case 'MultiPolygon':
+      return {
+        type: 'MultiPolygon',
+        coordinates: Array.isArray(geometry.arcs) ? geometry.arcs.map(toPolygon) : [],
+      };
+    case 'GeometryCollection':
+      return {
+        type: 'GeometryCollection',
+        geometries: (geometry.geometries ?? []).map(
+          (/** @type {Record<string, any>} */ member) => fromTopology(member, arcs)
+        ),
+      };
+    default:
+      return { type: geometry.type };
+  }
+}
+
+/**
+ * Reads land shapes from a parsed GeoJSON (`FeatureCollection`, `Feature`
+ * or bare geometry) or TopoJSON (`Topology`) document.
+ *
+ * In a topology every object contributes: members of a geometry
+ * collection become one feature each, other objects one feature.
+ *
+ * @param {unknown} source - Parsed JSON
+ * @returns {LandFeature[]} Features with at least one polygon ring
+ * @throws {TypeError} If the source is neither GeoJSON nor TopoJSON
+ *
+ * @example
+ * ```javascript
+ * parseLandSource({
+ *   type: 'Feature',
+ *   properties: { name: 'Isle of Builds' },
+ *   geometry: { type: 'Polygon', coordinates: [[[70, 10], [82, 10], [78, 24], [70, 10]]] },
+ * });
+ * // → [{ id: null, name: 'Isle of Builds', rings: [[[250, 10], [262, 10], [258, 24]]] }]
+ * ```
+ */
+export function parseLandSource(source) {
+  if (!isPlainObject(source)) {
+    throw new TypeError('Land source must be a GeoJSON or TopoJSON object');
+  }
+
+  /** @type {Array<LandFeature | null>} */
+  let features;
+  if (source.type === 'Topology' && isPlainObject(source.objects)) {
+    const arcs = decodeArcs(source);
+    features = Object.values(source.objects).flatMap((object) => {
+      if (!isPlainObject(object)) return [];
+      const members = object.type === 'GeometryCollection' ? object.geometries ?? [] : [object];
+      return members.map((/** @type {Record<string, any>} */ member) =>
+        toFeature(fromTopology(member, arcs), member.id, member.properties)
+      );
+    });
+  } else if (source.type === 'FeatureCollection' && Array.isArray(source.features)) {
+    features = source.features.map((/** @type {unknown} */ feature) =>
+      isPlainObject(feature) ? toFeature(feature.geometry, feature.id, feature.properties) : null
+    );
+  } else if (source.type === 'Feature') {
+    features = [toFeature(source.geometry, source.id, source.properties)];
+  } else if (GEOMETRY_TYPES.includes(source.type)) {
+    features = [toFeature(source, null, null)];
+  } else {
+    throw new TypeError(
+      `Land source must be a GeoJSON or TopoJSON object (got type ${JSON.stringify(source.type)})`
+    );
+  }
+
+  return features.filter((feature) => feature !== null);
+}
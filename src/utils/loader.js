@@ -1,28 +1,483 @@
+/**
+ * Asset pipeline for textures (including KTX2), glTF/GLB models (including
+ * Draco-compressed ones), audio and JSON data (e.g. GeoJSON maps).
+ *
+ * - Requests for the same URL share one load
+ * - Failed loads are retried with exponential backoff, then evicted, so a
+ *   later request starts fresh instead of receiving the old rejection
+ * - Manifests are split by priority: `critical` assets load before the first
+ *   frame and report aggregate progress; `lazy` ones load in the background
+ * - `load()` takes a reference and `release()` returns it; an asset's GPU
+ *   resources are freed once its last reference is released
+ *
+ * @example
+ * ```javascript
+ * assets.setRenderer(renderer); // Enables KTX2
+ * await loadInitialAssets(ASSET_MANIFEST, {
+ *   onProgress: (percent) => ui.showLoading(true, percent),
+ * });
+ *
+ * const gltf = await loadModel('/models/rocket.glb');
+ * scene.add(gltf.scene.clone(true));
+ * releaseAsset('/models/rocket.glb'); // When the clone is gone
+ * ```
+ *
+ * @module utils/loader
+ */
+
 import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { disposeObject } from './dispose.js';
+
+/**
+ * @typedef {'texture' | 'ktx2' | 'model' | 'audio' | 'json'} AssetType
+ * @typedef {'critical' | 'lazy'} AssetPriority
+ */
+
+/**
+ * One entry of an asset manifest.
+ *
+ * @typedef {Object} AssetDescriptor
+ * @property {string} url - Asset URL (also its cache key)
+ * @property {AssetType} [type] - Inferred from the file extension when omitted
+ * @property {AssetPriority} [priority='lazy'] - `critical` assets block the first frame
+ */
+
+/**
+ * @typedef {Object} AssetRecord
+ * @property {AssetType} type
+ * @property {Promise<any>} promise - Settles once all attempts are done
+ * @property {number} refs - References taken via `load()`
+ * @property {Set<(fraction: number) => void>} progressListeners - Cleared once loaded
+ */
+
+/**
+ * @typedef {Object} AssetManagerOptions
+ * @property {number} [retries=2] - Extra attempts after a failed load
+ * @property {number} [backoffMs=300] - Base retry delay, doubled after every failed attempt
+ * @property {number} [lazyConcurrency=2] - Lazy assets loading at the same time
+ * @property {string} [dracoPath] - Directory with the Draco decoder
+ *   (defaults to the self-hosted `decoders/draco/`)
+ * @property {string} [transcoderPath] - Directory with the Basis (KTX2)
+ *   transcoder (defaults to the self-hosted `decoders/basis/`)
+ */
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 300;
+const DEFAULT_LAZY_CONCURRENCY = 2;
+
+// three's own decoders, self-hosted by the `three-decoders` plugin in
+// vite.config.js; fetched only when a compressed asset is first decoded.
+const DECODER_BASE = `${import.meta.env.BASE_URL}decoders`;
+
+/** @type {Record<string, AssetType>} */
+const TYPE_BY_EXTENSION = {
+  glb: 'model',
+  gltf: 'model',
+  ktx2: 'ktx2',
+  mp3: 'audio',
+  ogg: 'audio',
+  wav: 'audio',
+  m4a: 'audio',
+  json: 'json',
+  geojson: 'json',
+  topojson: 'json',
+};
+
+/**
+ * A load that still failed after every retry.
+ */
+export class AssetLoadError extends Error {
+  /**
+   * @param {string} url - Asset that failed
+   * @param {unknown} [cause] - Error from the last attempt
+   */
+  constructor(url, cause) {
+    super(`Failed to load asset "${url}"`);
+    this.name = 'AssetLoadError';
+    this.url = url;
+    /** @type {unknown} */
+    this.cause = cause;
+  }
+}
+
+/**
+ * Guesses an asset's type from its file extension (query strings ignored).
+ * Unknown extensions are treated as images.
+ *
+ * @param {string} url
+ * @returns {AssetType}
+ */
+export function inferAssetType(url) {
+  const extension = url.split(/[?#]/)[0].split('.').pop()?.toLowerCase() ?? '';
+  return TYPE_BY_EXTENSION[extension] ?? 'texture';
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-const textureLoader = new THREE.TextureLoader();
-const cache = new Map();
+/**
+ * Defers work until the browser is idle (or the next task without
+ * `requestIdleCallback`), so lazy loads stay out of the first frames.
+ *
+ * @param {() => void} callback
+ */
+const whenIdle = (callback) => {
+  if ('requestIdleCallback' in window) {
+    window.requestIdleCallback(callback);
+  } else {
+    setTimeout(callback, 0);
+  }
+};
 
-export async function loadInitialAssets() {
-  // Placeholder for future asset preloading.
-  return Promise.resolve();
+/**
+ * Frees whatever GPU resources a loaded asset holds.
+ *
+ * @param {AssetType} type
+ * @param {any} asset
+ */
+function disposeAsset(type, asset) {
+  if (type === 'model') {
+    disposeObject(asset.scene);
+  } else if (type === 'texture' || type === 'ktx2') {
+    asset.dispose();
+  }
+  // Audio buffers and JSON hold no GPU resources; dropping the reference is enough
 }
 
+/**
+ * Creates an asset manager with its own cache and loaders.
+ * Most code uses the shared `assets` instance through the helpers below.
+ *
+ * @param {AssetManagerOptions} [options]
+ */
+export function createAssetManager({
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+  lazyConcurrency = DEFAULT_LAZY_CONCURRENCY,
+  dracoPath = `${DECODER_BASE}/draco/`,
+  transcoderPath = `${DECODER_BASE}/basis/`,
+} = {}) {
+  const manager = new THREE.LoadingManager();
+  const dracoLoader = new DRACOLoader(manager).setDecoderPath(dracoPath);
+  const ktx2Loader = new KTX2Loader(manager).setTranscoderPath(transcoderPath);
+
+  /** @type {Record<AssetType, THREE.Loader<any>>} */
+  const loaders = {
+    texture: new THREE.TextureLoader(manager),
+    ktx2: ktx2Loader,
+    model: new GLTFLoader(manager).setDRACOLoader(dracoLoader).setKTX2Loader(ktx2Loader),
+    audio: new THREE.AudioLoader(manager),
+    json: new THREE.FileLoader(manager).setResponseType('json'),
+  };
+
+  /** @type {Map<string, AssetRecord>} */
+  const records = new Map();
+  /** @type {AssetDescriptor[]} */
+  const lazyQueue = [];
+  let lazyActive = 0;
+  let ktx2Ready = false;
+
+  /**
+   * One load attempt through the type's loader.
+   *
+   * @param {string} url
+   * @param {AssetType} type
+   * @param {(event: ProgressEvent) => void} onProgress
+   * @returns {Promise<any>}
+   */
+  const attemptLoad = (url, type, onProgress) =>
+    new Promise((resolve, reject) => {
+      loaders[type].load(url, resolve, onProgress, reject);
+    });
+
+  /**
+   * Loads an asset with retries, notifying the record's progress listeners.
+   *
+   * @param {string} url
+   * @param {AssetRecord} record
+   * @returns {Promise<any>}
+   */
+  const loadWithRetry = async (url, record) => {
+    if (record.type === 'ktx2' && !ktx2Ready) {
+      throw new AssetLoadError(url, new Error('KTX2 needs assets.setRenderer() first'));
+    }
+
+    /** @param {ProgressEvent} event */
+    const onProgress = (event) => {
+      if (!event.lengthComputable || !event.total) return;
+      const fraction = event.loaded / event.total;
+      record.progressListeners.forEach((listener) => listener(fraction));
+    };
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt += 1) {
+      if (attempt > 0) {
+        await wait(backoffMs * 2 ** (attempt - 1));
+      }
+
+      try {
+        return await attemptLoad(url, record.type, onProgress);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw new AssetLoadError(url, lastError);
+  };
+
+  /**
+   * Returns the record for a URL, starting its load if needed. Failed
+   * records remove themselves so the next request retries from scratch.
+   *
+   * @param {string} url
+   * @param {AssetType} type
+   * @param {(fraction: number) => void} [onProgress]
+   * @returns {AssetRecord}
+   */
+  const request = (url, type, onProgress) => {
+    let record = records.get(url);
+
+    if (!record) {
+      /** @type {AssetRecord} */
+      const created = {
+        type,
+        promise: Promise.resolve(),
+        refs: 0,
+        progressListeners: new Set(),
+      };
+      created.promise = loadWithRetry(url, created).then(
+        (asset) => {
+          created.progressListeners.clear();
+          return asset;
+        },
+        (error) => {
+          created.progressListeners.clear();
+          if (records.get(url) === created) records.delete(url);
+          throw error;
+        }
+      );
+      records.set(url, created);
+      record = created;
+    }
+
+    if (onProgress) record.progressListeners.add(onProgress);
+    return record;
+  };
+
+  /**
+   * Starts queued lazy loads while below the concurrency limit.
+   */
+  const pumpLazy = () => {
+    while (lazyActive < lazyConcurrency && lazyQueue.length) {
+      const { url, type } = /** @type {AssetDescriptor} */ (lazyQueue.shift());
+      lazyActive += 1;
+      const record = request(url, type ?? inferAssetType(url));
+      record.refs += 1; // The manifest's reference, see `releaseManifest()`
+      record.promise
+        .catch((error) => console.warn(error.message, error.cause))
+        .finally(() => {
+          lazyActive -= 1;
+          whenIdle(pumpLazy);
+        });
+    }
+  };
+
+  return {
+    /**
+     * Enables KTX2 textures, which need to know the GPU's compressed formats.
+     *
+     * @param {THREE.WebGLRenderer} renderer
+     */
+    setRenderer(renderer) {
+      ktx2Loader.detectSupport(renderer);
+      ktx2Ready = true;
+    },
+
+    /**
+     * Loads (or reuses) an asset and takes a reference to it. Pair every
+     * call with `release()`.
+     *
+     * Models are shared: add `gltf.scene.clone(true)` to the scene rather
+     * than the cached scene itself.
+     *
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {AssetType} [options.type] - Inferred from the extension when omitted
+     * @returns {Promise<any>} The texture, GLTF result, `AudioBuffer` or parsed JSON
+     * @throws {AssetLoadError} If every attempt failed
+     */
+    load(url, { type = inferAssetType(url) } = {}) {
+      const record = request(url, type);
+      record.refs += 1;
+      return record.promise;
+    },
+
+    /**
+     * Returns a reference taken by `load()`. The asset is disposed and
+     * evicted once no references remain (even if it is still loading).
+     *
+     * @param {string} url
+     */
+    release(url) {
+      const record = records.get(url);
+      if (!record || record.refs === 0) return;
+
+      record.refs -= 1;
+      if (record.refs > 0) return;
+
+      records.delete(url);
+      record.promise.then((asset) => disposeAsset(record.type, asset)).catch(() => {});
+    },
+
+    /**
+     * Loads a manifest's critical assets, reporting their combined progress,
+     * and queues the lazy ones to load in the background afterwards.
+     * The manifest holds one reference per asset (taken as each starts
+     * loading), so `load()`/`release()` pairs elsewhere never evict it; pair
+     * the call with `releaseManifest()`.
+     *
+     * @param {AssetDescriptor[]} manifest
+     * @param {Object} [options]
+     * @param {(percent: number) => void} [options.onProgress] - 0–100, critical assets only
+     * @returns {Promise<void>} Resolves when every critical asset has loaded
+     * @throws {AssetLoadError} If a critical asset failed
+     */
+    async loadManifest(manifest, { onProgress = () => {} } = {}) {
+      const critical = manifest.filter((asset) => asset.priority === 'critical');
+      const fractions = critical.map(() => 0);
+      const report = () => {
+        const total = fractions.reduce((sum, fraction) => sum + fraction, 0);
+        onProgress(critical.length ? Math.round((total / critical.length) * 100) : 100);
+      };
+
+      report();
+      await Promise.all(
+        critical.map(({ url, type }, index) => {
+          const setFraction = (/** @type {number} */ fraction) => {
+            fractions[index] = fraction;
+            report();
+          };
+          const record = request(url, type ?? inferAssetType(url), setFraction);
+          record.refs += 1;
+          return record.promise.then(() => setFraction(1));
+        })
+      );
+
+      lazyQueue.push(...manifest.filter((asset) => asset.priority !== 'critical'));
+      whenIdle(pumpLazy);
+    },
+
+    /**
+     * Returns the references taken by `loadManifest()`. Lazy assets that
+     * have not started loading are dropped from the queue instead.
+     *
+     * @param {AssetDescriptor[]} manifest
+     */
+    releaseManifest(manifest) {
+      manifest.forEach((asset) => {
+        const queued = lazyQueue.indexOf(asset);
+        if (queued !== -1) {
+          lazyQueue.splice(queued, 1);
+        } else {
+          this.release(asset.url);
+        }
+      });
+    },
+
+    /**
+     * Disposes every cached asset and drops queued lazy loads. Loaders stay
+     * usable, so the manager can be reused afterwards.
+     */
+    dispose() {
+      lazyQueue.length = 0;
+      records.forEach((record) => {
+        record.promise.then((asset) => disposeAsset(record.type, asset)).catch(() => {});
+      });
+      records.clear();
+    },
+  };
+}
+
+/** @typedef {ReturnType<typeof createAssetManager>} AssetManager */
+
+/** Shared asset manager used by the helpers below. */
+export const assets = createAssetManager();
+
+/**
+ * Loads the manifest's critical assets and queues the rest.
+ *
+ * @param {AssetDescriptor[]} manifest
+ * @param {Object} [options]
+ * @param {(percent: number) => void} [options.onProgress] - Aggregate progress, 0–100
+ * @returns {Promise<void>}
+ */
+export function loadInitialAssets(manifest, options) {
+  return assets.loadManifest(manifest, options);
+}
+
+/**
+ * Returns the references taken by `loadInitialAssets()`.
+ *
+ * @param {AssetDescriptor[]} manifest
+ */
+export function releaseInitialAssets(manifest) {
+  assets.releaseManifest(manifest);
+}
+
+/**
+ * Loads a texture (plain image or `.ktx2`) and takes a reference to it.
+ *
+ * @param {string} path - Texture URL
+ * @returns {Promise<THREE.Texture>}
+ */
 export function loadTexture(path) {
-  if (cache.has(path)) return cache.get(path);
-
-  const promise = new Promise((resolve, reject) => {
-    textureLoader.load(
-      path,
-      (texture) => {
-        cache.set(path, texture);
-        resolve(texture);
-      },
-      undefined,
-      reject
-    );
-  });
-
-  cache.set(path, promise);
-  return promise;
+  return assets.load(path, { type: inferAssetType(path) === 'ktx2' ? 'ktx2' : 'texture' });
+}
+
+/**
+ * Loads a glTF/GLB model and takes a reference to it.
+ * The cached scene is shared: callers should add `scene.clone(true)` to their graph.
+ *
+ * @param {string} path - Model URL
+ * @returns {Promise<import('three/addons/loaders/GLTFLoader.js').GLTF>}
+ */
+export function loadModel(path) {
+  return assets.load(path, { type: 'model' });
+}
+
+/**
+ * Loads an audio file into an `AudioBuffer` and takes a reference to it.
+ *
+ * @param {string} path - Audio URL
+ * @returns {Promise<AudioBuffer>}
+ */
+export function loadAudio(path) {
+  return assets.load(path, { type: 'audio' });
+}
+
+/**
+ * Loads and parses a JSON file (such as a GeoJSON map) and takes a
+ * reference to it. The parsed object is shared: treat it as read-only.
+ *
+ * @param {string} path - JSON URL
+ * @returns {Promise<unknown>}
+ */
+export function loadJSON(path) {
+  return assets.load(path, { type: 'json' });
+}
+
+/**
+ * Returns a reference taken by `loadTexture()`, `loadModel()`, `loadAudio()`
+ * or `loadJSON()`.
+ *
+ * @param {string} path
+ */
+export function releaseAsset(path) {
+  assets.release(path);
 }
@@ -0,0 +1,129 @@
+/**
+ * Minimal, safe Markdown rendering for location content.
+ *
+ * Output is built with DOM nodes, never `innerHTML`, so raw HTML in the
+ * source is shown as text. Supported syntax:
+ * - `#`, `##`, `###` headings (rendered as `h4`–`h6`, below the overlay's
+ *   `h2` title and the detail panel's `h3` heading)
+ * - Paragraphs separated by blank lines
+ * - `-`/`*` bullet lists and `1.` numbered lists
+ * - `**bold**`, `*italic*`, `` `code` `` and `[text](url)` links
+ *
+ * Links are rendered only for `http:`, `https:` and `mailto:` URLs (and
+ * relative or `#` links); anything else is rendered as plain text.
+ *
+ * @module utils/markdown
+ */
+
+import { isExternalLink, isSafeUrl } from './url.js';
+
+const INLINE_TOKEN = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\))/;
+const LINK = /^\[([^\]]+)\]\(([^)\s]+)\)$/;
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET_ITEM = /^\s*[-*]\s+(.*)$/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+
+/**
+ * Renders inline Markdown into `parent`.
+ *
+ * @param {string} text
+ * @param {HTMLElement | DocumentFragment} parent
+ * @private
+ */
+function appendInline(text, parent) {
+  text.split(INLINE_TOKEN).forEach((part, index) => {
+    if (!part) return;
+    // split() with a capture group puts the matched tokens at odd indexes
+    if (index % 2 === 0) {
+      parent.append(part);
+      return;
+    }
+
+    if (part.startsWith('**')) {
+      const strong = document.createElement('strong');
+      appendInline(part.slice(2, -2), strong);
+      parent.append(strong);
+    } else if (part.startsWith('*')) {
+      const em = document.createElement('em');
+      appendInline(part.slice(1, -1), em);
+      parent.append(em);
+    } else if (part.startsWith('`')) {
+      const code = document.createElement('code');
+      code.textContent = part.slice(1, -1);
+      parent.append(code);
+    } else {
+      const [, label, href] = /** @type {RegExpMatchArray} */ (part.match(LINK));
+      if (!isSafeUrl(href)) {
+        parent.append(label);
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = href;
+      if (isExternalLink(href)) {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+      }
+      appendInline(label, link);
+      parent.append(link);
+    }
+  });
+}
+
+/**
+ * Renders Markdown source into DOM nodes.
+ *
+ * @param {string} source - Markdown text
+ * @returns {DocumentFragment}
+ *
+ * @example
+ * ```javascript
+ * element.append(renderMarkdown('Built with **Three.js**.'));
+ * ```
+ */
+export function renderMarkdown(source) {
+  const fragment = document.createDocumentFragment();
+  /** @type {string[]} */
+  let paragraph = [];
+  /** @type {HTMLUListElement | HTMLOListElement | null} */
+  let list = null;
+
+  const flushParagraph = () => {
+    if (!paragraph.length) return;
+    const p = document.createElement('p');
+    appendInline(paragraph.join(' '), p);
+    fragment.append(p);
+    paragraph = [];
+  };
+
+  source.split(/\r?\n/).forEach((line) => {
+    const heading = line.match(HEADING);
+    const bullet = line.match(BULLET_ITEM);
+    const numbered = bullet ? null : line.match(NUMBERED_ITEM);
+
+    if (heading || bullet || numbered || !line.trim()) flushParagraph();
+
+    if (bullet || numbered) {
+      const tag = bullet ? 'UL' : 'OL';
+      if (list?.tagName !== tag) {
+        list = document.createElement(bullet ? 'ul' : 'ol');
+        fragment.append(list);
+      }
+      const item = document.createElement('li');
+      appendInline(/** @type {RegExpMatchArray} */ (bullet ?? numbered)[1], item);
+      list.append(item);
+      return;
+    }
+
+    list = null;
+    if (heading) {
+      const element = document.createElement(`h${heading[1].length + 3}`);
+      appendInline(heading[2], element);
+      fragment.append(element);
+    } else if (line.trim()) {
+      paragraph.push(line.trim());
+    }
+  });
+
+  flushParagraph();
+  return fragment;
+}
@@ -0,0 +1,49 @@
+/**
+ * Reduced-motion preference helpers.
+ *
+ * Wraps the `prefers-reduced-motion` media query so components can both read
+ * the current preference and follow changes made while the page is open.
+ *
+ * @module utils/motion
+ */
+
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * @returns {MediaQueryList | null} The query, or null where `matchMedia` is unavailable
+ * @private
+ */
+const getQuery = () =>
+  typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+    ? window.matchMedia(REDUCED_MOTION_QUERY)
+    : null;
+
+/**
+ * Whether the user asked the OS/browser to minimise motion.
+ *
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return getQuery()?.matches ?? false;
+}
+
+/**
+ * Calls `listener` whenever the reduced-motion preference changes.
+ *
+ * @param {(reduced: boolean) => void} listener
+ * @returns {() => void} Unsubscribe function
+ *
+ * @example
+ * ```javascript
+ * const stop = onReducedMotionChange((reduced) => avatar.setReducedMotion(reduced));
+ * ```
+ */
+export function onReducedMotionChange(listener) {
+  const query = getQuery();
+  if (!query) return () => {};
+
+  /** @param {MediaQueryListEvent} event */
+  const handleChange = (event) => listener(event.matches);
+  query.addEventListener('change', handleChange);
+  return () => query.removeEventListener('change', handleChange);
+}
@@ -11,3 +11,15 @@ export function dampAngle(current, target, smoothing, delta) {
   const difference = normalizeAngle(target - current);
   return current + difference * (1 - Math.exp(-smoothing * delta));
 }
+
+/**
+ * Returns the angle equivalent to `target` that is closest to `current`,
+ * so rotating from `current` never takes the long way around.
+ *
+ * @param {number} current - Current angle (radians, unbounded)
+ * @param {number} target - Desired angle (radians, any winding)
+ * @returns {number} `current` plus the shortest signed difference
+ */
+export function nearestAngle(current, target) {
+  return current + normalizeAngle(target - current);
+}
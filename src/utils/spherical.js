@@ -0,0 +1,167 @@
+/**
+ * Spherical polygon helpers for zone regions.
+ *
+ * Coordinates are `[longitude, latitude]` pairs in radians, with longitude
+ * in the globe's texture space (`u × 2π`, the space zone arcs use) and
+ * latitude from -π/2 (south pole) to π/2 (north pole).
+ *
+ * Polygon edges follow great circles, like lines drawn on a real globe.
+ * They are sampled into short segments so containment can be tested as a
+ * flat polygon in longitude/latitude space. Map data (GeoJSON land shapes)
+ * is already that detailed and becomes a ring as is. Rings must not
+ * enclose a pole.
+ *
+ * @module utils/spherical
+ */
+
+/**
+ * @typedef {import('../types').ZoneRing} ZoneRing
+ */
+
+const TWO_PI = Math.PI * 2;
+const MAX_SEGMENT = Math.PI / 90; // 2° between samples along an edge
+const ROW_HEIGHT = Math.PI / 180; // 1° latitude buckets of ring edges
+
+/**
+ * @param {[number, number]} point - `[longitude, latitude]` in radians
+ * @returns {[number, number, number]} Unit vector
+ */
+function toVector([lon, lat]) {
+  return [Math.cos(lat) * Math.cos(lon), Math.cos(lat) * Math.sin(lon), Math.sin(lat)];
+}
+
+/**
+ * @param {[number, number, number]} vector - Any non-zero vector
+ * @returns {[number, number]} `[longitude, latitude]` in radians
+ */
+function fromVector([x, y, z]) {
+  const length = Math.hypot(x, y, z);
+  return [Math.atan2(y, x), Math.asin(Math.max(-1, Math.min(1, z / length)))];
+}
+
+/**
+ * Point a fraction `t` of the way along the great circle from `a` to `b`.
+ *
+ * @param {[number, number, number]} a
+ * @param {[number, number, number]} b
+ * @param {number} angle - Angle between `a` and `b`
+ * @param {number} t - 0 … 1
+ * @returns {[number, number, number]}
+ */
+function slerp(a, b, angle, t) {
+  const sin = Math.sin(angle);
+  // Nearly equal or opposite points: blend linearly (fromVector normalises)
+  const wa = sin < 1e-6 ? 1 - t : Math.sin((1 - t) * angle) / sin;
+  const wb = sin < 1e-6 ? t : Math.sin(t * angle) / sin;
+  return [a[0] * wa + b[0] * wb, a[1] * wa + b[1] * wb, a[2] * wa + b[2] * wb];
+}
+
+/**
+ * Samples a polygon's great-circle edges into a closed ring (see
+ * `createRing()`).
+ *
+ * @param {Array<[number, number]>} vertices - Polygon corners in order
+ *   (either winding), without repeating the first one
+ * @param {number} [maxSegment] - Longest sampled step (radians)
+ * @returns {ZoneRing}
+ *
+ * @example
+ * ```javascript
+ * const ring = densifyRing([[0.8, 0.1], [1.2, 0.1], [1.0, 0.5]]);
+ * ringContains(ring, 1.0, 0.2); // true
+ * ```
+ */
+export function densifyRing(vertices, maxSegment = MAX_SEGMENT) {
+  /** @type {Array<[number, number]>} */
+  const points = [];
+
+  vertices.forEach((vertex, index) => {
+    const a = toVector(vertex);
+    const b = toVector(vertices[(index + 1) % vertices.length]);
+    const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const angle = Math.acos(Math.max(-1, Math.min(1, dot)));
+    const steps = Math.max(1, Math.ceil(angle / maxSegment));
+    for (let step = 0; step < steps; step++) {
+      points.push(fromVector(slerp(a, b, angle, step / steps)));
+    }
+  });
+
+  return createRing(points);
+}
+
+/**
+ * Builds a ring from points joined by straight lines in longitude/latitude
+ * space, as map data is drawn.
+ *
+ * Longitudes are unwrapped (each point within π of the previous one), so a
+ * ring crossing the 0/2π seam stays continuous and may extend outside
+ * 0–2π; `ringContains()` accounts for that. Edges are bucketed by
+ * latitude, so tests stay fast for detailed coastlines.
+ *
+ * @param {Array<[number, number]>} points - Corners in order, without
+ *   repeating the first one (a repeated closing point is dropped)
+ * @returns {ZoneRing}
+ */
+export function createRing(points) {
+  /** @type {Array<[number, number]>} */
+  const unwrapped = points.map(([lon, lat]) => [lon, lat]);
+  const [first, last] = [unwrapped[0], unwrapped[unwrapped.length - 1]];
+  if (unwrapped.length > 1 && first[0] === last[0] && first[1] === last[1]) unwrapped.pop();
+
+  for (let i = 1; i < unwrapped.length; i++) {
+    const previous = unwrapped[i - 1][0];
+    unwrapped[i][0] -= Math.round((unwrapped[i][0] - previous) / TWO_PI) * TWO_PI;
+  }
+
+  let minLon = Infinity;
+  let maxLon = -Infinity;
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  unwrapped.forEach(([lon, lat]) => {
+    minLon = Math.min(minLon, lon);
+    maxLon = Math.max(maxLon, lon);
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+  });
+
+  // Edge i joins point i - 1 (wrapping) to point i
+  const firstRow = Math.floor(minLat / ROW_HEIGHT);
+  /** @type {number[][]} */
+  const rows = Array.from({ length: Math.floor(maxLat / ROW_HEIGHT) - firstRow + 1 }, () => []);
+  unwrapped.forEach(([, lat], i) => {
+    const previous = unwrapped[(i || unwrapped.length) - 1][1];
+    const from = Math.floor(Math.min(lat, previous) / ROW_HEIGHT) - firstRow;
+    const to = Math.floor(Math.max(lat, previous) / ROW_HEIGHT) - firstRow;
+    for (let row = from; row <= to; row++) rows[row].push(i);
+  });
+
+  return { points: unwrapped, minLon, maxLon, minLat, maxLat, firstRow, rows };
+}
+
+/**
+ * Even-odd test: whether a point lies inside a ring.
+ *
+ * @param {ZoneRing} ring - From `densifyRing()` or `createRing()`
+ * @param {number} lon - Longitude in radians (any winding)
+ * @param {number} lat - Latitude in radians
+ * @returns {boolean}
+ */
+export function ringContains(ring, lon, lat) {
+  if (lat < ring.minLat || lat > ring.maxLat) return false;
+
+  // Shift into the ring's unwrapped longitude window
+  const x = ring.minLon + ((((lon - ring.minLon) % TWO_PI) + TWO_PI) % TWO_PI);
+  if (x > ring.maxLon) return false;
+
+  const { points } = ring;
+  const edges = ring.rows[Math.floor(lat / ROW_HEIGHT) - ring.firstRow] ?? [];
+  let inside = false;
+  edges.forEach((i) => {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[(i || points.length) - 1];
+    if (yi > lat !== yj > lat && x < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  });
+  return inside;
+}
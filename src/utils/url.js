@@ -0,0 +1,40 @@
+/**
+ * URL checks shared by content rendering and data validation.
+ *
+ * @module utils/url
+ */
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Whether a URL may be used as a link or media source.
+ *
+ * The URL is parsed the way the browser will resolve it (so tabs, control
+ * characters and odd casing in the scheme cannot hide it) and its protocol
+ * checked against an allowlist. Relative and `#` links resolve against the
+ * page and pass.
+ *
+ * @param {string} url
+ * @returns {boolean} True for `http:`, `https:`, `mailto:`, relative and
+ *   `#` URLs
+ */
+export function isSafeUrl(url) {
+  const base = globalThis.document?.baseURI ?? 'http://localhost/';
+  try {
+    return SAFE_PROTOCOLS.includes(new URL(url, base).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a link leaves the page (and should open in a new tab).
+ *
+ * @param {string} href
+ * @returns {boolean}
+ */
+export function isExternalLink(href) {
+  const samePage = href.startsWith('#');
+  const samePath = href.startsWith('/') && !href.startsWith('//');
+  return !samePage && !samePath;
+}
@@ -0,0 +1,35 @@
+/**
+ * WebGL capability detection.
+ *
+ * Three.js needs WebGL 2. Browsers can report it as supported and still fail
+ * to create a context (blocklisted GPU, disabled hardware acceleration,
+ * too many open contexts), so detection actually creates one and releases
+ * it straight away.
+ *
+ * @module utils/webgl
+ */
+
+/**
+ * Whether this browser can create a WebGL 2 context.
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * ```javascript
+ * const renderer = isWebGLAvailable() ? new THREE.WebGLRenderer() : null;
+ * ```
+ */
+export function isWebGLAvailable() {
+  if (typeof document === 'undefined' || typeof WebGL2RenderingContext === 'undefined') {
+    return false;
+  }
+
+  try {
+    const gl = document.createElement('canvas').getContext('webgl2');
+    if (!gl) return false;
+    gl.getExtension('WEBGL_lose_context')?.loseContext(); // Free the probe context
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,30 @@
+/// <reference types="vite/client" />
+
+/**
+ * Environment variables read by the app (see `.env.example`).
+ * All values arrive as strings; unset variables are `undefined`.
+ */
+interface ImportMetaEnv {
+  /** Location data source: `mock` | `static` | `http` */
+  readonly VITE_DATA_SOURCE?: string;
+  /** REST API root used by the `http` source */
+  readonly VITE_API_URL?: string;
+  /** JSON file URL used by the `static` source */
+  readonly VITE_LOCATIONS_URL?: string;
+  /** Avatar config file URL used by the `static` source */
+  readonly VITE_AVATAR_URL?: string;
+  /** Tour script file URL used by the `static` source */
+  readonly VITE_TOUR_URL?: string;
+  /** Per-attempt request timeout in milliseconds */
+  readonly VITE_API_TIMEOUT_MS?: string;
+  /** Extra attempts for transient network failures */
+  readonly VITE_API_RETRIES?: string;
+  /** How long cached location data counts as fresh, in milliseconds */
+  readonly VITE_CACHE_TTL_MS?: string;
+  /** GeoJSON or TopoJSON land map drawn on the globe */
+  readonly VITE_LAND_URL?: string;
+}
+
+interface ImportMeta {
+  readonly env: ImportMetaEnv;
+}
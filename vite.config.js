@@ -1,7 +1,56 @@
 import { defineConfig } from 'vite';
+import { readFileSync } from 'node:fs';
 import path from 'node:path';
 
+const THREE_LIBS = path.resolve(__dirname, 'node_modules/three/examples/jsm/libs');
+
+/** Served path → file in three's libs; `DECODER_BASE` in `src/utils/loader.js` points here */
+const DECODERS = {
+  'decoders/draco/draco_decoder.js': 'draco/gltf/draco_decoder.js',
+  'decoders/draco/draco_decoder.wasm': 'draco/gltf/draco_decoder.wasm',
+  'decoders/draco/draco_wasm_wrapper.js': 'draco/gltf/draco_wasm_wrapper.js',
+  'decoders/basis/basis_transcoder.js': 'basis/basis_transcoder.js',
+  'decoders/basis/basis_transcoder.wasm': 'basis/basis_transcoder.wasm',
+};
+
+/**
+ * Self-hosts three's Draco and Basis decoders straight from the installed
+ * package: served by the dev server and copied into the build, so they
+ * always match the three.js release and no copies are committed.
+ *
+ * @returns {import('vite').Plugin}
+ */
+function threeDecoders() {
+  /** @type {string} */
+  let base = '/';
+
+  return {
+    name: 'three-decoders',
+    configResolved(config) {
+      base = config.base;
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = req.url?.split('?')[0] ?? '';
+        const file = url.startsWith(base) && DECODERS[url.slice(base.length)];
+        if (!file) {
+          next();
+          return;
+        }
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        res.end(readFileSync(path.join(THREE_LIBS, file)));
+      });
+    },
+    generateBundle() {
+      Object.entries(DECODERS).forEach(([fileName, file]) => {
+        this.emitFile({ type: 'asset', fileName, source: readFileSync(path.join(THREE_LIBS, file)) });
+      });
+    },
+  };
+}
+
 export default defineConfig({
+  plugins: [threeDecoders()],
   server: {
     open: true,
   },